@@ -3,7 +3,8 @@
   const qs = new URLSearchParams(location.search);
   const rideId = qs.get('rideId') || '';
   const viewAs = (qs.get('as') || '').toLowerCase(); // 'driver' | 'rider' | ''
-  const driverChatIdParam = Number(qs.get('driverChatId') || NaN);
+  const linkToken = qs.get('t') || ''; // signed link token: ride + role (rider | driver | viewer)
+  const isViewer = viewAs === 'viewer'; // shared "follow my trip" link: read-only
 
   if (!rideId) {
     const st = document.getElementById('statusText');
@@ -11,9 +12,9 @@
     throw new Error('Missing rideId');
   }
 
-  // Header status visible only for driver
+  // Header status (driver and rider: both follow the ride's status)
   const $statusBar = document.querySelector('header .status');
-  if ($statusBar) $statusBar.style.display = (viewAs === 'driver') ? 'flex' : 'none';
+  if ($statusBar) $statusBar.style.display = 'flex';
 
   // Cache DOM
   const $statusText = document.getElementById('statusText');
@@ -26,6 +27,14 @@
   const $btnNotifyRider = document.getElementById('btnNotifyRider');
   const $cancelModal = document.getElementById('cancelModal');
   const $btnCancel = document.getElementById('btnCancel');
+  const $destWrap = document.getElementById('destWrap');
+  const $btnDest = document.getElementById('btnDest');
+  const $destModal = document.getElementById('destModal');
+  const $destHint = document.getElementById('destHint');
+  const $destInput = document.getElementById('destInput');
+  const $btnDestClose = document.getElementById('btnDestClose');
+  const $btnDestQuote = document.getElementById('btnDestQuote');
+  const $btnDestConfirm = document.getElementById('btnDestConfirm');
   const $btnCancelClose = document.getElementById('btnCancelClose');
   const $btnCancelSend = document.getElementById('btnCancelSend');
   const $btnStart = document.getElementById('btnStart');
@@ -35,6 +44,15 @@
   const $btnRecenter = document.getElementById('btnRecenter');
   const $bottomCta = document.getElementById('bottomCta');
   const $btnFinish = document.getElementById('btnFinish');
+  const $stopCta = document.getElementById('stopCta');
+  const $shareWrap = document.getElementById('shareWrap');
+  const $btnShare = document.getElementById('btnShare');
+  const $viewerCard = document.getElementById('viewerCard');
+  const $viewerPhoto = document.getElementById('viewerPhoto');
+  const $viewerDriver = document.getElementById('viewerDriver');
+  const $viewerCar = document.getElementById('viewerCar');
+  const $viewerEta = document.getElementById('viewerEta');
+  const $btnStop = document.getElementById('btnStop');
   const $finishModal = document.getElementById('finishModal');
   const $btnFinishClose = document.getElementById('btnFinishClose');
   const $btnFinishCash = document.getElementById('btnFinishCash');
@@ -168,7 +186,7 @@
     return priceWithRate(Math.max(0, Number(distanceKm || 0)), DEFAULT_RATE_TABLE[vt]);
   }
 
-  // Status (driver only)
+  // Status
   const STATUS = {
     IDLE:        { text: "Driver hasn’t started yet.", dot: '#777',    glow: '#777' },
     TO_PICKUP:   { text: 'En route to pickup…',        dot: '#00b3ff', glow: '#00b3ff' },
@@ -184,7 +202,6 @@
     ERROR:       { text: 'Something went wrong.',      dot: '#ff4d4d', glow: '#ff4d4d' },
   };
   function setStatus(kind, extraText){
-    if (viewAs !== 'driver') return;
     const s = STATUS[kind] || STATUS.ERROR;
     if ($statusText) $statusText.textContent = extraText ? extraText : s.text;
     if ($statusDot) {
@@ -286,10 +303,12 @@
   let routeDistanceKm = 0;
   let pickup, dropoff, driverChatId = null;
   let pickupLabel, dropLabel, pickupPoleMarker = null, dropPoleMarker = null, legTrip = null;
+  let stops = [], stopPoleMarkers = [];
 
   let driverMarker = null, driverArrow = null, driverPos = null, lastDriverForBearing = null, lastBearing = 0;
 
   let socket;
+  let viewToken = null; // lets this page join the ride's live room
   let driverGuideLine = null;
   let guideFetchInFlight = false;
   let lastGuideKey = null;
@@ -317,12 +336,16 @@
   // driver-only controls
   if (viewAs === 'driver') {
     if ($bottomCta) $bottomCta.style.display = 'block';
-    if (Number.isFinite(driverChatIdParam) && $gpsChip) $gpsChip.style.display = 'block';
+    if (linkToken && $gpsChip) $gpsChip.style.display = 'block';
   } else {
     if ($btnStart) $btnStart.style.display = 'none';
     if ($btnPicked) $btnPicked.style.display = 'none';
     const leftRail = document.getElementById('leftRail');
     if (leftRail) leftRail.style.display = 'block';
+    if ($destWrap && !isViewer) $destWrap.style.display = '';
+    if (isViewer) $btnCancel?.closest('.iconwrap')?.style.setProperty('display', 'none');
+    if ($shareWrap && !isViewer) $shareWrap.style.display = '';
+    if ($viewerCard && isViewer) $viewerCard.style.display = 'flex';
     if ($bottomCta) $bottomCta.style.display = 'none';
     if ($gpsChip) $gpsChip.style.display = 'none';
   }
@@ -373,14 +396,22 @@
   /* =======================
    * Load trip basics
    * ======================= */
+  // every trip API call carries the link token; the server checks ride + role
+  function rideApi(suffix = '', opts = {}) {
+    return fetch(`/api/ride/${encodeURIComponent(rideId)}${suffix}`, {
+      ...opts,
+      headers: { ...(opts.headers || {}), 'X-Ride-Token': linkToken },
+    });
+  }
+
   setStatus('LOADING');
 
-  fetch(`/api/ride/${encodeURIComponent(rideId)}`)
+  rideApi()
     .then(async (r) => {
       let data = null;
       try { data = await r.json(); } catch {}
       if (!r.ok) {
-        if (r.status === 410 || r.status === 404 || data?.error === 'expired') {
+        if (r.status === 410 || r.status === 404 || r.status === 401 || data?.error === 'expired') {
           renderExpiredScreen(data || {});
           throw new Error('Link expired');
         }
@@ -395,10 +426,13 @@
     .then(async (data) => {
       pickup = data.pickup;
       dropoff = data.destination;
+      stops = Array.isArray(data.stops) ? data.stops : [];
       driverChatId = data.driverChatId || bootPersist.driverChatId || null;
+      if (isViewer) renderViewerCard(data.driver, data.driverChatId);
+      viewToken = data.viewToken || null;
 
       label('Pickup').setLatLng([pickup.lat, pickup.lng]).addTo(map);
-      label('Dropoff').setLatLng([dropoff.lat, dropoff.lng]).addTo(map);
+      dropLabel = label('Dropoff').setLatLng([dropoff.lat, dropoff.lng]).addTo(map);
 
       const pickIcon = makePoleIcon({ hex: '#41e38a', rgb: '65,227,138', kind: 'pick', etaText: 'Pickup' });
       const dropIcon = makePoleIcon({ hex: '#ffb84d', rgb: '255,184,77', kind: 'drop', etaText: 'Arrive at —' });
@@ -409,8 +443,18 @@
       dropPoleMarker = L.marker([dropoff.lat, dropoff.lng], { icon: dropIcon }).addTo(map);
       dropPoleMarker.options._poleOpts = { hex: '#ffb84d', rgb: '255,184,77', kind: 'drop' };
 
+      stopPoleMarkers = stops.map((s, i) => {
+        const opts = { hex: '#b18cff', rgb: '177,140,255', kind: 'stop' };
+        const m = L.marker([s.lat, s.lng], { icon: makePoleIcon({ ...opts, etaText: `Stop ${i + 1}` }) }).addTo(map);
+        m.options._poleOpts = opts;
+        return m;
+      });
+
+      // pickup → stops… → dropoff
+      const routePts = [pickup, ...stops, dropoff];
       try {
-        const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${pickup.lng},${pickup.lat};${dropoff.lng},${dropoff.lat}?${routeParams}&access_token=${MAPBOX_TOKEN}`;
+        const coords = routePts.map((p) => `${p.lng},${p.lat}`).join(';');
+        const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${coords}?${routeParams}&access_token=${MAPBOX_TOKEN}`;
         const res = await fetch(url);
         const json = await res.json();
         if (json.routes && json.routes[0]) {
@@ -422,19 +466,26 @@
         }
       } catch {
         legTrip = L.polyline(
-          [[pickup.lat, pickup.lng],[dropoff.lat, dropoff.lng]],
+          routePts.map((p) => [p.lat, p.lng]),
           { color: '#00c2ff', weight: 12, opacity: 1 }
         ).addTo(map);
-        routeDistanceKm = metersBetween(pickup, dropoff) / 1000;
+        routeDistanceKm = routePts.slice(1).reduce((km, p, i) => km + metersBetween(routePts[i], p) / 1000, 0);
       }
 
-      map.fitBounds(L.latLngBounds([[pickup.lat, pickup.lng],[dropoff.lat, dropoff.lng]]).pad(0.25));
+      map.fitBounds(L.latLngBounds(routePts.map((p) => [p.lat, p.lng])).pad(0.25));
       if (map.getZoom() < 15) map.setZoom(15);
       map.invalidateSize();
 
+      // the server's status wins over what this browser remembers
+      if (['enroute', 'arrived', 'in_progress'].includes(data.status)) bootPersist.started = true;
+      if (['arrived', 'in_progress'].includes(data.status)) bootPersist.arrivedShown = true;
+      if (data.status === 'in_progress') bootPersist.pickedUp = true;
+      persist({ started: !!bootPersist.started, arrivedShown: !!bootPersist.arrivedShown, pickedUp: !!bootPersist.pickedUp });
+
       restoreLiveUI();
+      updateStopUI();
 
-      setStatus('WAITING');
+      setStatus(pickedUp ? 'PICKED' : arrivedShown ? 'ARRIVED' : started ? 'TO_PICKUP' : 'WAITING');
       wireSockets();
       if (driverChatId) {
         persist({ driverChatId });
@@ -448,8 +499,8 @@
         $startPanel.setAttribute('aria-hidden', 'false');
       }
 
-      if (viewAs === 'driver' && Number.isFinite(driverChatIdParam)) {
-        startDeviceGpsStreaming(driverChatIdParam);
+      if (viewAs === 'driver' && linkToken) {
+        startDeviceGpsStreaming();
       }
     })
     .catch((e) => {
@@ -497,13 +548,15 @@
    * ======================= */
   function wireSockets() {
     if (typeof io !== 'function') return;
-    socket = io({ transports: ['websocket', 'polling'] });
+    socket = io({ transports: ['websocket', 'polling'], auth: viewAs === 'driver' ? { driverToken: linkToken } : {} });
     socket.io.on('reconnect', () => { bindChannels(); });
     bindChannels();
   }
 
   function bindChannels() {
     if (!socket) return;
+    // rooms are per connection: (re)join after every connect
+    socket.emit('ride:subscribe', { rideId, token: viewToken });
 
     socket.off(`ride:${rideId}:driverLocation`);
     socket.on(`ride:${rideId}:driverLocation`, (loc) => onDriverLocation(loc));
@@ -526,17 +579,34 @@
       setStatus('PICKED');
       updateFinishUI();
       updateWazeLink();
+      updateStopUI();
+    });
+
+    socket.off(`ride:${rideId}:stop`);
+    socket.on(`ride:${rideId}:stop`, (payload = {}) => {
+      if (Array.isArray(payload.stops)) onStopsChanged(payload.stops);
+    });
+
+    socket.off(`ride:${rideId}:eta`);
+    socket.on(`ride:${rideId}:eta`, (payload = {}) => onServerEta(payload));
+
+    socket.off(`ride:${rideId}:destination`);
+    socket.on(`ride:${rideId}:destination`, (payload = {}) => {
+      if (payload.destination) onDestinationChanged(payload.destination);
     });
 
     socket.off(`ride:${rideId}:cancelled`);
-    socket.on(`ride:${rideId}:cancelled`, () => {
+    socket.on(`ride:${rideId}:cancelled`, (payload = {}) => {
       cancelled = true;
       persist({ cancelled: true });
-      teardownAndClose('The other party cancelled the trip.');
+      teardownAndClose(payload.redispatch
+        ? 'Driver cancelled. Finding you a new driver…'
+        : 'The other party cancelled the trip.');
     });
 
     socket.off(`ride:${rideId}:finished`);
     socket.on(`ride:${rideId}:finished`, (payload = {}) => {
+      if (isViewer) return renderExpiredScreen({ reason: 'completed' }); // shared links end with the trip
       onFinishedUI({
         paidMethod: payload.paidMethod || 'app',
         amount: Number(payload.amount),
@@ -548,7 +618,9 @@
 
   async function primeLast() {
     try {
-      const r = await fetch(`/api/driver-last-loc/${encodeURIComponent(driverChatId)}?rideId=${encodeURIComponent(rideId)}`);
+      const r = await fetch(`/api/driver-last-loc/${encodeURIComponent(driverChatId)}?rideId=${encodeURIComponent(rideId)}`, {
+        headers: { 'X-Ride-Token': linkToken },
+      });
       if (!r.ok) return;
       const loc = await r.json();
       if (typeof loc.lat === 'number' && typeof loc.lng === 'number') onDriverLocation(loc, true);
@@ -641,17 +713,148 @@
     persist({ arrivedShown: true });
     speak(viewAs === 'driver' ? 'You have arrived at the pickup point.' : undefined);
     if (viewAs === 'driver' && $arriveModal) $arriveModal.style.display = 'flex';
+    if (viewAs === 'driver') {
+      rideApi('/arrived', { method: 'POST' }).catch(() => {});
+    }
     if (legTrip) legTrip.setStyle({ weight: 14, opacity: 1 });
     setStatus('ARRIVED');
     // at arrival, allow "Picked"
     if ($btnPicked) $btnPicked.disabled = false;
   }
 
+  /* =======================
+   * Destination changed by the rider
+   * ======================= */
+  async function redrawTripRoute() {
+    const routePts = [pickup, ...stops, dropoff];
+    let latlngs = routePts.map((p) => [p.lat, p.lng]);
+    try {
+      const coords = routePts.map((p) => `${p.lng},${p.lat}`).join(';');
+      const res = await fetch(`https://api.mapbox.com/directions/v5/mapbox/driving/${coords}?${routeParams}&access_token=${MAPBOX_TOKEN}`);
+      const json = await res.json();
+      if (json.routes?.[0]) {
+        latlngs = json.routes[0].geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+        routeDistanceKm = (json.routes[0].distance || 0) / 1000;
+      }
+    } catch {}
+    if (legTrip) legTrip.setLatLngs(latlngs);
+  }
+
+  function onDestinationChanged(dest) {
+    if (!dest || typeof dest.lat !== 'number' || typeof dest.lng !== 'number') return;
+    dropoff = { ...dest };
+    if (dropPoleMarker) dropPoleMarker.setLatLng([dropoff.lat, dropoff.lng]);
+    if (dropLabel) dropLabel.setLatLng([dropoff.lat, dropoff.lng]);
+    setPoleETA(dropPoleMarker, 'Arrive at —');
+    speak('The rider changed the destination.');
+    setStatus(pickedUp ? 'TO_DROPOFF' : 'TO_PICKUP', 'Destination updated.');
+    redrawTripRoute();
+    updateDriverGuideRoad(true);
+    updateWazeLink();
+    updateFinishUI();
+  }
+
+  /* =======================
+   * Stops on the way (rider on board)
+   * ======================= */
+  const nextStopIndex = () => stops.findIndex((s) => !s.departedAt);
+
+  // where the driver should be heading right now
+  function guideTarget() {
+    if (!pickedUp) return { point: pickup, kind: 'pick' };
+    const i = nextStopIndex();
+    return i >= 0 ? { point: stops[i], kind: 'stop', index: i } : { point: dropoff, kind: 'drop' };
+  }
+
+  function setGuideETA(durationSec) {
+    const t = guideTarget();
+    if (t.kind === 'pick') {
+      etaToPickupSec = durationSec;
+      setPoleETA(pickupPoleMarker, fmtETAminOrSec(etaToPickupSec));
+    } else if (t.kind === 'stop') {
+      setPoleETA(stopPoleMarkers[t.index], `Stop ${t.index + 1} · ${fmtETAminOrSec(durationSec)}`);
+    } else {
+      etaToDropoffSec = durationSec;
+      setPoleETA(dropPoleMarker, `Arrive at ${fmtArriveClock(etaToDropoffSec)}`);
+    }
+    etaStampMs = Date.now();
+    persist({ etaToPickupSec, etaToDropoffSec, etaStampMs });
+    updateViewerEta(t, durationSec);
+  }
+
+  // The server's ETA (routing provider / driver speed) replaces the map's own when it is for the same target
+  function onServerEta(eta) {
+    const t = guideTarget();
+    const kind = { pickup: 'pick', stop: 'stop', destination: 'drop' }[eta.kind];
+    if (!Number.isFinite(eta.etaSec) || kind !== t.kind || (kind === 'stop' && eta.index !== t.index)) return;
+    setGuideETA(eta.etaSec);
+  }
+
+  /* Shared view: who is driving and when they get there */
+  function renderViewerCard(driver = {}, hasDriver = false) {
+    if (!$viewerCard) return;
+    if (!hasDriver) return; // still "Waiting for a driver…"
+    $viewerDriver.textContent = driver.name || 'Driver';
+    $viewerCar.textContent = [driver.car, driver.plate].filter(Boolean).join(' · ');
+    if (driver.vehiclePhoto && $viewerPhoto) {
+      $viewerPhoto.src = driver.vehiclePhoto;
+      $viewerPhoto.style.display = '';
+    }
+  }
+
+  function updateViewerEta(target, durationSec) {
+    if (!isViewer || !$viewerEta || durationSec == null) return;
+    $viewerEta.textContent = target.kind === 'pick'
+      ? `Pickup in ${fmtETAminOrSec(durationSec)}`
+      : target.kind === 'stop'
+        ? `Stop ${target.index + 1} in ${fmtETAminOrSec(durationSec)}`
+        : `Arrives at ${fmtArriveClock(durationSec)}`;
+  }
+
+  function updateStopUI() {
+    if (!$stopCta || !$btnStop) return;
+    const i = nextStopIndex();
+    if (viewAs !== 'driver' || !pickedUp || cancelled || finished || i < 0) {
+      $stopCta.style.display = 'none';
+      return;
+    }
+    $btnStop.textContent = stops[i].arrivedAt ? `Continue from stop ${i + 1}` : `Arrived at stop ${i + 1}`;
+    $stopCta.style.display = 'block';
+  }
+
+  function onStopsChanged(next) {
+    stops = next;
+    stops.forEach((s, i) => {
+      if (s.departedAt) setPoleETA(stopPoleMarkers[i], `Stop ${i + 1} ✓`);
+      else if (s.arrivedAt) setPoleETA(stopPoleMarkers[i], `Stop ${i + 1} · waiting`);
+    });
+    updateStopUI();
+    updateDriverGuideRoad(true);
+    updateWazeLink();
+  }
+
+  if ($btnStop) {
+    $btnStop.onclick = async () => {
+      const i = nextStopIndex();
+      if (viewAs !== 'driver' || i < 0 || $btnStop.disabled) return;
+      const step = stops[i].arrivedAt ? 'departed' : 'arrived';
+      $btnStop.disabled = true;
+      try {
+        const r = await rideApi(`/stops/${i}/${step}`, { method: 'POST' });
+        const j = await r.json().catch(() => ({}));
+        if (Array.isArray(j.stops)) onStopsChanged(j.stops);
+        speak(step === 'arrived' ? `Arrived at stop ${i + 1}.` : 'Continuing the trip.');
+      } catch {} finally {
+        $btnStop.disabled = false;
+      }
+    };
+  }
+
   async function updateDriverGuideRoad(force = false) {
     if (!driverPos || !pickup || !dropoff) return;
-    const target = pickedUp ? dropoff : pickup;
-    const color  = pickedUp ? '#ffb84d' : '#41e38a';
-    const key = `${pickedUp ? 'drop' : 'pick'}:${driverPos.lat.toFixed(4)},${driverPos.lng.toFixed(4)}->${target.lat.toFixed(4)},${target.lng.toFixed(4)}`;
+    const { point: target, kind } = guideTarget();
+    const color  = kind === 'pick' ? '#41e38a' : kind === 'stop' ? '#b18cff' : '#ffb84d';
+    const key = `${kind}:${driverPos.lat.toFixed(4)},${driverPos.lng.toFixed(4)}->${target.lat.toFixed(4)},${target.lng.toFixed(4)}`;
     const now = Date.now();
     if (!force && (guideFetchInFlight || (key === lastGuideKey && now - lastGuideMs < 1500))) return;
 
@@ -681,15 +884,7 @@
         durationSec = (distM / 1000 / 30) * 3600;
       }
 
-      if (!pickedUp) {
-        etaToPickupSec = durationSec;
-        setPoleETA(pickupPoleMarker, fmtETAminOrSec(etaToPickupSec));
-      } else {
-        etaToDropoffSec = durationSec;
-        setPoleETA(dropPoleMarker, `Arrive at ${fmtArriveClock(etaToDropoffSec)}`);
-      }
-      etaStampMs = Date.now();
-      persist({ etaToPickupSec, etaToDropoffSec, etaStampMs });
+      setGuideETA(durationSec);
 
       lastGuideKey = key;
       lastGuideMs  = now;
@@ -704,15 +899,7 @@
       const distM = metersBetween(driverPos, target);
       const durationSec = (distM / 1000 / 30) * 3600;
 
-      if (!pickedUp) {
-        etaToPickupSec = durationSec;
-        setPoleETA(pickupPoleMarker, fmtETAminOrSec(etaToPickupSec));
-      } else {
-        etaToDropoffSec = durationSec;
-        setPoleETA(dropPoleMarker, `Arrive at ${fmtArriveClock(etaToDropoffSec)}`);
-      }
-      etaStampMs = Date.now();
-      persist({ etaToPickupSec, etaToDropoffSec, etaStampMs });
+      setGuideETA(durationSec);
     } finally {
       guideFetchInFlight = false;
     }
@@ -747,7 +934,7 @@
 
   function updateWazeLink() {
     if (!$btnWaze || !pickup || !dropoff) return;
-    const target = pickedUp ? dropoff : pickup;
+    const target = guideTarget().point;
     const url = `https://www.waze.com/ul?ll=${encodeURIComponent(target.lat)},${encodeURIComponent(target.lng)}&navigate=yes`;
     $btnWaze.href = url;
   }
@@ -776,7 +963,7 @@
     persist({ started: true });
     setStatus('TO_PICKUP', 'Starting trip: heading to pickup…');
     hideStartPanel();
-    try { await fetch(`/api/ride/${encodeURIComponent(rideId)}/start`, { method: 'POST' }); } catch {}
+    try { await rideApi('/start', { method: 'POST' }); } catch {}
     updateDriverGuideRoad(true);
     updateWazeLink();
   };
@@ -791,16 +978,18 @@
       persist({ pickedUp: true });
       setStatus('PICKED');
       if (legTrip) legTrip.setStyle({ weight: 14, opacity: 1 });
-      try { await fetch(`/api/ride/${encodeURIComponent(rideId)}/picked`, { method: 'POST' }); } catch {}
+      try { await rideApi('/picked', { method: 'POST' }); } catch {}
       updateDriverGuideRoad(true);
       updateFinishUI();
       updateWazeLink();
+      updateStopUI();
     };
   }
 
   if ($btnFinish) {
     $btnFinish.onclick = async () => {
       if (viewAs !== 'driver' || finished) return;
+      if (nextStopIndex() >= 0 && !confirm('Not all stops are done yet. Finish the trip anyway?')) return;
       if (driverPos && dropoff) {
         const dMeters = metersBetween(driverPos, dropoff);
         if (dMeters > COMPLETE_HARD_M) {
@@ -840,26 +1029,168 @@
 
   if ($btnFinishClose) $btnFinishClose.onclick = () => ($finishModal.style.display = 'none');
 
-  if ($btnCancel)      $btnCancel.onclick      = () => ($cancelModal.style.display = 'flex');
+  // Riders get their own reasons (and any fee up front) from the server
+  const isRiderView = viewAs !== 'driver';
+  async function prepareRiderCancel() {
+    try {
+      const r = await rideApi('/rider-cancel');
+      const j = await r.json();
+      const list = document.getElementById('reasonList');
+      if (list && Array.isArray(j.reasons)) {
+        list.innerHTML = '';
+        j.reasons.forEach((x) => {
+          const label = document.createElement('label');
+          label.className = 'reason-item';
+          const input = document.createElement('input');
+          input.type = 'radio';
+          input.name = 'cxl';
+          input.value = x.label;
+          label.append(input, ` ${x.label}`);
+          list.appendChild(label);
+        });
+      }
+      const hint = $cancelModal.querySelector('p');
+      if (hint) {
+        hint.textContent = j.fee
+          ? `A ${j.fee.kind === 'no_show' ? 'no-show' : 'late cancellation'} fee of R${j.fee.amount} applies. Your driver will be notified.`
+          : 'Please choose a reason. Your driver will be notified.';
+      }
+    } catch {}
+  }
+
+  if ($btnCancel)      $btnCancel.onclick      = async () => {
+    if (isRiderView) await prepareRiderCancel();
+    $cancelModal.style.display = 'flex';
+  };
   if ($btnCancelClose) $btnCancelClose.onclick = () => ($cancelModal.style.display = 'none');
+
+  // Rider: new destination → price → confirm
+  function resetDestModal() {
+    if ($destHint) $destHint.textContent = "Type the new address. You'll see the new fare before anything changes.";
+    if ($btnDestQuote) $btnDestQuote.style.display = '';
+    if ($btnDestConfirm) $btnDestConfirm.style.display = 'none';
+  }
+  if ($btnDest) $btnDest.onclick = () => {
+    if (!isRiderView || cancelled || finished) return;
+    resetDestModal();
+    $destModal.style.display = 'flex';
+  };
+  if ($btnDestClose) $btnDestClose.onclick = () => ($destModal.style.display = 'none');
+  if ($destInput) $destInput.oninput = resetDestModal;
+  if ($btnDestQuote) $btnDestQuote.onclick = async () => {
+    const query = ($destInput.value || '').trim();
+    if (query.length < 3) return;
+    $btnDestQuote.disabled = true;
+    try {
+      const r = await rideApi('/destination/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query }),
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        $destHint.textContent = j.error === 'not_found_address' ? 'Address not found. Try adding the suburb or city.'
+          : j.error === 'same_destination' ? 'That is already your destination.'
+          : 'This trip can no longer be changed.';
+        return;
+      }
+      $destHint.textContent = `${j.address} — new fare R${j.price}${j.previousPrice != null ? ` (was R${j.previousPrice})` : ''}.`;
+      $btnDestQuote.style.display = 'none';
+      $btnDestConfirm.style.display = '';
+    } catch {
+      $destHint.textContent = 'Could not get a price. Please try again.';
+    } finally {
+      $btnDestQuote.disabled = false;
+    }
+  };
+  if ($btnDestConfirm) $btnDestConfirm.onclick = async () => {
+    $btnDestConfirm.disabled = true;
+    try {
+      const r = await rideApi('/destination/confirm', { method: 'POST' });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        $destHint.textContent = j.error === 'expired' ? 'That price expired. Get a new price.' : 'This trip can no longer be changed.';
+        $btnDestConfirm.style.display = 'none';
+        $btnDestQuote.style.display = '';
+        return;
+      }
+      $destModal.style.display = 'none';
+      $destInput.value = '';
+      onDestinationChanged(j.destination);
+    } catch {
+      $destHint.textContent = 'Could not change the destination. Please try again.';
+    } finally {
+      $btnDestConfirm.disabled = false;
+    }
+  };
+  // Share a read-only view of the trip (phone share sheet, else copy the link)
+  if ($btnShare) $btnShare.onclick = async () => {
+    if (isViewer || cancelled || finished) return;
+    try {
+      const r = await rideApi('/share', { method: 'POST' });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok || !j.url) return alert('This trip can no longer be shared.');
+      const text = 'Follow my VayaRide trip live:';
+      if (navigator.share) {
+        try { await navigator.share({ title: 'My trip', text, url: j.url }); return; } catch (e) { if (e?.name === 'AbortError') return; }
+      }
+      try {
+        await navigator.clipboard.writeText(j.url);
+        alert('Link copied. Send it to someone you trust — it stops working when the trip ends.');
+      } catch {
+        prompt('Copy this link:', j.url);
+      }
+    } catch {
+      alert('Could not create a share link. Please try again.');
+    }
+  };
   if ($btnCancelSend)
     $btnCancelSend.onclick = async () => {
       const selected = document.querySelector('input[name="cxl"]:checked');
       const reason = selected ? selected.value : 'Other';
       const note = reason === 'Other' ? (document.getElementById('otherText').value || '').trim() : '';
+      if (isRiderView) {
+        let closeMsg = 'Trip cancelled.';
+        try {
+          const r = await rideApi('/rider-cancel', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason, note }),
+          });
+          const j = await r.json().catch(() => ({}));
+          if (!r.ok) {
+            alert(j.error === 'not_cancellable' ? 'This trip can no longer be cancelled.' : 'Could not cancel the trip. Please try again.');
+            $cancelModal.style.display = 'none';
+            return;
+          }
+          if (j.fee?.message) closeMsg = `Trip cancelled. ${j.fee.message}`;
+        } catch {}
+        $cancelModal.style.display = 'none';
+        cancelled = true;
+        persist({ cancelled: true });
+        teardownAndClose(closeMsg);
+        return;
+      }
+      let closeMsg = 'Trip cancelled.';
       try {
-        await fetch(`/api/ride/${encodeURIComponent(rideId)}/cancel`, {
+        const r = await rideApi('/cancel', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ reason, note }),
         });
+        const j = await r.json().catch(() => ({}));
+        // No-show before the wait is up → keep the trip open
+        if (j.error === 'no_show_too_early') {
+          alert(j.message || `Please wait ${j.waitMin ?? ''} more minute(s) at pickup.`);
+          $cancelModal.style.display = 'none';
+          return;
+        }
+        if (j?.fee?.driverShare) closeMsg = `Trip cancelled. R${j.fee.driverShare} no-show share added to your earnings.`;
       } catch {}
-      finally {
-        $cancelModal.style.display = 'none';
-        cancelled = true;
-        persist({ cancelled: true });
-        teardownAndClose('Trip cancelled.');
-      }
+      $cancelModal.style.display = 'none';
+      cancelled = true;
+      persist({ cancelled: true });
+      teardownAndClose(closeMsg);
     };
 
   if ($btnRecenter) {
@@ -872,14 +1203,19 @@
     };
   }
 
-  function postFinish(paidMethod) {
-    return fetch(`/api/ride/${encodeURIComponent(rideId)}/finish`, {
+  function postFinish(paidMethod, retried = false) {
+    return rideApi('/finish', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ paidMethod }),
     }).then(async (r) => {
       let j = null;
       try { j = await r.json(); } catch {}
+      // the "Picked up" tap never reached the server: record it now and try again
+      if (r.status === 409 && j?.error === 'not_picked_up' && !retried) {
+        await rideApi('/picked', { method: 'POST' }).catch(() => {});
+        return postFinish(paidMethod, true);
+      }
       if (!r.ok) throw Object.assign(new Error('Finish failed'), { response: j });
       return j || {};
     });
@@ -893,7 +1229,9 @@
       'btnFollow',
       'btnRecenter',
       'btnCancel',
+      'btnDest',
       'btnFinish',
+      'btnStop',
       'btnBackTelegram',
       'btnBackWhatsapp',
       'btnWaze',
@@ -973,7 +1311,7 @@
   }
 
   let gpsWatchId = null;
-  function startDeviceGpsStreaming(driverChatId) {
+  function startDeviceGpsStreaming() {
     if (!socket) return;
     if (!navigator.geolocation) return;
     const opts = { enableHighAccuracy: true, maximumAge: 1000, timeout: 10000 };
@@ -983,7 +1321,7 @@
         if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
         socket.emit('driver:mapLocation', {
           rideId,
-          chatId: Number(driverChatId),
+          driverToken: linkToken,
           lat: latitude,
           lng: longitude,
           heading: typeof heading === 'number' && isFinite(heading) ? heading : null,
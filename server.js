@@ -17,6 +17,8 @@ import passport from './src/auth/passport.js';
 import driverAuthRouter from './src/routes/driverAuth.js';
 import adminRouter from './src/routes/admin.js';
 import adminPrebook from "./src/routes/admin_prebook.js";
+import adminRateCards from "./src/routes/admin_ratecards.js";
+import adminSurge from "./src/routes/admin_surge.js";
 
 /* ---- Models ---- */
 import Ride from './src/models/Ride.js';
@@ -35,8 +37,8 @@ import inviteRiderRouter from './src/routes/inviteRider.js';
 import riderRouter from './src/routes/rider.js'; // 🆕 NEW
 
 /* ---- Bots (Telegram) ---- */
-import { initRiderBot, riderEvents, riderBot as RB } from './src/bots/riderBot.js';
-import { initDriverBot, driverEvents, driverBot as DB } from './src/bots/driverBot.js';
+import { initRiderBot, riderEvents, riderBot as RB, notifyRiderUnfulfilled } from './src/bots/riderBot.js';
+import { initDriverBot, driverEvents, driverBot as DB, withdrawDriverOffer } from './src/bots/driverBot.js';
 
 /* ---- Bots (WhatsApp: Riders) ---- */
 import {
@@ -46,6 +48,8 @@ import {
   getConnectionStatus,
   // sendWhatsAppMessage, // no longer used here for ride events
   resetWhatsAppSession,
+  notifyWhatsAppRiderUnfulfilled,
+  sendWhatsAppTo,
 } from './src/bots/whatsappBot.js';
 
 /* ---- Bots (WhatsApp: Drivers) ---- */
@@ -56,18 +60,36 @@ import {
   getDriverConnectionStatus,
   resetWhatsAppDriverSession,
   waNotifyDriverNewRequest,
+  waWithdrawDriverOffer,
   sendWhatsAppDriverMessage
 } from './src/bots/whatsappDriverBot.js';
 
 /* ---- Services ---- */
-// NOTE: assignNearestDriver removed from use to favor broadcast; keep others if needed elsewhere
-import { setEstimateOnRide, hasNumericChatId } from './src/services/assignment.js';
+import { setEstimateOnRide } from './src/services/assignment.js';
+import { estimatePrice } from './src/services/pricing.js';
+import { createDispatcher } from './src/services/dispatch.js';
+import { toGeoPoint, fromGeoPoint } from './src/services/geo.js';
+import { RIDER_CANCEL_REASONS, previewRiderCancel, cancelRideByRider } from './src/services/riderCancel.js';
+import { rideLifecycle, transitionRide, markRideStarted, markRideArrived, markRidePicked, ACTIVE_RIDE_STATUSES, PRE_PICKUP_STATUSES } from './src/services/rideLifecycle.js';
+import { NO_SHOW_REASON, NO_SHOW_WAIT_MIN, canChargeNoShow, waitedAtPickupMin, applyCancellationFee, describeCancellationFee } from './src/services/cancellationFees.js';
+import { migrateDriverLocations } from './src/migrations/driverLocationGeoJSON.js';
+import { migrateRideTripStatuses } from './src/migrations/rideTripStatuses.js';
+import { markStop } from './src/services/tripStops.js';
+import { geocodeAddress, proposeDestinationChange, confirmDestinationChange } from './src/services/destinationChange.js';
+import { signRideViewToken, verifyRideViewToken, verifyDriverToken, trackLink } from './src/services/rideTokens.js';
+import { requireRideLink } from './src/auth/rideLink.js';
+import { createTripShareLink, tripShareDetails, tripShareText } from './src/services/tripShare.js';
+import { sendTripShareEmail } from './src/services/mailer.js';
+import { updateRideEta } from './src/services/eta.js';
 
 /* ---- 🆕 Admin comms routes ---- */
 import adminRiderCommsRouter from './src/routes/adminRiderComms.js';
 
 /* ---- 🆕 Scheduler ---- */
 import { startPrebookScheduler } from './src/schedulers/prebook.js';
+import { startDispatchWatchdog } from './src/schedulers/dispatchWatchdog.js';
+import { startSurgeScheduler } from './src/schedulers/surge.js';
+import { recomputeSurge } from './src/services/surge.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -84,6 +106,11 @@ const TRACK_LINK_TTL_HOURS = Number(process.env.TRACK_LINK_TTL_HOURS || 24);
 await mongoose.connect(process.env.MONGODB_URI);
 console.log('✅ MongoDB connected');
 
+// Driver.location {lat,lng} → GeoJSON + 2dsphere (idempotent)
+try { await migrateDriverLocations(); } catch (e) { console.warn('⚠️ Driver location migration failed:', e?.message || e); }
+// live accepted/enroute rides with arrivedAt / pickedAt → arrived / in_progress (idempotent)
+try { await migrateRideTripStatuses(); } catch (e) { console.warn('⚠️ Ride status migration failed:', e?.message || e); }
+
 /* ---------------- App setup ---------------- */
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'src/views'));
@@ -128,16 +155,21 @@ app.use(adminRiderCommsRouter);
 
 app.use(finishRouter);
 
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || 'devsecret',
-    resave: false,
-    saveUninitialized: false,
-    cookie: { maxAge: 12 * 60 * 60 * 1000 },
-  })
-);
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || 'devsecret',
+  resave: false,
+  saveUninitialized: false,
+  cookie: { maxAge: 12 * 60 * 60 * 1000 },
+});
+app.use(sessionMiddleware);
 app.use(passport.initialize());
 app.use(passport.session());
+
+// Same session on the socket handshake, so admin dashboards can join the 'admins' room
+const onlyForHandshake = (mw) => (req, res, next) => (req._query?.sid === undefined ? mw(req, res, next) : next());
+io.engine.use(onlyForHandshake(sessionMiddleware));
+io.engine.use(onlyForHandshake(passport.initialize()));
+io.engine.use(onlyForHandshake(passport.session()));
 app.use((req, res, next) => { res.locals.user = req.user || null; next(); });
 
 /* ---------------- Seed Admin (optional) ---------------- */
@@ -170,7 +202,7 @@ console.log('🚗 Driver bot initialized');
 async function logActivity({ rideId, type, message, actorType = 'system', actorId = null, meta = {} }) {
   try {
     const a = await Activity.create({ rideId, type, message, actorType, actorId, meta });
-    io.emit('admin:activity', {
+    io.to('admins').emit('admin:activity', {
       _id: String(a._id),
       rideId: String(rideId),
       type,
@@ -185,6 +217,20 @@ async function logActivity({ rideId, type, message, actorType = 'system', actorI
   }
 }
 
+// Status changes are logged by the lifecycle service; relay them to the admin feed
+rideLifecycle.on('activity', (a) => {
+  io.to('admins').emit('admin:activity', {
+    _id: String(a._id),
+    rideId: String(a.rideId),
+    type: a.type,
+    message: a.message,
+    actorType: a.actorType,
+    actorId: a.actorId ?? null,
+    createdAt: a.createdAt,
+    meta: a.meta
+  });
+});
+
 /* ---------------- Contact helpers (Name & Phone) ---------------- */
 function jidToPhone(jid) {
   if (!jid) return null;
@@ -295,6 +341,8 @@ app.use('/driver', driverAuthRouter);
 app.use('/admin', adminRouter);
 
 app.use('/admin', adminPrebook);
+app.use('/admin', adminRateCards);
+app.use('/admin', adminSurge);
 
 /* ---------------- Rider dashboard API ---------------- */
 app.get('/api/rider-by-token/:token', async (req, res) => {
@@ -508,7 +556,7 @@ function isRideLinkExpired(ride) {
   return { expired: false, reason: null };
 }
 
-app.get('/api/ride/:rideId', async (req, res) => {
+app.get('/api/ride/:rideId', requireRideLink(), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.rideId).lean();
     if (!ride) return res.status(404).json({ error: 'Ride not found' });
@@ -538,30 +586,47 @@ app.get('/api/ride/:rideId', async (req, res) => {
     res.json({
       pickup: ride.pickup,
       destination: ride.destination,
+      stops: ride.stops || [],
       status: ride.status || 'pending',
       driverChatId,
-      pickedAt: ride.pickedAt || ride.startedAt || null,
+      role: req.rideLink.role,
+      viewToken: signRideViewToken(ride._id),
+      startedAt: ride.startedAt || null,
+      arrivedAt: ride.arrivedAt || null,
+      pickedAt: ride.pickedAt || null,
       completedAt: ride.completedAt || null,
       createdAt: ride.createdAt,
-      rider: { name: riderContact.name, phone: riderContact.phone || null },
-      driver: { name: driverContact.name, phone: driverContact.phone || null }
+      // shared (read-only) links don't get the rider's number
+      rider: { name: riderContact.name, phone: req.rideLink.role === 'viewer' ? null : riderContact.phone || null },
+      driver: {
+        name: driverContact.name,
+        phone: req.rideLink.role === 'viewer' ? null : driverContact.phone || null,
+        plate: driverContact.doc?.vehiclePlate || null,
+        car: [driverContact.doc?.vehicleColor, driverContact.doc?.vehicleMake, driverContact.doc?.vehicleModel].filter(Boolean).join(' ') || null,
+        vehiclePhoto: driverContact.doc?.documents?.vehiclePhoto || null
+      }
     });
   } catch {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/driver-last-loc/:chatId', async (req, res) => {
+app.get('/api/driver-last-loc/:chatId', requireRideLink(), async (req, res) => {
   try {
     const chatId = Number(req.params.chatId);
     if (Number.isNaN(chatId)) return res.status(400).json({});
+    // only the driver of the ride this link is for
+    const ride = await Ride.findById(req.query.rideId).select('driverId').lean();
+    const onRide = ride?.driverId ? await Driver.exists({ _id: ride.driverId, chatId }) : null;
+    if (!onRide) return res.status(403).json({});
     const driver = await Driver.findOne({ chatId }).lean();
-    if (!driver || !driver.location) {
+    const loc = fromGeoPoint(driver?.location);
+    if (!loc) {
       console.log(`ℹ️ No last location for driver chatId=${chatId}`);
       return res.json({});
     }
-    console.log(`↩️ API last loc chatId=${chatId} lat=${driver.location.lat} lng=${driver.location.lng}`);
-    res.json(driver.location);
+    console.log(`↩️ API last loc chatId=${chatId} lat=${loc.lat} lng=${loc.lng}`);
+    res.json(loc);
   } catch {
     res.json({});
   }
@@ -669,6 +734,10 @@ async function appendPathPoint(rideId, lat, lng, label = '') {
 }
 
 /* ---------------- Live driver broadcasts ---------------- */
+// Delivered to Socket.IO rooms only: `ride:<id>` (joined with a ride-view token)
+// and `driver:<chatId>` (the driver's own map, authenticated by a driver token)
+const roomSize = (room) => io.sockets.adapter.rooms.get(room)?.size || 0;
+
 driverEvents.on('driver:location', async ({ chatId, location }) => {
   try {
     const cId = Number(chatId);
@@ -676,21 +745,33 @@ driverEvents.on('driver:location', async ({ chatId, location }) => {
     if (typeof lat !== 'number' || typeof lng !== 'number') return;
 
     lastLocByDriver.set(cId, { lat, lng, ts: Date.now() });
-    io.emit(`driver:${cId}:location`, { lat, lng });
+    io.to(`driver:${cId}`).emit(`driver:${cId}:location`, { lat, lng });
 
     const drv = await Driver.findOne({ chatId: cId }).select('_id').lean();
     if (drv?._id) {
       const ride = await Ride.findOne({
         driverId: drv._id,
-        status: { $in: ['accepted', 'enroute'] }
+        status: { $in: ACTIVE_RIDE_STATUSES }
       }).sort({ updatedAt: -1 }).lean();
 
       if (ride?._id) {
-        io.emit(`ride:${ride._id}:driverLocation`, { lat, lng });
+        io.to(`ride:${ride._id}`).emit(`ride:${ride._id}:driverLocation`, { lat, lng });
 
         appendPathPoint(ride._id, lat, lng);
 
-        if (ride.status === 'accepted' && ride.pickup?.lat && ride.pickup?.lng) {
+        // Live ETA (throttled per ride) + one-off "almost there" to the rider
+        try {
+          const eta = await updateRideEta(ride, { lat, lng });
+          if (eta) {
+            const { nearPickup, ...payload } = eta;
+            io.to(`ride:${ride._id}`).emit(`ride:${ride._id}:eta`, payload);
+            if (nearPickup) driverEvents.emit('ride:near_pickup', { rideId: String(ride._id), etaSec: eta.etaSec });
+          }
+        } catch (e) {
+          console.warn('ETA update failed:', e?.message || e);
+        }
+
+        if (PRE_PICKUP_STATUSES.includes(ride.status) && ride.pickup?.lat && ride.pickup?.lng) {
           const dMeters = haversineMeters({ lat, lng }, ride.pickup);
           if (dMeters <= 35) {
             const now = new Date();
@@ -698,16 +779,12 @@ driverEvents.on('driver:location', async ({ chatId, location }) => {
             const COOLDOWN_MS = 20 * 1000;
             const cooled = now.getTime() - lastEmitTs > COOLDOWN_MS;
 
-            const result = await Ride.updateOne(
-              { _id: ride._id, arrivedNotified: { $ne: true } },
-              { $set: { arrivedNotified: true, arrivedAt: now, _lastArriveEmitAt: now } }
-            );
-            const firstTime = result.modifiedCount > 0;
+            const result = await markRideArrived(ride._id, { at: now, actorId: cId, meta: { by: 'gps', meters: Math.round(dMeters) } });
+            const firstTime = result.ok;
 
             if (firstTime || (ride.arrivedNotified && cooled)) {
               try {
-                driverEvents.emit('ride:arrived', { driverId: chatId, rideId: String(ride._id), firstTime });
-                io.emit(`ride:${ride._id}:arrived`);
+                driverEvents.emit('ride:arrived', { driverId: chatId, rideId: String(ride._id), firstTime, by: 'gps' });
               } finally {
                 if (!firstTime) {
                   await Ride.updateOne({ _id: ride._id }, { $set: { _lastArriveEmitAt: now } });
@@ -727,16 +804,19 @@ driverEvents.on('driver:location', async ({ chatId, location }) => {
         const staleMs = Date.now() - last.ts;
         if (staleMs > 2 * 60 * 1000) { stopDriverTicker(cId); return; }
 
-        io.emit(`driver:${cId}:location`, { lat: last.lat, lng: last.lng });
+        // nobody watching → nothing to send
+        if (roomSize(`driver:${cId}`)) io.to(`driver:${cId}`).emit(`driver:${cId}:location`, { lat: last.lat, lng: last.lng });
 
         try {
           const drv2 = await Driver.findOne({ chatId: cId }).select('_id').lean();
           if (!drv2?._id) return;
           const active = await Ride.findOne({
             driverId: drv2._id,
-            status: { $in: ['accepted', 'enroute'] }
+            status: { $in: ACTIVE_RIDE_STATUSES }
           }).sort({ updatedAt: -1 }).select('_id').lean();
-          if (active?._id) io.emit(`ride:${active._id}:driverLocation`, { lat: last.lat, lng: last.lng });
+          if (active?._id && roomSize(`ride:${active._id}`)) {
+            io.to(`ride:${active._id}`).emit(`ride:${active._id}:driverLocation`, { lat: last.lat, lng: last.lng });
+          }
         } catch {}
       }, 1000);
       tickerByDriver.set(cId, id);
@@ -746,86 +826,65 @@ driverEvents.on('driver:location', async ({ chatId, location }) => {
   }
 });
 
-/* ---------------- BOOKING DISPATCH PIPELINE (BROADCAST) ---------------- */
+/* ---------------- BOOKING DISPATCH PIPELINE (TIERED) ---------------- */
+async function sendTelegramOffer({ driver, ride }) {
+  const riderContact = await resolveRiderContactFromRide(ride);
+  return DB.sendMessage(driver.chatId, [
+    '🚗 <b>New Ride Request</b>',
+    `• Vehicle: <b>${(ride.vehicleType || 'normal').toUpperCase()}</b>`,
+    ride.estimate != null ? `• Estimate: <b>R${ride.estimate}</b>` : null,
+    riderContact?.name ? `• Rider: ${riderContact.name}${riderContact.phone ? ` (${riderContact.phone})` : ''}` : null,
+    driver.distance != null ? `• Distance to pickup: ~${driver.distance.toFixed(1)} km` : null,
+    ride.pickup ? `• Pickup: <a href="https://maps.google.com/?q=${ride.pickup.lat},${ride.pickup.lng}">Open Map</a>` : null,
+    ride.destination ? `• Drop: <a href="https://maps.google.com/?q=${ride.destination.lat},${ride.destination.lng}">Open Map</a>` : null,
+    '',
+    'Accept to proceed.'
+  ].filter(Boolean).join('\n'), {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ Accept', callback_data: `accept_${ride._id}` },
+        { text: '🙈 Ignore', callback_data: `ignore_${ride._id}` }
+      ]]
+    }
+  });
+}
+
+async function sendWhatsAppOffer({ driver, ride }) {
+  return waNotifyDriverNewRequest({ driver, ride, riderContact: await resolveRiderContactFromRide(ride) });
+}
+
+const dispatcher = createDispatcher({
+  logActivity,
+  offerTelegram: sendTelegramOffer,
+  offerWhatsApp: sendWhatsAppOffer,
+  withdrawTelegram: ({ offer, text }) => withdrawDriverOffer({ chatId: offer.chatId, messageId: offer.messageId, text }),
+  withdrawWhatsApp: ({ offer, text }) => waWithdrawDriverOffer({ to: offer.phone, rideId: offer.ride, text })
+});
+
 /**
- * Broadcast a ride request to ALL approved drivers (Telegram + WhatsApp),
- * regardless of online/offline. First accept wins (atomic in driver bot).
+ * Offer a ride to nearby ONLINE drivers in expanding waves
+ * (see services/dispatch.js). First accept wins (atomic in driver bots).
  */
 async function dispatchToNearestDriver({ rideId, excludeDriverIds = [] }) {
-  // NOTE: function name kept for compatibility, but behavior is BROADCAST.
-  console.log('[dispatch:broadcast] rideId=', rideId);
+  // NOTE: function name kept for compatibility; behavior is tiered waves.
+  console.log('[dispatch:tiered] rideId=', rideId);
 
   const ride = await Ride.findById(rideId);
-  if (!ride || (ride.status !== 'pending' && ride.status !== 'scheduled')) return;
-
-  // (Optional) attempt to set estimate using a sample driver location if present; ignore failures
-  try { await setEstimateOnRide(ride._id, null); } catch {}
-
-  const excludeSet = new Set((excludeDriverIds || []).map(String));
+  if (!ride || ride.status !== 'pending') return;
 
-  // ALL approved drivers with a Telegram chatId
-  const tgDrivers = await Driver.find({
-    status: 'approved',
-    chatId: { $exists: true, $ne: null }
-  }).select('_id chatId name email isAvailable').limit(5000).lean();
-
-  // Broadcast to Telegram drivers
-  for (const d of tgDrivers) {
-    if (excludeSet.has(String(d._id))) continue;
-    if (!hasNumericChatId(d)) continue;
-    try {
-      const riderContact = await resolveRiderContactFromRide(ride);
-      await DB.sendMessage(d.chatId, [
-        '🚗 <b>New Ride Request</b>',
-        `• Vehicle: <b>${(ride.vehicleType || 'normal').toUpperCase()}</b>`,
-        ride.estimate != null ? `• Estimate: <b>R${ride.estimate}</b>` : null,
-        riderContact?.name ? `• Rider: ${riderContact.name}${riderContact.phone ? ` (${riderContact.phone})` : ''}` : null,
-        ride.pickup ? `• Pickup: <a href="https://maps.google.com/?q=${ride.pickup.lat},${ride.pickup.lng}">Open Map</a>` : null,
-        ride.destination ? `• Drop: <a href="https://maps.google.com/?q=${ride.destination.lat},${ride.destination.lng}">Open Map</a>` : null,
-        '',
-        'Accept to proceed.'
-      ].filter(Boolean).join('\n'), {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [[
-            { text: '✅ Accept', callback_data: `accept_${ride._id}` },
-            { text: '🙈 Ignore', callback_data: `ignore_${ride._id}` }
-          ]]
-        }
-      });
-    } catch (e) {
-      console.warn('Broadcast TG failed for driver', d?.chatId, e?.message || e);
-    }
-  }
-
-  // Broadcast to WhatsApp drivers (if linked)
+  // Start the watchdog clock once per pending spell (cleared on re-dispatch / retry)
   try {
-    const waDrivers = await Driver.find({
-      status: 'approved',
-      waJid: { $exists: true, $ne: null }
-    }).select('_id waJid name').limit(5000).lean();
+    await Ride.updateOne({ _id: ride._id, dispatchStartedAt: null }, { $set: { dispatchStartedAt: new Date() } });
+  } catch {}
 
-    for (const d of waDrivers) {
-      if (excludeSet.has(String(d._id))) continue;
-      try {
-        await waNotifyDriverNewRequest({ driver: d, ride, riderContact: await resolveRiderContactFromRide(ride) });
-      } catch (e) {
-        console.warn('Broadcast WA failed for driver', d?.waJid, e?.message || e);
-      }
-    }
-  } catch (e) {
-    console.warn('WA broadcast driver query failed:', e?.message || e);
+  // (Optional) refresh the estimate before offers go out; ignore failures
+  if (!dispatcher.isActive(ride._id)) {
+    try { await setEstimateOnRide(ride._id, null); } catch {}
   }
 
-  try {
-    await logActivity({
-      rideId: ride._id,
-      type: 'broadcast',
-      actorType: 'system',
-      message: `Broadcasted ride to approved drivers (${tgDrivers.length}+ TG, WA included if connected)`,
-      meta: { tgDrivers: tgDrivers.length }
-    });
-  } catch {}
+  const excluded = [...(ride.excludedDriverIds || []), ...(excludeDriverIds || [])];
+  await dispatcher.dispatch({ rideId: String(ride._id), excludeDriverIds: excluded });
 }
 
 riderEvents.on('booking:new', async ({ rideId }) => {
@@ -838,6 +897,73 @@ riderEvents.on('booking:new', async ({ rideId }) => {
   }
 });
 
+riderEvents.on('booking:cancelled', async ({ rideId, reason = null, note = null, previousStatus = null, driverId = null, fee = null }) => {
+  try {
+    if (!rideId) return;
+    // the cancel itself is logged by the lifecycle service
+    await dispatcher.stop(rideId, { outcome: 'cancelled' });
+
+    io.to(`ride:${rideId}`).emit(`ride:${rideId}:cancelled`, { reason, by: 'rider' });
+    if (driverId) await releaseDriverAfterRiderCancel({ rideId, driverId, reason, fee });
+  } catch (e) {
+    console.error('booking:cancelled handler error:', e?.message || e);
+  }
+});
+
+/* Rider moved the drop-off (bots / track page): driver's map + a heads-up */
+riderEvents.on('booking:destination_changed', async ({ rideId }) => {
+  try {
+    const ride = await Ride.findById(rideId).lean();
+    const change = ride?.destinationChanges?.at(-1);
+    if (!change) return;
+
+    io.to(`ride:${rideId}`).emit(`ride:${rideId}:destination`, { destination: ride.destination, price: change.price, previousPrice: change.previousPrice ?? null });
+
+    const where = change.to?.address || `${change.to.lat.toFixed(5)}, ${change.to.lng.toFixed(5)}`;
+    const map = `https://maps.google.com/?q=${change.to.lat},${change.to.lng}`;
+    await messageRideDriver(ride.driverId, {
+      tg: `📍 The rider changed the destination to ${where}.\nNew fare: R${change.price}\n${map}`,
+      wa: `📍 *The rider changed the destination* to ${where}.\nNew fare: *R${change.price}*\n${map}`
+    });
+  } catch (e) {
+    console.error('booking:destination_changed handler error:', e?.message || e);
+  }
+});
+
+/** Tell the assigned driver the rider cancelled and put them back in the offer pool */
+async function releaseDriverAfterRiderCancel({ rideId, driverId, reason, fee }) {
+  const drv = await Driver.findById(driverId).lean();
+  if (!drv) return;
+
+  if (drv.status === 'approved') {
+    await Driver.updateOne({ _id: drv._id }, { $set: { isAvailable: true, lastSeenAt: new Date() } });
+  }
+  // a carried-over cash fee (or an unpaid pay link) only counts once the rider settles it
+  const feePaid = ['retained', 'charged'].includes(fee?.status);
+  if (fee?.driverShare && feePaid) Driver.computeAndUpdateStats(drv._id).catch(() => {});
+
+  const feeLine = !fee?.driverShare ? ''
+    : feePaid ? `\n💸 R${fee.driverShare} late-cancellation share added to your earnings.`
+    : `\n💸 Your R${fee.driverShare} late-cancellation share will be paid once the rider settles the fee.`;
+  const short = String(rideId).slice(-4);
+  if (Number.isFinite(Number(drv.chatId)) && drv.chatId != null) {
+    try {
+      await DB.sendMessage(
+        Number(drv.chatId),
+        `❌ <b>The rider cancelled trip ${short}.</b>\n• Reason: <i>${reason || 'not given'}</i>${feeLine}\n\nYou're back online for new requests.`,
+        { parse_mode: 'HTML' }
+      );
+    } catch {}
+  } else if (drv.phone) {
+    try {
+      await sendWhatsAppDriverMessage(
+        drv.phone,
+        `❌ *The rider cancelled trip ${short}.*\n• Reason: ${reason || 'not given'}${feeLine}\n\nYou're back online for new requests.`
+      );
+    } catch {}
+  }
+}
+
 driverEvents.on('ride:ignored', async ({ previousDriverId, ride }) => {
   try {
     if (!ride || !ride._id) return;
@@ -848,8 +974,10 @@ driverEvents.on('ride:ignored', async ({ previousDriverId, ride }) => {
       actorId: String(previousDriverId),
       message: `Driver ${previousDriverId} ignored the ride`
     });
-    // Re-broadcast (optionally exclude the previous driver)
-    const prevDriver = await Driver.findOne({ chatId: Number(previousDriverId) }).lean();
+    // Feed the decline back into dispatch (widens early once the whole wave declined)
+    const prevDriver = Number.isFinite(Number(previousDriverId))
+      ? await Driver.findOne({ $or: [{ chatId: Number(previousDriverId) }, { phone: String(previousDriverId) }] }).lean()
+      : null;
     const excludeIds = prevDriver ? [prevDriver._id] : [];
     await dispatchToNearestDriver({ rideId: String(ride._id), excludeDriverIds: excludeIds });
   } catch (e) {
@@ -868,17 +996,12 @@ driverEvents.on('ride:accepted', async ({ driverId, rideId }) => {
       if (drv) { ride.driverId = drv._id; await ride.save(); }
     }
 
-    await logActivity({
-      rideId,
-      type: 'accepted',
-      actorType: 'driver',
-      actorId: String(driverId),
-      message: `Driver ${driverId} accepted the ride`
-    });
+    // First accept wins → no more waves; everyone else's Accept button is withdrawn
+    // (the accept itself is logged by the lifecycle service)
+    try { await dispatcher.stop(rideId, { acceptedDriverId: ride.driverId }); } catch {}
 
-    const base = `${process.env.PUBLIC_URL}/track.html?rideId=${encodeURIComponent(rideId)}`;
-    const riderLink  = base;
-    const driverLink = `${base}&as=driver&driverChatId=${encodeURIComponent(driverId)}`;
+    const riderLink  = trackLink(rideId, 'rider');
+    const driverLink = trackLink(rideId, 'driver', { driverKey: driverId });
 
     const riderContact = await resolveRiderContactFromRide(ride);
     const driverContact = await resolveDriverContact({ driverId: ride.driverId, driverChatId: driverId });
@@ -912,191 +1035,570 @@ driverEvents.on('ride:accepted', async ({ driverId, rideId }) => {
   } catch (e) {
     console.warn('ride:accepted handler failed:', e?.message || e);
   }
+
+  try { await shareTripWithTrustedContacts(rideId); } catch (e) { console.warn('trusted contacts share failed:', e?.message || e); }
+});
+
+/** Send the rider's trusted contacts the share-my-trip link (once per trip: WhatsApp to a phone, else email) */
+async function shareTripWithTrustedContacts(rideId) {
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, trustedContactsNotifiedAt: null },
+    { $set: { trustedContactsNotifiedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!ride) return;
+
+  const details = await tripShareDetails(ride);
+  const contacts = details.rider?.trustedContacts || [];
+  if (!contacts.length) return;
+
+  const link = await createTripShareLink(ride._id);
+  if (!link.ok) return;
+  const text = tripShareText(details, link.url);
+
+  let sent = 0;
+  for (const c of contacts) {
+    try {
+      if (c.phone) await sendWhatsAppTo(c.phone, text);
+      else if (c.email) await sendTripShareEmail(c.email, { ...details, contactName: c.name, url: link.url });
+      else continue;
+      sent++;
+    } catch (e) {
+      console.warn('trip share to contact failed:', e?.message || e);
+    }
+  }
+
+  if (sent) {
+    await logActivity({
+      rideId: ride._id,
+      type: 'share',
+      actorType: 'system',
+      message: `Shared the live trip with ${sent} trusted contact${sent === 1 ? '' : 's'}`,
+      meta: { contacts: sent }
+    });
+  }
+}
+
+/** Message the ride's driver on whichever bot they use (TG chat first, else WhatsApp) */
+async function messageRideDriver(driverId, { tg, wa }) {
+  const drv = driverId ? await Driver.findById(driverId).select('chatId phone').lean() : null;
+  if (!drv) return;
+  if (Number.isFinite(Number(drv.chatId)) && drv.chatId != null) {
+    try { await DB.sendMessage(Number(drv.chatId), tg); } catch {}
+  } else if (drv.phone) {
+    try { await sendWhatsAppDriverMessage(drv.phone, wa ?? tg); } catch {}
+  }
+}
+
+// Driver is about to reach the pickup (services/eta.js, once per ride)
+driverEvents.on('ride:near_pickup', async ({ rideId, etaSec }) => {
+  try {
+    const ride = await Ride.findById(rideId).select('riderChatId').lean();
+    const min = Math.max(1, Math.round(etaSec / 60));
+    try { if (ride?.riderChatId) await RB.sendMessage(ride.riderChatId, `🚗 Your driver is about ${min} minute${min === 1 ? '' : 's'} away. Please head to the pickup point.`); } catch {}
+    // WhatsApp rider "near" message is handled in whatsappBot.js
+  } catch (e) {
+    console.warn('ride:near_pickup handler failed:', e?.message || e);
+  }
 });
 
-driverEvents.on('ride:arrived', async ({ rideId, firstTime = false }) => {
+driverEvents.on('ride:arrived', async ({ rideId, firstTime = false, by = null }) => {
   try {
     const ride = await Ride.findById(rideId);
     if (!ride) return;
 
-    await logActivity({ rideId, type: 'arrived', actorType: 'driver', message: 'Driver arrived at pickup' });
-
     if (firstTime) {
       try { if (ride.riderChatId) await RB.sendMessage(ride.riderChatId, '📍 Your driver has arrived at the pickup point.'); } catch {}
       // WhatsApp rider "arrived" message is handled in whatsappBot.js
+
+      // GPS noticed it for them: tell the driver what's next
+      if (by === 'gps') {
+        await messageRideDriver(ride.driverId, {
+          tg: '📍 Arrival detected at pickup. Tap “Picked up” on the trip map once the rider is in.',
+          wa: '📍 Arrival detected at pickup. Reply *PICKED* once the rider is in.'
+        });
+      }
     }
 
-    io.emit(`ride:${rideId}:arrived`);
+    io.to(`ride:${rideId}`).emit(`ride:${rideId}:arrived`, { status: ride.status, arrivedAt: ride.arrivedAt });
   } catch (e) {
     console.warn('ride:arrived handler failed:', e?.message || e);
   }
 });
 
-/* Picked event (admin feed) */
-driverEvents.on('ride:picked', async ({ rideId }) => {
+driverEvents.on('ride:started', async ({ rideId }) => {
   try {
-    await logActivity({ rideId, type: 'picked', actorType: 'driver', message: 'Rider picked up', meta: { by: 'unknown' } });
+    const ride = await Ride.findById(rideId);
+    if (!ride) return;
+
+    try { if (ride.riderChatId) await RB.sendMessage(ride.riderChatId, '🚗 Your driver is on the way to you.'); } catch {}
+    // WhatsApp rider "started" message is handled in whatsappBot.js
+
+    io.to(`ride:${rideId}`).emit(`ride:${rideId}:started`, { status: ride.status, startedAt: ride.startedAt });
   } catch (e) {
-    console.warn('ride:picked handler failed:', e?.message || e);
+    console.warn('ride:started handler failed:', e?.message || e);
   }
 });
 
-driverEvents.on('ride:started', async ({ rideId, by }) => {
+driverEvents.on('ride:picked', async ({ rideId }) => {
   try {
     const ride = await Ride.findById(rideId);
     if (!ride) return;
 
-    try { await Ride.updateOne({ _id: rideId }, { $unset: { _lastArriveEmitAt: 1 } }); } catch {}
+    try { if (ride.riderChatId) await RB.sendMessage(ride.riderChatId, '✅ You have been picked up. Heading to your destination now.'); } catch {}
+    // WhatsApp rider "picked" message is handled in whatsappBot.js
 
-    await logActivity({ rideId, type: 'started', actorType: 'driver', message: 'Trip started', meta: { by: by || 'unknown' } });
-
-    const origin = (by || '').toLowerCase();
-    const skipNotify = origin === 'web' || origin === 'driver_bot';
-    if (skipNotify) return;
-
-    try { if (ride.riderChatId) await RB.sendMessage(ride.riderChatId, '▶️ Your trip has started. Enjoy the ride!'); } catch {}
-    // WhatsApp rider "started" message is handled in whatsappBot.js
+    io.to(`ride:${rideId}`).emit(`ride:${rideId}:picked`, { status: ride.status, pickedAt: ride.pickedAt });
   } catch (e) {
-    console.warn('ride:started handler failed:', e?.message || e);
+    console.warn('ride:picked handler failed:', e?.message || e);
   }
 });
 
-/* ---------------- Start/Picked/Cancel APIs (web UI buttons) ---------------- */
-app.post('/api/ride/:rideId/start', async (req, res) => {
-  try {
-    const { rideId } = req.params;
-    const ride = await Ride.findById(rideId);
-    if (!ride) return res.status(404).json({ error: 'Ride not found' });
-
-    if (!['enroute','completed','cancelled'].includes(ride.status)) {
-      ride.status = 'enroute';
-      await ride.save();
+/* ---------------- Start/Arrived/Picked/Cancel APIs (web UI buttons) ---------------- */
+// Each step answers { ok, status } (already: true when the ride is past it)
+function driverStepRoute(mark, event) {
+  return async (req, res) => {
+    try {
+      const { rideId } = req.params;
+      const out = await mark(rideId, { meta: { by: 'web' } });
+      if (!out.ok) {
+        if (out.reason === 'not_found') return res.status(404).json({ error: 'Ride not found' });
+        if (out.reason === 'already') return res.json({ ok: true, already: true, status: out.status });
+        return res.status(409).json({ error: 'invalid_transition', status: out.status });
+      }
+      try { driverEvents.emit(event, { rideId: String(out.ride._id), firstTime: true, by: 'web' }); } catch {}
+      return res.json({ ok: true, status: out.ride.status });
+    } catch (err) {
+      console.error(`POST /api/ride/:rideId (${event}) error`, err);
+      return res.status(500).json({ error: 'Internal error' });
     }
+  };
+}
 
-    const riderChatId = ride.riderChatId || ride.riderTelegramChatId || ride.rider?.chatId || null;
-    if (riderChatId && riderBot) {
-      try { await riderBot.sendMessage(Number(riderChatId), '🚗 Your driver has started the trip and is heading to you.'); } catch {}
+app.post('/api/ride/:rideId/start', requireRideLink('driver'), driverStepRoute(markRideStarted, 'ride:started'));
+app.post('/api/ride/:rideId/arrived', requireRideLink('driver'), driverStepRoute(markRideArrived, 'ride:arrived'));
+app.post('/api/ride/:rideId/picked', requireRideLink('driver'), driverStepRoute(markRidePicked, 'ride:picked'));
+
+// Intermediate stops, in order, once the rider is on board ({ ok, stops } like the steps above)
+app.post('/api/ride/:rideId/stops/:index/:step(arrived|departed)', requireRideLink('driver'), async (req, res) => {
+  try {
+    const { rideId, index, step } = req.params;
+    const out = await markStop(rideId, index, step);
+    if (!out.ok) {
+      if (out.reason === 'not_found') return res.status(404).json({ error: 'Ride not found' });
+      if (out.reason === 'already') return res.json({ ok: true, already: true });
+      return res.status(409).json({ error: out.reason });
     }
 
-    try { driverEvents.emit('ride:started', { rideId: ride._id.toString(), by: 'web' }); } catch {}
-    return res.json({ ok: true });
+    const ride = out.ride;
+    await logActivity({
+      rideId: ride._id,
+      type: 'stop',
+      actorType: 'driver',
+      actorId: ride.driverChatId != null ? String(ride.driverChatId) : null,
+      message: `Driver ${step === 'arrived' ? 'reached' : 'left'} stop ${out.index + 1} of ${ride.stops.length}`,
+      meta: { index: out.index, step }
+    });
+    io.to(`ride:${ride._id}`).emit(`ride:${ride._id}:stop`, { index: out.index, step, stops: ride.stops });
+    return res.json({ ok: true, stops: ride.stops });
   } catch (err) {
-    console.error('POST /api/ride/:rideId/start error', err);
+    console.error('POST /api/ride/:rideId/stops error', err);
     return res.status(500).json({ error: 'Internal error' });
   }
 });
 
-app.post('/api/ride/:rideId/picked', async (req, res) => {
+/* ---------------- Re-dispatch on driver cancel ---------------- */
+const REDISPATCH_ON_DRIVER_CANCEL = String(process.env.REDISPATCH_ON_DRIVER_CANCEL ?? 'true').toLowerCase() !== 'false';
+const MAX_REDISPATCHES = Number(process.env.MAX_REDISPATCHES || 3);
+
+function canRedispatchAfterCancel(ride) {
+  return REDISPATCH_ON_DRIVER_CANCEL &&
+    !!ride.driverId &&
+    PRE_PICKUP_STATUSES.includes(ride.status) &&
+    !ride.pickedAt &&
+    (ride.redispatchCount || 0) < MAX_REDISPATCHES;
+}
+
+/**
+ * Put an accepted ride back to `pending`, excluding the cancelling driver.
+ * The original quote is kept unless a fresh one comes out cheaper (and nothing is paid yet).
+ */
+async function redispatchAfterDriverCancel({ ride, reason, note, cancelLat, cancelLng }) {
+  const prevDriverId = ride.driverId;
+  const prevDriverChatId = ride.driverChatId ?? null;
+
+  let cancelDistanceKm = null;
+  if (cancelLat != null && cancelLng != null && ride.pickup?.lat && ride.pickup?.lng) {
+    cancelDistanceKm = Number((haversineMeters(ride.pickup, { lat: cancelLat, lng: cancelLng }) / 1000).toFixed(2));
+  }
+
+  const out = await transitionRide(ride._id, 'pending', {
+    from: PRE_PICKUP_STATUSES,
+    match: { driverId: prevDriverId, pickedAt: null },
+    set: { arrivedNotified: false, nearPickupNotified: false, arrivedAt: null, _lastArriveEmitAt: null },
+    update: {
+      $unset: { driverId: 1, driverChatId: 1, acceptedAt: 1, startedAt: 1, dispatchStartedAt: 1 },
+      $push: {
+        driverAttempts: {
+          driverId: prevDriverId,
+          driverChatId: prevDriverChatId,
+          acceptedAt: ride.acceptedAt || null,
+          cancelledAt: new Date(),
+          reason: reason || null,
+          note: note || null,
+          cancelDistanceKm
+        }
+      },
+      $addToSet: { excludedDriverIds: prevDriverId },
+      $inc: { redispatchCount: 1 }
+    },
+    activity: (r) => ({
+      type: 'redispatch',
+      actorType: 'driver',
+      actorId: prevDriverChatId != null ? String(prevDriverChatId) : String(prevDriverId),
+      message: `Driver cancelled (${reason || 'unspecified'}) — finding a new driver (attempt ${r.driverAttempts.length + 1})`,
+      meta: {
+        attempt: r.driverAttempts.length + 1,
+        previousDriverId: String(prevDriverId),
+        previousDriverChatId: prevDriverChatId,
+        excludedDriverIds: (r.excludedDriverIds || []).map(String),
+        reason: reason || null,
+        note: note || null,
+        cancelDistanceKm
+      }
+    })
+  });
+  if (!out.ok) return { ok: false };
+  const updated = out.ride;
+
+  // Backing out counts against the driver's reliability (dispatch ranking)
+  Driver.computeAndUpdateReliability(prevDriverId).catch(() => {});
+
+  // Quote: keep the original unless a fresh one is lower (never re-price a paid ride)
+  const quote = { previous: updated.estimate ?? null, fresh: null, kept: true };
+  if (updated.paymentStatus !== 'paid') {
+    try {
+      const { price } = await estimatePrice({
+        pickup: updated.pickup,
+        destination: updated.destination,
+        stops: updated.stops || [],
+        vehicleType: updated.vehicleType || 'normal'
+      });
+      const pct = Number(updated.promoDiscountPct || 0);
+      quote.fresh = pct > 0 ? Math.round(price * (1 - pct)) : price;
+      if (quote.previous == null || quote.fresh < quote.previous) {
+        const set = { estimate: quote.fresh };
+        if (updated.quote) set['quote.price'] = quote.fresh; // receipt compares against what the rider was last told
+        await Ride.updateOne({ _id: updated._id, status: 'pending' }, { $set: set });
+        updated.estimate = quote.fresh;
+        quote.kept = false;
+      }
+    } catch (e) {
+      console.warn('re-quote failed, keeping original:', e?.message || e);
+    }
+  }
+
+  if (!quote.kept) {
+    await logActivity({
+      rideId: updated._id,
+      type: 'system',
+      message: `Fare re-quoted after driver cancel: R${quote.previous ?? '—'} → R${quote.fresh}`,
+      meta: { quote }
+    });
+  }
+
+  // Rider: Telegram here, WhatsApp via whatsappBot listener
+  const fareLine = updated.estimate != null
+    ? (quote.kept ? `Your fare stays <b>R${updated.estimate}</b>.` : `Good news — your fare dropped to <b>R${updated.estimate}</b>.`)
+    : '';
+  if (updated.riderChatId) {
+    try {
+      await RB.sendMessage(
+        Number(updated.riderChatId),
+        `⚠️ <b>Your driver had to cancel.</b>\n🔎 We're finding you a new driver now. ${fareLine}`.trim(),
+        { parse_mode: 'HTML' }
+      );
+    } catch {}
+  }
+  try { driverEvents.emit('ride:redispatched', { rideId: String(updated._id), estimate: updated.estimate, fareKept: quote.kept }); } catch {}
+
+  // Close the cancelling driver's map; the rider gets a fresh link on the next accept
+  io.to(`ride:${updated._id}`).emit(`ride:${updated._id}:cancelled`, { reason: reason || null, redispatch: true, cancelDistanceKm });
+
+  await dispatchToNearestDriver({ rideId: String(updated._id), excludeDriverIds: updated.excludedDriverIds || [] });
+  return { ok: true, estimate: updated.estimate };
+}
+
+/* Rider-side cancel (track page); bots call cancelRideByRider directly */
+app.get('/api/ride/:rideId/rider-cancel', requireRideLink('rider'), async (req, res) => {
   try {
-    const { rideId } = req.params;
-    const ride = await Ride.findById(rideId);
+    const ride = await Ride.findById(req.params.rideId).lean();
     if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    const preview = await previewRiderCancel(ride);
+    return res.json({ ...preview, reasons: RIDER_CANCEL_REASONS });
+  } catch (err) {
+    console.error('GET /api/ride/:rideId/rider-cancel error', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
 
-    if (!['enroute','completed','cancelled'].includes(ride.status)) {
-      ride.status = 'enroute';
-      await ride.save();
+app.post('/api/ride/:rideId/rider-cancel', requireRideLink('rider'), async (req, res) => {
+  try {
+    const { reason, note } = req.body || {};
+    const out = await cancelRideByRider(req.params.rideId, { reason, note });
+    if (!out.ok) {
+      const code = out.error === 'not_found' ? 404 : out.error === 'bad_reason' ? 400 : 409;
+      return res.status(code).json({ error: out.error, status: out.status ?? null, reasons: out.error === 'bad_reason' ? RIDER_CANCEL_REASONS : undefined });
     }
 
-    const riderChatId = ride.riderChatId || ride.riderTelegramChatId || ride.rider?.chatId || null;
-    if (riderChatId && riderBot) {
-      try { await riderBot.sendMessage(Number(riderChatId), '✅ You have been picked up. Heading to your destination now.'); } catch {}
+    const { ride, fee } = out;
+    try {
+      riderEvents.emit('booking:cancelled', {
+        rideId: String(ride._id), reason: out.reason, note: note || null,
+        previousStatus: out.previousStatus, driverId: out.driverId, fee
+      });
+    } catch {}
+
+    const payLink = fee?.status === 'charge_pending' && process.env.PUBLIC_URL
+      ? `${process.env.PUBLIC_URL.replace(/\/$/, '')}/pay/${ride._id}`
+      : null;
+    return res.json({
+      ok: true,
+      fee: fee ? { kind: fee.kind, amount: fee.amount, status: fee.status, message: describeCancellationFee(fee, { payLink }) } : null,
+      refund: ride.refundStatus === 'required' ? { amount: ride.refundAmount ?? null } : null
+    });
+  } catch (err) {
+    console.error('POST /api/ride/:rideId/rider-cancel error', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+/* Rider changes the destination from the track page: quote first, then confirm */
+app.post('/api/ride/:rideId/destination/quote', requireRideLink('rider'), async (req, res) => {
+  try {
+    const { lat, lng, address, query } = req.body || {};
+    const dest = query ? await geocodeAddress(query) : { lat, lng, address };
+    if (!dest) return res.status(400).json({ error: 'not_found_address' });
+
+    const out = await proposeDestinationChange(req.params.rideId, dest, { channel: 'web' });
+    if (!out.ok) {
+      const code = out.error === 'not_found' ? 404 : ['bad_destination', 'same_destination'].includes(out.error) ? 400 : 409;
+      return res.status(code).json({ error: out.error, status: out.status ?? null });
     }
+    const { address: to, price, previousPrice, km, expiresAt } = out.proposal;
+    return res.json({ ok: true, address: to, price, previousPrice, km, expiresAt });
+  } catch (err) {
+    console.error('POST /api/ride/:rideId/destination/quote error', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
 
-    try { driverEvents.emit('ride:picked', { rideId: ride._id.toString(), by: 'web' }); } catch {}
-    return res.json({ ok: true });
+app.post('/api/ride/:rideId/destination/confirm', requireRideLink('rider'), async (req, res) => {
+  try {
+    const out = await confirmDestinationChange(req.params.rideId);
+    if (!out.ok) {
+      const code = out.error === 'not_found' ? 404 : 409;
+      return res.status(code).json({ error: out.error, status: out.status ?? null });
+    }
+    try { riderEvents.emit('booking:destination_changed', { rideId: String(out.ride._id) }); } catch {}
+    return res.json({ ok: true, destination: out.ride.destination, price: out.change.price });
   } catch (err) {
-    console.error('POST /api/ride/:rideId/picked error', err);
+    console.error('POST /api/ride/:rideId/destination/confirm error', err);
     return res.status(500).json({ error: 'Internal error' });
   }
 });
 
-app.post('/api/ride/:rideId/cancel', async (req, res) => {
+/* Rider shares a read-only view of the trip (family, friends); it stops working when the trip ends */
+app.post('/api/ride/:rideId/share', requireRideLink('rider'), async (req, res) => {
   try {
-    const { rideId } = req.params;
-    const { reason, note } = req.body || {};
-    const ride = await Ride.findById(rideId);
-    if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    const out = await createTripShareLink(req.params.rideId);
+    if (!out.ok) return res.status(out.error === 'not_found' ? 404 : 410).json({ error: out.error, status: out.status ?? null });
+    return res.json({ ok: true, url: out.url });
+  } catch (err) {
+    console.error('POST /api/ride/:rideId/share error', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
 
-    let cancelLat = null, cancelLng = null;
-    if (ride.driverId) {
-      const drv = await Driver.findById(ride.driverId).lean();
-      if (drv?.location && typeof drv.location.lat === 'number' && typeof drv.location.lng === 'number') {
-        cancelLat = drv.location.lat;
-        cancelLng = drv.location.lng;
-        await appendPathPoint(ride._id, cancelLat, cancelLng, 'CANCEL');
-      }
+/**
+ * Driver cancels their active ride (map button or WhatsApp "cancel").
+ * Before pickup it is re-dispatched when possible; a no-show is only allowed
+ * after the wait at pickup and charges the rider.
+ * → { ok: true, redispatched?, estimate?, fee? } | { ok: false, error, status?, ... }
+ */
+async function cancelRideAsDriver({ rideId, reason, note, by = 'web' }) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) return { ok: false, error: 'not_found' };
+  if (!ACTIVE_RIDE_STATUSES.includes(ride.status)) return { ok: false, error: 'invalid_transition', status: ride.status };
+
+  let cancelLat = null, cancelLng = null;
+  if (ride.driverId) {
+    const drv = await Driver.findById(ride.driverId).lean();
+    const drvLoc = fromGeoPoint(drv?.location);
+    if (drvLoc) {
+      cancelLat = drvLoc.lat;
+      cancelLng = drvLoc.lng;
+      await appendPathPoint(ride._id, cancelLat, cancelLng, 'CANCEL');
     }
+  }
 
-    if (ride.status !== 'cancelled') {
-      ride.status = 'cancelled';
-      try {
-        ride.cancellationReason = reason || null;
-        ride.cancellationNote = (reason === 'Other' ? (note || '') : note) || null;
-      } catch {}
-      ride.cancelledAt = new Date();
-      ride.cancelledBy = 'driver';
+  // Rider never showed: only once the driver has waited long enough at pickup
+  const noShow = reason === NO_SHOW_REASON;
+  if (noShow && !canChargeNoShow(ride)) {
+    const waited = Math.floor(waitedAtPickupMin(ride));
+    return {
+      ok: false,
+      error: 'no_show_too_early',
+      waitMin: Math.max(0, NO_SHOW_WAIT_MIN - waited),
+      message: ride.arrivedAt
+        ? `Please wait ${NO_SHOW_WAIT_MIN} minutes at pickup before cancelling as a no-show.`
+        : 'Mark yourself as arrived at pickup first.'
+    };
+  }
 
-      if (cancelLat != null && cancelLng != null && ride.pickup?.lat && ride.pickup?.lng) {
-        const meters = haversineMeters({ lat: ride.pickup.lat, lng: ride.pickup.lng }, { lat: cancelLat, lng: cancelLng });
-        ride.cancelDriverLoc = { lat: cancelLat, lng: cancelLng };
-        ride.cancelDistanceKm = Number((meters / 1000).toFixed(2));
-      }
+  // Driver backed out before pickup → put the ride back out instead of killing it
+  if (!noShow && canRedispatchAfterCancel(ride)) {
+    const out = await redispatchAfterDriverCancel({ ride, reason, note, cancelLat, cancelLng });
+    if (out.ok) return { ok: true, redispatched: true, estimate: out.estimate };
+  }
 
-      await ride.save();
-    }
+  const set = {
+    cancellationReason: reason || null,
+    cancellationNote: (reason === 'Other' ? (note || '') : note) || null,
+    cancelledAt: new Date(),
+    cancelledBy: 'driver'
+  };
+  if (cancelLat != null && cancelLng != null && ride.pickup?.lat && ride.pickup?.lng) {
+    const meters = haversineMeters({ lat: ride.pickup.lat, lng: ride.pickup.lng }, { lat: cancelLat, lng: cancelLng });
+    set.cancelDriverLoc = { lat: cancelLat, lng: cancelLng };
+    set.cancelDistanceKm = Number((meters / 1000).toFixed(2));
+  }
 
-    const riderChatId = ride.riderChatId || ride.riderTelegramChatId || ride.rider?.chatId || null;
-    if (riderChatId && riderBot) {
-      const cleanReason = String(reason || 'Trip cancelled').trim();
-      const cleanNote = (note ? String(note).trim() : '');
-      const msg =
-        `❌ <b>Your trip was cancelled by the driver.</b>\n` +
-        `• Reason: <i>${cleanReason}</i>` +
-        (cleanNote ? `\n• Note: ${cleanNote}` : '') +
-        (ride.cancelDistanceKm != null ? `\n• Distance from pickup: ~${ride.cancelDistanceKm} km` : '');
-      try { await riderBot.sendMessage(Number(riderChatId), msg, { parse_mode: 'HTML' }); } catch {}
+  const out = await transitionRide(ride._id, 'cancelled', {
+    from: ACTIVE_RIDE_STATUSES,
+    set,
+    activity: {
+      actorType: 'driver',
+      actorId: ride.driverChatId ?? (ride.driverId ? String(ride.driverId) : null),
+      message: `Ride cancelled by driver (${reason || 'unspecified'})`,
+      meta: { reason: reason || null, note: note || null, by, lat: cancelLat, lng: cancelLng, cancelDistanceKm: set.cancelDistanceKm ?? null }
     }
+  });
+  if (!out.ok) return { ok: false, error: out.reason, status: out.status };
+  const cancelled = out.ride;
+  if (cancelled.driverId) Driver.computeAndUpdateReliability(cancelled.driverId).catch(() => {});
+
+  let fee = null;
+  if (noShow) {
+    try { fee = await applyCancellationFee(cancelled, 'no_show'); } catch (e) { console.warn('no-show fee failed:', e?.message || e); }
+    if (cancelled.driverId) Driver.computeAndUpdateStats(cancelled.driverId).catch(() => {});
+  }
+  const payLink = fee?.status === 'charge_pending' && process.env.PUBLIC_URL
+    ? `${process.env.PUBLIC_URL.replace(/\/$/, '')}/pay/${cancelled._id}`
+    : null;
+  const feeLine = describeCancellationFee(fee, { payLink });
+
+  // Any offers still open for this ride are void now
+  try { await dispatcher.stop(cancelled._id, { outcome: 'cancelled' }); } catch {}
+
+  const riderChatId = cancelled.riderChatId || cancelled.riderTelegramChatId || cancelled.rider?.chatId || null;
+  if (riderChatId && riderBot) {
+    const cleanReason = String(reason || 'Trip cancelled').trim();
+    const cleanNote = (note ? String(note).trim() : '');
+    const msg =
+      `❌ <b>Your trip was cancelled by the driver.</b>\n` +
+      `• Reason: <i>${cleanReason}</i>` +
+      (cleanNote ? `\n• Note: ${cleanNote}` : '') +
+      (cancelled.cancelDistanceKm != null ? `\n• Distance from pickup: ~${cancelled.cancelDistanceKm} km` : '') +
+      (feeLine ? `\n\n💸 ${feeLine}` : '');
+    try { await riderBot.sendMessage(Number(riderChatId), msg, { parse_mode: 'HTML' }); } catch {}
+  } else if (noShow && cancelled.riderWaJid) {
+    const msg =
+      `❌ *Your trip was cancelled — the driver waited at pickup but couldn't find you.*` +
+      (feeLine ? `\n\n💸 ${feeLine}` : '');
+    try { await sendWhatsAppTo(cancelled.riderWaJid, msg); } catch {}
+  } else if (cancelled.riderWaJid) {
+    // WhatsApp rider notice lives in whatsappBot.js
+    try { driverEvents.emit('ride:cancelled', { ride: cancelled.toObject(), reason, by: 'driver' }); } catch {}
+  }
 
-    await logActivity({
-      rideId: ride._id,
-      type: 'cancelled',
-      actorType: 'driver',
-      message: `Ride cancelled (${reason || 'unspecified'})`,
-      meta: { reason: reason || null, note: note || null, lat: cancelLat, lng: cancelLng, cancelDistanceKm: ride.cancelDistanceKm ?? null }
-    });
+  io.to(`ride:${cancelled._id}`).emit(`ride:${cancelled._id}:cancelled`, { reason: reason || null, cancelDistanceKm: cancelled.cancelDistanceKm ?? null });
 
-    io.emit(`ride:${rideId}:cancelled`, { reason: reason || null, cancelDistanceKm: ride.cancelDistanceKm ?? null });
+  return { ok: true, fee: fee ? { kind: fee.kind, amount: fee.amount, driverShare: fee.driverShare, status: fee.status } : null };
+}
 
-    return res.json({ ok: true });
+app.post('/api/ride/:rideId/cancel', requireRideLink('driver'), async (req, res) => {
+  try {
+    const { reason, note } = req.body || {};
+    const { ok, ...body } = await cancelRideAsDriver({ rideId: req.params.rideId, reason, note, by: 'web' });
+    if (ok) return res.json({ ok: true, ...body });
+    return res.status(body.error === 'not_found' ? 404 : 409).json(body);
   } catch (err) {
     console.error('POST /api/ride/:rideId/cancel error', err);
     return res.status(500).json({ error: 'Internal error' });
   }
 });
 
+// WhatsApp drivers cancel by message; the outcome goes back on the same chat
+driverEvents.on('ride:cancel_requested', async ({ rideId, reason, jid }) => {
+  try {
+    const out = await cancelRideAsDriver({ rideId, reason, by: 'whatsapp' });
+    const msg = out.ok
+      ? (out.redispatched ? '❌ Trip *cancelled*. The rider is being matched with another driver.' : '❌ Trip *cancelled*.')
+      : out.error === 'no_show_too_early'
+        ? `⏱️ ${out.message}`
+        : '⚠️ This trip can no longer be cancelled.';
+    if (jid) await sendWhatsAppDriverMessage(jid, msg);
+  } catch (e) {
+    console.warn('ride:cancel_requested handler failed:', e?.message || e);
+  }
+});
+
 /* ---------------- Socket.IO ---------------- */
 io.on('connection', (sock) => {
   console.log('🔌 Socket connected:', sock.id);
 
+  // Admin dashboards (logged-in session) get the activity feed
+  const user = sock.request?.user;
+  if (user?.constructor?.modelName === 'Admin') sock.join('admins');
+
+  // Driver's trip map: the `dt` token from their link says who they are
+  const driverKey = verifyDriverToken(sock.handshake?.auth?.driverToken);
+  if (driverKey) {
+    sock.data.driverKey = driverKey;
+    sock.join(`driver:${driverKey}`);
+  }
+
+  // Trip map / share links: join a ride's room with the token GET /api/ride/:id handed out
+  sock.on('ride:subscribe', (payload = {}, ack) => {
+    const { rideId, token } = payload || {};
+    const ok = !!rideId && verifyRideViewToken(token, rideId);
+    if (ok) sock.join(`ride:${rideId}`);
+    if (typeof ack === 'function') ack({ ok });
+  });
+
   sock.on('driver:mapLocation', async (payload = {}) => {
     try {
-      const { rideId, chatId, lat, lng } = payload || {};
-      if (!rideId || !Number.isFinite(Number(chatId))) return;
+      const { rideId, lat, lng } = payload || {};
+      const key = sock.data.driverKey || verifyDriverToken(payload?.driverToken);
+      if (!rideId || !key) return;
       if (typeof lat !== 'number' || typeof lng !== 'number') return;
 
       const ride = await Ride.findById(rideId).lean();
       if (!ride || !ride.driverId) return;
 
+      // only the driver on this ride (Telegram chatId or WhatsApp phone, as in their link)
       const drv = await Driver.findById(ride.driverId).lean();
-      if (!drv || Number(drv.chatId) !== Number(chatId)) return;
+      if (!drv || (String(drv.chatId ?? '') !== key && String(drv.phone ?? '') !== key)) return;
 
       await Driver.findOneAndUpdate(
         { _id: drv._id },
-        { $set: { location: { lat, lng }, lastSeenAt: new Date(), isAvailable: true } },
+        { $set: { location: toGeoPoint(lat, lng), lastSeenAt: new Date(), isAvailable: true } },
         { new: true }
       );
 
-      driverEvents.emit('driver:location', { chatId: Number(chatId), location: { lat, lng } });
+      const idForEvents = Number.isFinite(Number(drv.chatId)) ? Number(drv.chatId) : key;
+      driverEvents.emit('driver:location', { chatId: idForEvents, location: { lat, lng } });
     } catch (e) {
       console.warn('driver:mapLocation error:', e?.message || e);
     }
@@ -1143,9 +1645,23 @@ server.listen(PORT, () => {
 startPrebookScheduler({
   Ride,
   dispatchToNearestDriver,
-  logActivity
+  transitionRide
 });
 
+/* ---------------- Dispatch watchdog (nobody accepted → unfulfilled) ---------------- */
+const stopDispatchWatchdog = startDispatchWatchdog({
+  Ride,
+  transitionRide,
+  stopDispatch: (rideId, opts) => dispatcher.stop(rideId, opts),
+  notifyRider: async ({ ride, refund }) => {
+    if (ride.riderChatId) await notifyRiderUnfulfilled({ ride, refund });
+    else if (ride.riderWaJid) await notifyWhatsAppRiderUnfulfilled({ ride, refund });
+  }
+});
+
+/* ---------------- Zone surge (demand/supply per geohash cell) ---------------- */
+const stopSurgeScheduler = startSurgeScheduler({ recomputeSurge });
+
 /* ---------------- Graceful shutdown ---------------- */
 async function gracefulExit(signal = 'SIGINT') {
   try {
@@ -1156,7 +1672,10 @@ async function gracefulExit(signal = 'SIGINT') {
     try { await driverBot?.stopPolling?.(); } catch {}
     try {
       // clear any intervals/maps
+      dispatcher.stopAll();
     } catch {}
+    try { stopDispatchWatchdog(); } catch {}
+    try { stopSurgeScheduler(); } catch {}
     try {
       driverEvents.removeAllListeners();
       riderEvents.removeAllListeners();
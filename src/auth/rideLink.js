@@ -0,0 +1,44 @@
+// src/auth/rideLink.js
+// Guards the tracking APIs (/api/ride/:rideId/*) with the signed `t` token
+// from the track.html link (see services/rideTokens.js). The page sends it
+// as the X-Ride-Token header; `?t=` works too for plain links.
+import Ride from '../models/Ride.js';
+import Driver from '../models/Driver.js';
+import { verifyRideLinkToken } from '../services/rideTokens.js';
+
+export function rideLinkToken(req) {
+  return req.get('x-ride-token') || req.query?.t || req.body?.t || null;
+}
+
+/**
+ * requireRideLink('driver') / requireRideLink('rider') / requireRideLink() (any role).
+ * Sets req.rideLink = { role, driverKey, expiresAt }.
+ * A driver link only works for the driver currently on the ride (not after a re-dispatch).
+ */
+export function requireRideLink(...roles) {
+  return async (req, res, next) => {
+    try {
+      const rideId = req.params.rideId || req.query.rideId;
+      const link = rideId ? verifyRideLinkToken(rideLinkToken(req), rideId) : null;
+      if (!link) return res.status(401).json({ error: 'invalid_link' });
+      if (roles.length && !roles.includes(link.role)) return res.status(403).json({ error: 'forbidden', role: link.role });
+
+      if (link.role === 'driver') {
+        const ride = await Ride.findById(rideId).select('driverId').lean();
+        const drv = ride?.driverId ? await Driver.findById(ride.driverId).select('chatId phone').lean() : null;
+        // no driver on the ride (e.g. re-dispatched) means no driver link works
+        const mine = !!drv && !!link.driverKey &&
+          (String(drv.chatId ?? '') === link.driverKey || String(drv.phone ?? '') === link.driverKey);
+        if (!mine) {
+          return res.status(403).json({ error: 'not_your_ride' });
+        }
+      }
+
+      req.rideLink = link;
+      next();
+    } catch (e) {
+      console.warn('requireRideLink failed:', e?.message || e);
+      res.status(500).json({ error: 'Internal error' });
+    }
+  };
+}
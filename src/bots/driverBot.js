@@ -4,6 +4,9 @@ import EventEmitter from 'events';
 import Driver from '../models/Driver.js';
 import Ride from '../models/Ride.js';
 import Rider from '../models/Rider.js'; // for rider details when driver accepts
+import { claimRideForDriver, acceptBlockedMessage } from '../services/assignment.js';
+import { toGeoPoint } from '../services/geo.js';
+import { trackLink } from '../services/rideTokens.js';
 
 export const driverEvents = new EventEmitter();
 
@@ -283,28 +286,20 @@ async function showDriverHome(chatId) {
 /* ----------------- Atomic accept helper ----------------- */
 async function acceptRideAtomically({ chatId, rideId }) {
   const chatNum = Number(chatId);
-  const driver = await Driver.findOne({ chatId: chatNum }).lean();
+  const driver = await Driver.findOne({ chatId: chatNum });
   if (!driver) return { ok: false, reason: 'no_profile' };
 
-  // First-accept-wins: only update if still pending and unassigned
-  const updated = await Ride.findOneAndUpdate(
-    {
-      _id: rideId,
-      status: 'pending',
-      $or: [{ driverId: { $exists: false } }, { driverId: null }]
-    },
-    {
-      $set: {
-        status: 'accepted',
-        driverId: driver._id,
-        driverChatId: chatNum
-      }
-    },
-    { new: true }
-  ).lean();
+  // First-accept-wins, with vehicle type + trip limits re-checked in the same update
+  const result = await claimRideForDriver({ driver, rideId });
+  return { ...result, driver };
+}
 
-  if (!updated) return { ok: false, reason: 'already_taken' };
-  return { ok: true, ride: updated, driver };
+function acceptFailureText(result) {
+  if (result.reason === 'already_taken') return 'No longer available';
+  if (result.reason === 'excluded') return 'You cancelled this ride';
+  if (result.reason === 'vehicle_mismatch') return 'Wrong vehicle type';
+  if (result.reason === 'cash_limit' || result.reason === 'payfast_limit') return 'Trip limit reached';
+  return 'Not allowed';
 }
 
 /* ---------------- Bot init + wiring ---------------- */
@@ -510,7 +505,7 @@ function wireHandlers() {
 
     await Driver.findOneAndUpdate(
       { chatId: Number(chatId) },
-      { $set: { location: { lat: latitude, lng: longitude }, lastSeenAt: new Date(), isAvailable: true } },
+      { $set: { location: toGeoPoint(latitude, longitude), lastSeenAt: new Date(), isAvailable: true } },
       { new: true }
     );
 
@@ -721,7 +716,13 @@ function wireHandlers() {
 
         const result = await acceptRideAtomically({ chatId, rideId });
         if (!result.ok) {
-          await bot.answerCallbackQuery(query.id, { text: result.reason === 'already_taken' ? 'No longer available' : 'Not allowed' });
+          await bot.answerCallbackQuery(query.id, { text: acceptFailureText(result) });
+          if (result.reason !== 'already_taken' && result.reason !== 'no_profile') {
+            const blockedRide = await Ride.findById(rideId).lean();
+            await bot.sendMessage(chatId, acceptBlockedMessage(result.reason, { driver: result.driver, ride: blockedRide }), {
+              disable_web_page_preview: true
+            });
+          }
           return;
         }
 
@@ -738,8 +739,7 @@ function wireHandlers() {
 
         // Live map link AFTER acceptance
         if (PUBLIC_URL) {
-          const base = `${PUBLIC_URL}/track.html?rideId=${encodeURIComponent(String(ride._id))}`;
-          const driverLink = `${base}&as=driver&driverChatId=${encodeURIComponent(String(chatId))}`;
+          const driverLink = trackLink(ride._id, 'driver', { driverKey: chatId });
           try {
             await bot.sendMessage(chatId, `🗺️ Live trip map:\n${driverLink}\nTip: Keep Live Location ON for the trip.`);
           } catch {}
@@ -796,7 +796,16 @@ async function handleAcceptAfterSetup(chatId, rideId) {
   // Same atomic path as inline handler
   const result = await acceptRideAtomically({ chatId, rideId });
   if (!result.ok) {
-    await bot.sendMessage(chatId, result.reason === 'already_taken' ? '⚠️ That request is no longer available.' : '❌ Could not accept.');
+    if (result.reason === 'already_taken') {
+      await bot.sendMessage(chatId, '⚠️ That request is no longer available.');
+    } else if (result.reason === 'no_profile') {
+      await bot.sendMessage(chatId, '❌ Could not accept.');
+    } else {
+      const blockedRide = await Ride.findById(rideId).lean();
+      await bot.sendMessage(chatId, acceptBlockedMessage(result.reason, { driver: result.driver, ride: blockedRide }), {
+        disable_web_page_preview: true
+      });
+    }
     return;
   }
 
@@ -813,8 +822,7 @@ async function handleAcceptAfterSetup(chatId, rideId) {
 
   // Map link AFTER acceptance
   if (PUBLIC_URL) {
-    const base = `${PUBLIC_URL}/track.html?rideId=${encodeURIComponent(String(rideId))}`;
-    const driverLink = `${base}&as=driver&driverChatId=${encodeURIComponent(String(chatId))}`;
+    const driverLink = trackLink(rideId, 'driver', { driverKey: chatId });
     try { await bot.sendMessage(chatId, `🗺️ Live trip map:\n${driverLink}`); } catch {}
   }
 
@@ -879,12 +887,13 @@ export async function notifyDriverNewRequest({ chatId, ride }) {
   if (ride.estimate != null) bodyLines.push(`• Estimate: <b>R${ride.estimate}</b>`);
   if (ride.pickup) bodyLines.push(`• Pickup: <a href="${toMap(ride.pickup)}">map</a>`);
   if (ride.destination) bodyLines.push(`• Drop: <a href="${toMap(ride.destination)}">map</a>`);
+  if (ride.stops?.length) bodyLines.push(`• Stops on the way: <b>${ride.stops.length}</b>`);
   bodyLines.push('');
   bodyLines.push(`Reply with the buttons below (or use code <b>${short}</b>).`);
 
   try {
     // 🚫 No live-map link here — only after acceptance
-    await bot.sendMessage(chatId, bodyLines.join('\n'), {
+    return await bot.sendMessage(chatId, bodyLines.join('\n'), {
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [[
@@ -896,6 +905,20 @@ export async function notifyDriverNewRequest({ chatId, ride }) {
   } catch {}
 }
 
+// Offer is gone (taken / cancelled / expired): strip the Accept button, or delete if edit fails
+export async function withdrawDriverOffer({ chatId, messageId, text }) {
+  if (!bot || !chatId || !messageId) return;
+  try {
+    await bot.editMessageText(text || '⚠️ This ride is no longer available.', {
+      chat_id: chatId,
+      message_id: Number(messageId),
+      reply_markup: { inline_keyboard: [] }
+    });
+  } catch {
+    try { await bot.deleteMessage(chatId, Number(messageId)); } catch {}
+  }
+}
+
 // Arrival & finish summaries for parity with WA bot
 export async function notifyDriverArrived({ chatId }) {
   if (!bot || !chatId) return;
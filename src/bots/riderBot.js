@@ -15,11 +15,21 @@ import Ride from '../models/Ride.js';
 import Rider from '../models/Rider.js';
 import Driver from '../models/Driver.js';
 
-import { notifyDriverNewRequest, driverEvents } from './driverBot.js';
+import { driverEvents } from './driverBot.js';
 import { sendAdminEmailToDrivers } from '../services/mailer.js';
 
 // ✅ use the real quote engine
-import { getAvailableVehicleQuotes } from '../services/pricing.js';
+import { getAvailableVehicleQuotes, quoteSnapshot, quoteExpired, requote } from '../services/pricing.js';
+import { retryUnfulfilledRide, scheduleUnfulfilledRide, parseScheduleInput } from '../services/rideRecovery.js';
+import { RIDER_CANCEL_REASONS, RIDER_CANCELLABLE_STATUSES, previewRiderCancel, cancelRideByRider } from '../services/riderCancel.js';
+import { describeCancellationFee } from '../services/cancellationFees.js';
+import { MAX_TRIP_STOPS, normalizeStops, stopLines } from '../services/tripStops.js';
+import { DESTINATION_CHANGE_STATUSES, proposeDestinationChange, confirmDestinationChange } from '../services/destinationChange.js';
+import { trackLink } from '../services/rideTokens.js';
+import {
+  MAX_TRUSTED_CONTACTS, createTripShareLink, tripShareDetails, tripShareText,
+  parseTrustedContact, trustedContactLines, addTrustedContact, clearTrustedContacts
+} from '../services/tripShare.js';
 
 /* ────────────────────────────────────────────────────────────────────────────
    Singleton
@@ -99,6 +109,7 @@ function mainMenuKeyboard() {
       [{ text: '🚕 Book Trip', callback_data: 'book_trip' }],
       [{ text: '🗓️ Prebook Trip', callback_data: 'prebook_trip' }],
       [{ text: '👤 Profile', callback_data: 'open_dashboard' }],
+      [{ text: '🛡️ Trusted contacts', callback_data: 'tc_list' }],
       [{ text: '🧑‍💼 Support', callback_data: 'support' }],
       [{ text: '🔄 Start fresh', callback_data: 'start_fresh' }],
     ]
@@ -180,6 +191,19 @@ function askPickup(chatId) {
     }
   );
 }
+function askStop(chatId, n) {
+  return riderBot.sendMessage(
+    chatId,
+    `🛑 Send stop ${n} (use 📎 → Location) or type its address:`,
+    {
+      reply_markup: {
+        keyboard: [[{ text: 'Send Stop 📍', request_location: true }]],
+        resize_keyboard: true,
+        one_time_keyboard: true
+      }
+    }
+  );
+}
 function askDrop(chatId) {
   return riderBot.sendMessage(
     chatId,
@@ -216,7 +240,11 @@ function confirmDropKeyboard() {
     ]
   };
 }
-function reviewTripKeyboard() {
+function reviewTripKeyboard(st = {}) {
+  const stops = st.stops || [];
+  const stopRow = [];
+  if (stops.length < MAX_TRIP_STOPS) stopRow.push({ text: '➕ Add a stop', callback_data: 'review_add_stop' });
+  if (stops.length) stopRow.push({ text: '🗑️ Clear stops', callback_data: 'review_clear_stops' });
   return {
     inline_keyboard: [
       [{ text: '🚀 Continue', callback_data: 'review_proceed' }],
@@ -224,6 +252,7 @@ function reviewTripKeyboard() {
         { text: '✏️ Fix pickup', callback_data: 'review_correct_pickup' },
         { text: '✏️ Fix destination', callback_data: 'review_correct_drop' }
       ],
+      ...(stopRow.length ? [stopRow] : []),
       [{ text: '🔄 Start fresh', callback_data: 'start_fresh' }],
       [{ text: '❌ Cancel booking', callback_data: 'cancel_booking' }],
     ]
@@ -244,15 +273,85 @@ function payMethodKeyboard() {
 function waitingKeyboard(rideId) {
   return {
     inline_keyboard: [
+      [{ text: '📍 Change destination', callback_data: `rdest_ask:${rideId}` }],
+      [{ text: '🛡️ Share my trip', callback_data: `rshare:${rideId}` }],
       [{ text: '❌ Cancel request', callback_data: `cancel_request:${rideId}` }],
       [{ text: '🔄 Start fresh', callback_data: 'start_fresh' }],
     ]
   };
 }
+function activeTripKeyboard(rideId) {
+  return {
+    inline_keyboard: [
+      [{ text: '📍 Change destination', callback_data: `rdest_ask:${rideId}` }],
+      [{ text: '🛡️ Share my trip', callback_data: `rshare:${rideId}` }],
+      [{ text: '❌ Cancel trip', callback_data: `rcancel_ask:${rideId}` }],
+    ]
+  };
+}
+function destinationQuoteKeyboard(rideId, price) {
+  return {
+    inline_keyboard: [
+      [{ text: `✅ Go there — R${price}`, callback_data: `rdest_ok:${rideId}` }],
+      [{ text: '↩️ Keep current destination', callback_data: 'rdest_keep' }],
+    ]
+  };
+}
+function cancelReasonsKeyboard(rideId) {
+  return {
+    inline_keyboard: [
+      ...RIDER_CANCEL_REASONS.map((r) => [{ text: r.label, callback_data: `rcancel:${rideId}:${r.code}` }]),
+      [{ text: '↩️ Keep my trip', callback_data: 'rcancel_keep' }],
+    ]
+  };
+}
+function requoteKeyboard(vehicleType, price) {
+  return {
+    inline_keyboard: [
+      [{ text: `✅ Confirm R${price}`, callback_data: `requote_ok:${vehicleType}:${price}` }],
+      [{ text: '🚘 See all options', callback_data: 'review_proceed' }],
+      [{ text: '❌ Cancel booking', callback_data: 'cancel_booking' }],
+    ]
+  };
+}
+function unfulfilledKeyboard(rideId, { paid = false } = {}) {
+  const rows = [[{ text: '🔁 Try again', callback_data: `unf_retry:${rideId}` }]];
+  // paid rides keep their fare, so no switching vehicle type
+  if (!paid) rows.push([{ text: '🚙 Choose another vehicle', callback_data: `unf_vehicle:${rideId}` }]);
+  rows.push([{ text: '🗓️ Schedule for later', callback_data: `unf_schedule:${rideId}` }]);
+  rows.push([{ text: '🏠 Main menu', callback_data: 'start_fresh' }]);
+  return { inline_keyboard: rows };
+}
 
 /* ────────────────────────────────────────────────────────────────────────────
    Support & dashboard
 ──────────────────────────────────────────────────────────────────────────── */
+/* Unfulfilled ride: fresh quotes to re-send it with another vehicle (or any vehicle after a stale tap) */
+async function showUnfulfilledVehicleQuotes(chatId, rideId, { otherTypesOnly = true, intro = '🚙 Choose another vehicle:' } = {}) {
+  const ride = await Ride.findById(rideId).lean();
+  if (!ride || ride.status !== 'unfulfilled') {
+    await riderBot.sendMessage(chatId, '⚠️ This request is no longer available.', { reply_markup: mainMenuKeyboard() });
+    return;
+  }
+  let quotes = [];
+  try {
+    quotes = await getAvailableVehicleQuotes({ pickup: ride.pickup, destination: ride.destination, stops: ride.stops || [], radiusKm: 30 });
+  } catch (e) { console.warn('unf_vehicle quotes failed:', e?.message || e); }
+  if (otherTypesOnly) quotes = quotes.filter(q => q.vehicleType !== ride.vehicleType);
+  if (!quotes.length) {
+    await riderBot.sendMessage(chatId, otherTypesOnly ? '🚘 No other vehicle types are available nearby right now.' : '🚘 No vehicles are available nearby right now.', {
+      reply_markup: unfulfilledKeyboard(rideId, { paid: ride.paymentStatus === 'paid' })
+    });
+    return;
+  }
+  riderState.set(chatId, { ...(riderState.get(chatId) || {}), unfQuotes: quotes });
+  const rows = quotes.map(q => ([
+    { text: `${VEHICLE_LABEL(q.vehicleType)} — R${q.price}${q.pricingMode === 'upfront' ? ' 🔒' : ''}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`,
+      callback_data: `unf_veh:${rideId}:${q.vehicleType}:${q.price}` }
+  ]));
+  await riderBot.sendMessage(chatId, intro, { reply_markup: { inline_keyboard: rows } });
+}
+
 async function showSupport(chatId, context = 'menu') {
   const msg =
     `🧑‍💼 <b>Support</b>\n` +
@@ -299,15 +398,35 @@ async function showAddressSuggestions(chatId, predictions, kind) {
     );
     return;
   }
-  const prefix = kind === 'pickup' ? 'pick_idx' : 'drop_idx';
+  const prefix = { pickup: 'pick_idx', stop: 'stop_idx', newdest: 'ndest_idx' }[kind] || 'drop_idx';
   const kb = predictions.slice(0, 8).map((p, i) => ([{ text: crop(p.description, 56), callback_data: `${prefix}:${i}` }]));
   await riderBot.sendMessage(
     chatId,
-    `🔎 Select your ${kind === 'pickup' ? 'pickup' : 'destination'} (ZA):`,
+    `🔎 Select your ${{ pickup: 'pickup', stop: 'stop', newdest: 'new destination' }[kind] || 'destination'} (ZA):`,
     { reply_markup: { inline_keyboard: kb } }
   );
 }
 
+/* ────────────────────────────────────────────────────────────────────────────
+   Trip review (pickup → stops → destination)
+──────────────────────────────────────────────────────────────────────────── */
+function showReviewTrip(chatId, st) {
+  const pAddr = st.pickup.address || `${st.pickup.lat.toFixed(5)}, ${st.pickup.lng.toFixed(5)}`;
+  const dAddr = st.destination?.address || `${st.destination.lat.toFixed(5)}, ${st.destination.lng.toFixed(5)}`;
+  const lines = [`• Pickup: ${pAddr}`, ...stopLines(st.stops), `• Destination: ${dAddr}`];
+  return riderBot.sendMessage(chatId, `🧭 <b>Review trip</b>\n${lines.join('\n')}`, { parse_mode: 'HTML', reply_markup: reviewTripKeyboard(st) });
+}
+
+/** Add a stop from the booking flow and go back to the review */
+async function addStop(chatId, st, stop) {
+  st.stops = normalizeStops([...(st.stops || []), stop]);
+  st.step = 'review_trip';
+  delete st.stopPredictions;
+  riderState.set(chatId, st);
+  await riderBot.sendMessage(chatId, `✅ Stop ${st.stops.length} added.`, { reply_markup: { remove_keyboard: true } });
+  return showReviewTrip(chatId, st);
+}
+
 /* ────────────────────────────────────────────────────────────────────────────
    Quotes UI (NOW USING pricing.getAvailableVehicleQuotes)
 ──────────────────────────────────────────────────────────────────────────── */
@@ -316,6 +435,7 @@ async function showQuotes(chatId, st) {
     const quotes = await getAvailableVehicleQuotes({
       pickup: st.pickup,
       destination: st.destination,
+      stops: st.stops || [],
       radiusKm: 30,
     });
 
@@ -323,14 +443,14 @@ async function showQuotes(chatId, st) {
       await riderBot.sendMessage(
         chatId,
         '🚘 No drivers are currently available nearby. Please try again shortly.',
-        { reply_markup: reviewTripKeyboard() }
+        { reply_markup: reviewTripKeyboard(st) }
       );
       return;
     }
 
     // quotes are already the cheapest per vehicleType; sort is by price asc
     const rows = quotes.map(q => ([
-      { text: `${VEHICLE_LABEL(q.vehicleType)} — R${q.price}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`,
+      { text: `${VEHICLE_LABEL(q.vehicleType)} — R${q.price}${q.pricingMode === 'upfront' ? ' 🔒' : ''}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`,
         callback_data: `veh:${q.vehicleType}:${q.price}` }
     ]));
 
@@ -340,7 +460,8 @@ async function showQuotes(chatId, st) {
 
     await riderBot.sendMessage(
       chatId,
-      '🚘 Select your ride (based on nearby drivers and live pricing):',
+      '🚘 Select your ride (based on nearby drivers and live pricing):' +
+        (quotes.some(q => q.pricingMode === 'upfront') ? '\n🔒 = fixed price, guaranteed unless your route changes.' : ''),
       { reply_markup: { inline_keyboard: rows } }
     );
   } catch (e) {
@@ -348,37 +469,25 @@ async function showQuotes(chatId, st) {
     await riderBot.sendMessage(
       chatId,
       '⚠️ Could not fetch quotes right now. Please try again.',
-      { reply_markup: reviewTripKeyboard() }
+      { reply_markup: reviewTripKeyboard(st) }
     );
   }
 }
 
 /* ────────────────────────────────────────────────────────────────────────────
-   Ride creation / notify drivers / waiting
+   Ride creation / waiting
 ──────────────────────────────────────────────────────────────────────────── */
-async function broadcastToDrivers(ride) {
-  const drivers = await Driver.find({
-    status: 'approved',
-    chatId: { $exists: true, $ne: null },
-    ...(ride.vehicleType ? { vehicleType: ride.vehicleType } : {})
-  }).select('chatId').limit(1000).lean();
-
-  for (const d of drivers) {
-    try {
-      await notifyDriverNewRequest({ chatId: Number(d.chatId), ride });
-    } catch (e) {
-      console.warn('notifyDriverNewRequest failed for driver', d.chatId, e?.message || e);
-    }
-  }
-}
-
 async function createRideRecord({ chatId, st, vehicleType, price, paymentMethod }) {
+  // lock the quote the rider picked (rates + the drivers it was priced for)
+  const q = (st.dynamicQuotes || []).find(x => x.vehicleType === vehicleType && Number(x.price) === Number(price));
   const ride = await Ride.create({
     riderChatId: chatId,
     pickup: st.pickup,
     destination: st.destination,
+    stops: st.stops?.length ? normalizeStops(st.stops) : undefined,
     vehicleType,
     estimate: Number(price) || undefined,
+    quote: quoteSnapshot(q),
     status: 'pending',
     createdAt: new Date(),
     paymentMethod: paymentMethod || undefined,
@@ -388,6 +497,68 @@ async function createRideRecord({ chatId, st, vehicleType, price, paymentMethod
   return ride;
 }
 
+/** What changed between two quotes, for the re-confirm prompt */
+function requoteText(oldQ, fresh) {
+  const surgeLine = Number(fresh.surge || 1) > 1
+    ? `Demand is high right now (surge ×${Number(fresh.surge).toFixed(2)}).`
+    : 'Surge has eased.';
+  return `⏱️ Your quote expired, so we priced the trip again.\n` +
+    `${surgeLine}\n` +
+    `${VEHICLE_LABEL(fresh.vehicleType)}: <b>R${fresh.price}</b> (was R${oldQ.price})${fresh.pricingMode === 'upfront' ? ' 🔒' : ''}`;
+}
+
+/**
+ * Create the ride and start dispatch, unless the picked quote has expired and
+ * the new one needs the rider's OK (surge moved or price went up).
+ */
+async function placeRide(chatId, st, method) {
+  const picked = (st.dynamicQuotes || []).find(
+    x => x.vehicleType === st.selectedVehicle.type && Number(x.price) === Number(st.selectedVehicle.price)
+  );
+
+  if (picked && quoteExpired(picked)) {
+    let res = { quote: null, changed: true };
+    try { res = await requote(picked); } catch (e) { console.warn('requote failed:', e?.message || e); }
+    const fresh = res.quote;
+    if (!fresh) {
+      await riderBot.sendMessage(chatId, `⏱️ Your quote expired and no ${VEHICLE_LABEL(picked.vehicleType)} is available right now.`);
+      return showQuotes(chatId, st);
+    }
+
+    st.dynamicQuotes = [fresh, ...(st.dynamicQuotes || []).filter(x => x.vehicleType !== fresh.vehicleType)];
+    st.selectedVehicle = { type: fresh.vehicleType, price: fresh.price };
+    if (res.changed) {
+      st.pendingPayMethod = method;
+      riderState.set(chatId, st);
+      await riderBot.sendMessage(chatId, requoteText(picked, fresh), {
+        parse_mode: 'HTML',
+        reply_markup: requoteKeyboard(fresh.vehicleType, fresh.price)
+      });
+      return;
+    }
+  }
+
+  const ride = await createRideRecord({
+    chatId,
+    st,
+    vehicleType: st.selectedVehicle.type,
+    price: st.selectedVehicle.price,
+    paymentMethod: (method === 'cash' ? 'cash' : 'payfast')
+  });
+
+  await riderBot.sendMessage(chatId, '📨 Request sent. Waiting for a driver to accept…', {
+    reply_markup: waitingKeyboard(String(ride._id))
+  });
+  // Server-side tiered dispatch picks it up from here
+  riderEvents.emit('booking:new', { rideId: String(ride._id) });
+
+  // Keep minimal state; user can cancel or start fresh
+  st.waitingRideId = String(ride._id);
+  st.step = 'waiting_driver';
+  delete st.pendingPayMethod;
+  riderState.set(chatId, st);
+}
+
 /* ────────────────────────────────────────────────────────────────────────────
    Driver accepted → inform rider
 ──────────────────────────────────────────────────────────────────────────── */
@@ -430,6 +601,180 @@ export async function notifyRiderToRateDriver(rideIdOrRide) {
   }
 }
 
+/* ────────────────────────────────────────────────────────────────────────────
+   Unfulfilled ride (EXPORTED helper, called by the dispatch watchdog)
+──────────────────────────────────────────────────────────────────────────── */
+export async function notifyRiderUnfulfilled({ ride, refund = false }) {
+  if (!ride || !ride.riderChatId || !riderBot) return;
+  const chatId = Number(ride.riderChatId);
+
+  const st = riderState.get(chatId);
+  if (st?.waitingRideId === String(ride._id)) riderState.delete(chatId);
+
+  const lines = ['😔 <b>No driver accepted your request.</b>', 'What would you like to do?'];
+  if (refund) lines.push('', '💳 Your online payment has been flagged for a refund. If you try again or schedule, it will be used for that trip instead.');
+
+  try {
+    await riderBot.sendMessage(chatId, lines.join('\n'), {
+      parse_mode: 'HTML',
+      reply_markup: unfulfilledKeyboard(String(ride._id), { paid: ride.paymentStatus === 'paid' })
+    });
+  } catch (e) {
+    console.warn('notifyRiderUnfulfilled failed:', e?.message || e);
+  }
+}
+
+/* ────────────────────────────────────────────────────────────────────────────
+   Rider cancel (any status until pickup)
+──────────────────────────────────────────────────────────────────────────── */
+async function askCancelReason(chatId, rideId) {
+  const ride = rideId
+    ? await Ride.findById(rideId).lean()
+    : await Ride.findOne({ riderChatId: Number(chatId), status: { $in: RIDER_CANCELLABLE_STATUSES } }).sort({ createdAt: -1 }).lean();
+  if (!ride || Number(ride.riderChatId) !== Number(chatId)) {
+    return riderBot.sendMessage(chatId, 'You have no trip to cancel.', { reply_markup: mainMenuKeyboard() });
+  }
+
+  const preview = await previewRiderCancel(ride);
+  if (!preview.cancellable) {
+    return riderBot.sendMessage(chatId, '⚠️ This trip can no longer be cancelled.', { reply_markup: mainMenuKeyboard() });
+  }
+
+  const feeLine = preview.fee
+    ? `\n\n💸 A ${preview.fee.kind === 'no_show' ? 'no-show' : 'late cancellation'} fee of <b>R${preview.fee.amount}</b> applies.`
+    : '';
+  await riderBot.sendMessage(chatId, `❓ <b>Why are you cancelling?</b>${feeLine}`, {
+    parse_mode: 'HTML',
+    reply_markup: cancelReasonsKeyboard(String(ride._id))
+  });
+}
+
+async function confirmRiderCancel(chatId, rideId, reasonCode) {
+  const out = await cancelRideByRider(rideId, { reason: reasonCode, riderChatId: chatId });
+  if (!out.ok) {
+    const msg = out.error === 'not_cancellable' ? '⚠️ This trip can no longer be cancelled.' : '⚠️ Could not cancel this trip.';
+    return riderBot.sendMessage(chatId, msg, { reply_markup: mainMenuKeyboard() });
+  }
+
+  riderEvents.emit('booking:cancelled', {
+    rideId: String(out.ride._id),
+    reason: out.reason,
+    previousStatus: out.previousStatus,
+    driverId: out.driverId,
+    fee: out.fee
+  });
+  riderState.delete(chatId);
+
+  const payLink = out.fee?.status === 'charge_pending' && PUBLIC_URL ? `${PUBLIC_URL}/pay/${out.ride._id}` : null;
+  const lines = ['❌ <b>Trip cancelled.</b>'];
+  if (out.driverId) lines.push('Your driver has been notified.');
+  if (out.fee) lines.push(`💸 ${describeCancellationFee(out.fee, { payLink })}`);
+  else if (out.ride.refundStatus === 'required') lines.push('💳 Your card payment has been flagged for a refund.');
+  await riderBot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'HTML', reply_markup: mainMenuKeyboard() });
+}
+
+/* ────────────────────────────────────────────────────────────────────────────
+   Change destination on a booked trip
+──────────────────────────────────────────────────────────────────────────── */
+async function askNewDestination(chatId, rideId) {
+  const ride = rideId
+    ? await Ride.findById(rideId).lean()
+    : await Ride.findOne({ riderChatId: Number(chatId), status: { $in: DESTINATION_CHANGE_STATUSES } }).sort({ createdAt: -1 }).lean();
+  if (!ride || Number(ride.riderChatId) !== Number(chatId) || !DESTINATION_CHANGE_STATUSES.includes(ride.status)) {
+    return riderBot.sendMessage(chatId, 'You have no trip to change.', { reply_markup: mainMenuKeyboard() });
+  }
+  riderState.set(chatId, { ...(riderState.get(chatId) || {}), step: 'awaiting_new_dest', destRideId: String(ride._id) });
+  return riderBot.sendMessage(
+    chatId,
+    '📍 Where to instead? Send the new destination (📎 → Location) or type the address:',
+    { reply_markup: { keyboard: [[{ text: 'Send Destination 📍', request_location: true }]], resize_keyboard: true, one_time_keyboard: true } }
+  );
+}
+
+async function quoteNewDestination(chatId, st, dest) {
+  const rideId = st.destRideId;
+  st.step = 'confirm_new_dest';
+  delete st.newDestPredictions;
+  riderState.set(chatId, st);
+
+  const out = await proposeDestinationChange(rideId, dest, { riderChatId: chatId, channel: 'telegram' });
+  if (!out.ok) {
+    const msg = out.error === 'same_destination' ? 'ℹ️ That is already your destination.'
+      : out.error === 'not_changeable' ? '⚠️ This trip can no longer be changed.'
+      : '⚠️ Could not price that destination.';
+    return riderBot.sendMessage(chatId, msg, { reply_markup: { remove_keyboard: true } });
+  }
+  const p = out.proposal;
+  const was = p.previousPrice != null ? ` (was R${p.previousPrice})` : '';
+  return riderBot.sendMessage(
+    chatId,
+    `📍 <b>New destination</b>\n${p.address}\n\n💰 New fare: <b>R${p.price}</b>${was}\nConfirm within a few minutes to keep this price.`,
+    { parse_mode: 'HTML', reply_markup: destinationQuoteKeyboard(rideId, p.price) }
+  );
+}
+
+async function applyNewDestination(chatId, rideId) {
+  const out = await confirmDestinationChange(rideId, { riderChatId: chatId });
+  const st = riderState.get(chatId) || {};
+  delete st.destRideId;
+  st.step = st.waitingRideId ? 'waiting_driver' : undefined;
+  riderState.set(chatId, st);
+  if (!out.ok) {
+    const msg = out.error === 'expired' ? '⏱️ That price expired. Tap 📍 Change destination to get a new one.'
+      : out.error === 'not_changeable' ? '⚠️ This trip can no longer be changed.'
+      : '⚠️ Could not change the destination.';
+    return riderBot.sendMessage(chatId, msg);
+  }
+  riderEvents.emit('booking:destination_changed', { rideId: String(out.ride._id) });
+  return riderBot.sendMessage(
+    chatId,
+    `✅ Destination changed to ${out.change.to.address}. New fare: <b>R${out.change.price}</b>.${out.ride.driverId ? '\nYour driver has been told.' : ''}`,
+    { parse_mode: 'HTML', reply_markup: activeTripKeyboard(String(out.ride._id)) }
+  );
+}
+
+/* ---- Share my trip / trusted contacts ---- */
+async function shareTrip(chatId, rideId) {
+  const out = await createTripShareLink(rideId, { riderChatId: chatId });
+  if (!out.ok) {
+    return riderBot.sendMessage(chatId, out.error === 'not_shareable' ? '⚠️ This trip has ended.' : 'You have no trip to share.');
+  }
+  const details = await tripShareDetails(out.ride);
+  await riderBot.sendMessage(chatId, '🛡️ Forward the message below to someone you trust. They can follow your trip live until it ends.');
+  return riderBot.sendMessage(chatId, tripShareText(details, out.url), { disable_web_page_preview: true });
+}
+
+function trustedContactsKeyboard(count) {
+  const rows = [];
+  if (count < MAX_TRUSTED_CONTACTS) rows.push([{ text: '➕ Add a contact', callback_data: 'tc_add' }]);
+  if (count) rows.push([{ text: '🗑️ Remove all', callback_data: 'tc_clear' }]);
+  return { inline_keyboard: rows };
+}
+
+async function showTrustedContacts(chatId) {
+  const rider = await Rider.findOne({ chatId }).select('trustedContacts').lean();
+  const list = rider?.trustedContacts || [];
+  const text = list.length
+    ? `🛡️ <b>Trusted contacts</b>\nThey get a live link to every trip once a driver accepts.\n\n${trustedContactLines(list).join('\n')}`
+    : `🛡️ <b>Trusted contacts</b>\nSave up to ${MAX_TRUSTED_CONTACTS} people who should get a live link to every trip.`;
+  return riderBot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: trustedContactsKeyboard(list.length) });
+}
+
+async function saveTrustedContact(chatId, contact) {
+  const st = riderState.get(chatId) || {};
+  delete st.step;
+  riderState.set(chatId, st);
+  const out = contact ? await addTrustedContact({ chatId }, contact) : { ok: false, error: 'bad_contact' };
+  if (!out.ok) {
+    const msg = out.error === 'full' ? `⚠️ You can save up to ${MAX_TRUSTED_CONTACTS} contacts.`
+      : out.error === 'not_found' ? 'Please /start first.'
+      : '⚠️ Send a name with a phone number or email, e.g. <b>Mom 082 123 4567</b>.';
+    return riderBot.sendMessage(chatId, msg, { parse_mode: 'HTML' });
+  }
+  await riderBot.sendMessage(chatId, '✅ Contact saved.');
+  return showTrustedContacts(chatId);
+}
+
 /* ────────────────────────────────────────────────────────────────────────────
    Wire handlers once
 ──────────────────────────────────────────────────────────────────────────── */
@@ -462,10 +807,10 @@ function wireRiderHandlers() {
       } catch (e) { console.warn('Failed to send driver photo to rider:', e?.message || e); }
 
       if (PUBLIC_URL) {
-        const riderLink =
-          `${PUBLIC_URL}/track.html?rideId=${encodeURIComponent(String(rideId))}` +
-          `&as=rider&riderChatId=${encodeURIComponent(String(riderChatId))}`;
-        await riderBot.sendMessage(riderChatId, `🗺️ Live trip map:\n${riderLink}`);
+        const riderLink = trackLink(rideId, 'rider');
+        await riderBot.sendMessage(riderChatId, `🗺️ Live trip map:\n${riderLink}`, { reply_markup: activeTripKeyboard(String(rideId)) });
+      } else {
+        await riderBot.sendMessage(riderChatId, 'Need to cancel? Tap below.', { reply_markup: activeTripKeyboard(String(rideId)) });
       }
     } catch (e) {
       console.warn('riderBot ride:accepted handler failed:', e?.message || e);
@@ -493,6 +838,22 @@ function wireRiderHandlers() {
     await showSupport(msg.chat.id, 'command');
   });
 
+  riderBot.onText(/^\/cancel(?:\s+.*)?$/i, async (msg) => {
+    try { await askCancelReason(msg.chat.id, null); } catch (e) { console.warn('rider /cancel failed:', e?.message || e); }
+  });
+
+  riderBot.onText(/^\/destination(?:\s+.*)?$/i, async (msg) => {
+    try { await askNewDestination(msg.chat.id, null); } catch (e) { console.warn('rider /destination failed:', e?.message || e); }
+  });
+
+  riderBot.onText(/^\/share(?:\s+.*)?$/i, async (msg) => {
+    try { await shareTrip(msg.chat.id, null); } catch (e) { console.warn('rider /share failed:', e?.message || e); }
+  });
+
+  riderBot.onText(/^\/contacts(?:\s+.*)?$/i, async (msg) => {
+    try { await showTrustedContacts(msg.chat.id); } catch (e) { console.warn('rider /contacts failed:', e?.message || e); }
+  });
+
   // Any message (locations + typed text for addresses)
   riderBot.on('message', async (msg) => {
     const chatId = msg.chat.id;
@@ -510,12 +871,55 @@ function wireRiderHandlers() {
           },
           { upsert: true }
         );
-        ioRef?.emit?.('rider:location', { chatId, location: { lat: msg.location.latitude, lng: msg.location.longitude } });
+        ioRef?.to?.('admins').emit('rider:location', { chatId, location: { lat: msg.location.latitude, lng: msg.location.longitude } });
       } catch {}
     }
 
     const st = riderState.get(chatId) || {};
     const text = (msg.text || '').trim();
+    if (/^\/(cancel|destination|share|contacts)\b/i.test(text)) return; // handled by onText above
+
+    // TRUSTED CONTACT: shared Telegram contact or "Name phone/email"
+    if (st.step === 'awaiting_trusted_contact') {
+      if (msg.contact) {
+        const name = [msg.contact.first_name, msg.contact.last_name].filter(Boolean).join(' ');
+        return saveTrustedContact(chatId, { name, phone: msg.contact.phone_number });
+      }
+      if (text) return saveTrustedContact(chatId, parseTrustedContact(text));
+      return;
+    }
+
+    // BOOKED TRIP: NEW DESTINATION
+    if (st.step === 'awaiting_new_dest') {
+      if (msg.location) {
+        return quoteNewDestination(chatId, st, { lat: msg.location.latitude, lng: msg.location.longitude });
+      }
+      if (text && text.length >= 3) {
+        const preds = await gmapsAutocomplete(text, {});
+        st.newDestPredictions = preds;
+        riderState.set(chatId, st);
+        return showAddressSuggestions(chatId, preds, 'newdest');
+      }
+      return;
+    }
+
+    // UNFULFILLED → schedule for later
+    if (st.step === 'awaiting_unf_schedule' && text) {
+      const when = parseScheduleInput(text);
+      if (!when || when.getTime() <= Date.now()) {
+        await riderBot.sendMessage(chatId, '⚠️ Please send a future date & time as <b>YYYY-MM-DD HH:MM</b>.', { parse_mode: 'HTML' });
+        return;
+      }
+      const ride = await scheduleUnfulfilledRide(st.unfulfilledRideId, when);
+      riderState.delete(chatId);
+      await riderBot.sendMessage(
+        chatId,
+        ride ? `🗓️ Scheduled for <b>${when.toLocaleString('en-ZA')}</b>. We’ll find a driver closer to the time.`
+             : '⚠️ This request can no longer be scheduled.',
+        { parse_mode: 'HTML', reply_markup: mainMenuKeyboard() }
+      );
+      return;
+    }
 
     // BOOKING: PICKUP
     if (st.step === 'awaiting_pickup') {
@@ -537,6 +941,20 @@ function wireRiderHandlers() {
       return; // keep quiet
     }
 
+    // BOOKING: EXTRA STOP
+    if (st.step === 'awaiting_stop') {
+      if (msg.location) {
+        return addStop(chatId, st, { lat: msg.location.latitude, lng: msg.location.longitude });
+      }
+      if (text && text.length >= 3) {
+        const preds = await gmapsAutocomplete(text, {});
+        st.stopPredictions = preds;
+        riderState.set(chatId, st);
+        return showAddressSuggestions(chatId, preds, 'stop');
+      }
+      return;
+    }
+
     // BOOKING: DROP
     if (st.step === 'awaiting_drop') {
       if (msg.location) {
@@ -610,14 +1028,21 @@ function wireRiderHandlers() {
       return riderBot.sendMessage(chatId, `🎯 <b>Confirm destination</b>\n${place.address}\n\nIs this correct?`, { parse_mode: 'HTML', reply_markup: confirmDropKeyboard() });
     }
 
+    if (data.startsWith('stop_idx:')) {
+      const i = Number(data.split(':')[1]);
+      const pred = st.stopPredictions?.[i];
+      if (!pred) return riderBot.sendMessage(chatId, 'Not found.');
+      const place = await gmapsPlaceLatLng(pred.place_id, {});
+      if (!place) return riderBot.sendMessage(chatId, 'Lookup failed.');
+      return addStop(chatId, st, place);
+    }
+
     // Confirm / correct pickup
     if (data === 'confirm_pickup_yes') {
       st.step = st.destination ? 'review_trip' : 'awaiting_drop';
       riderState.set(chatId, st);
       if (st.step === 'awaiting_drop') return askDrop(chatId);
-      const pAddr = st.pickup.address || `${st.pickup.lat.toFixed(5)}, ${st.pickup.lng.toFixed(5)}`;
-      const dAddr = st.destination?.address || `${st.destination.lat.toFixed(5)}, ${st.destination.lng.toFixed(5)}`;
-      return riderBot.sendMessage(chatId, `🧭 <b>Review trip</b>\n• Pickup: ${pAddr}\n• Destination: ${dAddr}`, { parse_mode: 'HTML', reply_markup: reviewTripKeyboard() });
+      return showReviewTrip(chatId, st);
     }
     if (data === 'correct_pickup') {
       st.step = 'awaiting_pickup';
@@ -631,9 +1056,7 @@ function wireRiderHandlers() {
       st.step = st.pickup ? 'review_trip' : 'awaiting_pickup';
       riderState.set(chatId, st);
       if (st.step === 'awaiting_pickup') return askPickup(chatId);
-      const pAddr = st.pickup.address || `${st.pickup.lat.toFixed(5)}, ${st.pickup.lng.toFixed(5)}`;
-      const dAddr = st.destination?.address || `${st.destination.lat.toFixed(5)}, ${st.destination.lng.toFixed(5)}`;
-      return riderBot.sendMessage(chatId, `🧭 <b>Review trip</b>\n• Pickup: ${pAddr}\n• Destination: ${dAddr}`, { parse_mode: 'HTML', reply_markup: reviewTripKeyboard() });
+      return showReviewTrip(chatId, st);
     }
     if (data === 'correct_drop') {
       st.step = 'awaiting_drop';
@@ -656,6 +1079,21 @@ function wireRiderHandlers() {
       riderState.set(chatId, st);
       return askPickup(chatId);
     }
+    if (data === 'review_add_stop') {
+      if (!st.pickup || !st.destination) return riderBot.sendMessage(chatId, 'Missing pickup or destination.');
+      if ((st.stops || []).length >= MAX_TRIP_STOPS) {
+        return riderBot.sendMessage(chatId, `⚠️ You can add up to ${MAX_TRIP_STOPS} stops.`, { reply_markup: reviewTripKeyboard(st) });
+      }
+      st.step = 'awaiting_stop';
+      riderState.set(chatId, st);
+      return askStop(chatId, (st.stops || []).length + 1);
+    }
+    if (data === 'review_clear_stops') {
+      delete st.stops; delete st.stopPredictions;
+      st.step = 'review_trip';
+      riderState.set(chatId, st);
+      return showReviewTrip(chatId, st);
+    }
     if (data === 'review_correct_drop') {
       st.step = 'awaiting_drop';
       delete st.destination; delete st.dropPredictions;
@@ -680,44 +1118,132 @@ function wireRiderHandlers() {
       if (!st.pickup || !st.destination || !st.selectedVehicle) {
         return riderBot.sendMessage(chatId, 'Missing details.');
       }
-      const ride = await createRideRecord({
+      return placeRide(chatId, st, method);
+    }
+
+    // Rider accepted the re-quote after their quote expired
+    if (data.startsWith('requote_ok:')) {
+      const [, vt, price] = data.split(':');
+      if (!st.pickup || !st.destination || !st.pendingPayMethod) {
+        return riderBot.sendMessage(chatId, 'Missing details.');
+      }
+      st.selectedVehicle = { type: vt, price: Number(price) || 0 };
+      return placeRide(chatId, st, st.pendingPayMethod);
+    }
+
+    // Cancel a placed ride: ask why first (searching, assigned or on the way)
+    if (data.startsWith('cancel_request:') || data.startsWith('rcancel_ask:')) {
+      return askCancelReason(chatId, data.split(':')[1]);
+    }
+    if (data.startsWith('rcancel:')) {
+      const [, rideId, code] = data.split(':');
+      return confirmRiderCancel(chatId, rideId, code);
+    }
+    if (data === 'rcancel_keep') {
+      return riderBot.sendMessage(chatId, '👍 Your trip is still on.');
+    }
+
+    // Change destination on a booked trip (re-quote → confirm)
+    if (data.startsWith('rdest_ask:')) {
+      return askNewDestination(chatId, data.split(':')[1]);
+    }
+    if (data.startsWith('ndest_idx:')) {
+      const pred = st.newDestPredictions?.[Number(data.split(':')[1])];
+      if (!pred || !st.destRideId) return riderBot.sendMessage(chatId, 'Not found.');
+      const place = await gmapsPlaceLatLng(pred.place_id, {});
+      if (!place) return riderBot.sendMessage(chatId, 'Lookup failed.');
+      return quoteNewDestination(chatId, st, place);
+    }
+    if (data.startsWith('rdest_ok:')) {
+      return applyNewDestination(chatId, data.split(':')[1]);
+    }
+    // Share my trip / trusted contacts
+    if (data.startsWith('rshare:')) {
+      return shareTrip(chatId, data.split(':')[1]);
+    }
+    if (data === 'tc_list') return showTrustedContacts(chatId);
+    if (data === 'tc_add') {
+      riderState.set(chatId, { ...st, step: 'awaiting_trusted_contact' });
+      return riderBot.sendMessage(
         chatId,
-        st,
-        vehicleType: st.selectedVehicle.type,
-        price: st.selectedVehicle.price,
-        paymentMethod: (method === 'cash' ? 'cash' : 'payfast')
-      });
+        '👤 Share a contact (📎 → Contact) or type a name with a phone number or email, e.g. <b>Mom 082 123 4567</b>.',
+        { parse_mode: 'HTML' }
+      );
+    }
+    if (data === 'tc_clear') {
+      await clearTrustedContacts({ chatId });
+      return riderBot.sendMessage(chatId, '🗑️ Trusted contacts removed.');
+    }
+    if (data === 'rdest_keep') {
+      delete st.destRideId;
+      st.step = st.waitingRideId ? 'waiting_driver' : undefined;
+      riderState.set(chatId, st);
+      return riderBot.sendMessage(chatId, '👍 Keeping your current destination.');
+    }
 
-      // Notify drivers of the selected vehicle type only
-      await riderBot.sendMessage(chatId, '📨 Request sent. Waiting for a driver to accept…', {
+    // Unfulfilled: try again (same vehicle) or with the vehicle picked from fresh quotes
+    if (data.startsWith('unf_retry:') || data.startsWith('unf_veh:')) {
+      const [kind, rideId, vt, price] = data.split(':');
+      let opts = {};
+      if (kind === 'unf_veh') {
+        const picked = (st.unfQuotes || []).find(x => x.vehicleType === vt && Number(x.price) === Number(price));
+        // an old button (or a restart) has no live quote behind it: never book on the price in the button
+        if (!picked || quoteExpired(picked)) {
+          await showUnfulfilledVehicleQuotes(chatId, rideId, { otherTypesOnly: false, intro: '⏱️ That price is no longer available. Here are fresh quotes:' });
+          return;
+        }
+        opts = { vehicleType: picked.vehicleType, estimate: picked.price, quote: quoteSnapshot(picked) };
+      } else {
+        // an unpaid ride whose quote ran out is re-priced; a new surge needs the rider's OK first
+        const cur = await Ride.findById(rideId).lean();
+        if (cur?.status === 'unfulfilled' && cur.paymentStatus !== 'paid' && cur.quote && quoteExpired(cur.quote)) {
+          let res = { quote: null, changed: true };
+          try { res = await requote({ ...cur.quote, vehicleType: cur.vehicleType }); } catch (e) { console.warn('requote failed:', e?.message || e); }
+          const fresh = res.quote;
+          if (!fresh) {
+            await riderBot.sendMessage(chatId, `🚘 No ${VEHICLE_LABEL(cur.vehicleType)} is available nearby right now.`, {
+              reply_markup: unfulfilledKeyboard(rideId, { paid: false })
+            });
+            return;
+          }
+          if (res.changed) {
+            riderState.set(chatId, { ...(riderState.get(chatId) || {}), unfQuotes: [fresh] });
+            await riderBot.sendMessage(chatId, requoteText(cur.quote, fresh), {
+              parse_mode: 'HTML',
+              reply_markup: {
+                inline_keyboard: [
+                  [{ text: `✅ Confirm R${fresh.price}`, callback_data: `unf_veh:${rideId}:${fresh.vehicleType}:${fresh.price}` }],
+                  ...unfulfilledKeyboard(rideId, { paid: false }).inline_keyboard.slice(1)
+                ]
+              }
+            });
+            return;
+          }
+          opts = { estimate: fresh.price, quote: quoteSnapshot(fresh) };
+        }
+      }
+      const ride = await retryUnfulfilledRide(rideId, opts);
+      if (!ride) {
+        await riderBot.sendMessage(chatId, '⚠️ This request is no longer available.', { reply_markup: mainMenuKeyboard() });
+        return;
+      }
+      await riderBot.sendMessage(chatId, '📨 Request sent again. Waiting for a driver to accept…', {
         reply_markup: waitingKeyboard(String(ride._id))
       });
       riderEvents.emit('booking:new', { rideId: String(ride._id) });
+      riderState.set(chatId, { waitingRideId: String(ride._id), step: 'waiting_driver' });
+      return;
+    }
 
-      // Fan out
-      await broadcastToDrivers(ride);
-
-      // Keep minimal state; user can cancel or start fresh
-      st.waitingRideId = String(ride._id);
-      st.step = 'waiting_driver';
-      riderState.set(chatId, st);
+    if (data.startsWith('unf_vehicle:')) {
+      await showUnfulfilledVehicleQuotes(chatId, data.split(':')[1]);
       return;
     }
 
-    // Cancel the specific pending request
-    if (data.startsWith('cancel_request:')) {
+    if (data.startsWith('unf_schedule:')) {
       const rideId = data.split(':')[1];
-      try {
-        const ride = await Ride.findById(rideId);
-        if (ride && ride.status === 'pending') {
-          ride.status = 'cancelled';
-          ride.cancelReason = 'rider_cancelled';
-          ride.cancelledAt = new Date();
-          await ride.save();
-        }
-      } catch {}
-      riderState.delete(chatId);
-      await riderBot.sendMessage(chatId, '❌ Request cancelled.', { reply_markup: mainMenuKeyboard() });
+      riderState.set(chatId, { step: 'awaiting_unf_schedule', unfulfilledRideId: rideId });
+      await riderBot.sendMessage(chatId, '🗓️ When should we pick you up? Send date & time as <b>YYYY-MM-DD HH:MM</b>.', { parse_mode: 'HTML' });
       return;
     }
 
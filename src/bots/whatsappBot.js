@@ -10,7 +10,7 @@
 // - Payment select (Cash / PayFast) BEFORE driver assignment
 // - Secure dashboard link (token + 4-digit PIN, 10-minute expiry)
 // - Prebooking flow with scheduled date-time capture
-// - Live tracking link after driver accepts; arrived/started/cancelled notices
+// - Live tracking link after driver accepts; started/arrived/picked/cancelled notices
 // - Ratings flow (1–5)
 // - Referral code capture on first text (ref/REFCODE)
 // - Dedupe layer to prevent double sends
@@ -43,7 +43,19 @@ import { riderEvents } from './riderBot.js';
 import { driverEvents } from './driverBot.js';
 
 // Quotes / pricing
-import { getAvailableVehicleQuotes } from '../services/pricing.js';
+import { getAvailableVehicleQuotes, quoteSnapshot, quoteExpired, requote } from '../services/pricing.js';
+import { fromGeoPoint } from '../services/geo.js';
+import { retryUnfulfilledRide, scheduleUnfulfilledRide, parseScheduleInput } from '../services/rideRecovery.js';
+import { RIDER_CANCEL_REASONS, RIDER_CANCELLABLE_STATUSES, previewRiderCancel, cancelRideByRider } from '../services/riderCancel.js';
+import { describeCancellationFee } from '../services/cancellationFees.js';
+import { transitionRide } from '../services/rideLifecycle.js';
+import { MAX_TRIP_STOPS, normalizeStops, stopLines } from '../services/tripStops.js';
+import { DESTINATION_CHANGE_STATUSES, proposeDestinationChange, confirmDestinationChange } from '../services/destinationChange.js';
+import { trackLink } from '../services/rideTokens.js';
+import {
+  MAX_TRUSTED_CONTACTS, createTripShareLink, tripShareDetails, tripShareText,
+  parseTrustedContact, trustedContactLines, addTrustedContact, clearTrustedContacts
+} from '../services/tripShare.js';
 
 // Optional mail
 import {
@@ -130,7 +142,10 @@ const rideEventDedupe = {
   accepted: new Map(),   // rideId -> ts
   arrived:  new Map(),
   started:  new Map(),
+  picked:   new Map(),
   cancelled: new Map(),
+  redispatched: new Map(),
+  near_pickup: new Map(),
 };
 
 function shouldSendRideEvent(kind, rideId, minIntervalMs = 5000) {
@@ -290,11 +305,13 @@ State shape (per jid):
          'reg_name' | 'reg_email' | 'reg_phone' |
          'booking_pickup' | 'booking_pickup_confirm' |
          'booking_destination' | 'booking_destination_confirm' |
-         'review_trip' | 'await_vehicle' | 'await_payment' |
+         'booking_stop' | 'review_trip' | 'await_vehicle' | 'await_payment' | 'requote_confirm' |
          'prebook_pickup' | 'prebook_pickup_confirm' |
          'prebook_destination' | 'prebook_destination_confirm' |
-         'prebook_when' | 'prebook_review' | 'prebook_await_vehicle' | 'prebook_await_payment',
-  pickup, destination,
+         'prebook_when' | 'prebook_review' | 'prebook_await_vehicle' | 'prebook_await_payment' |
+         'unf_menu' | 'unf_vehicle' | 'unf_when' |
+         'rcancel_reason' | 'rdest_where' | 'rdest_confirm',
+  pickup, destination, stops: [],
   suggestions: [],
   chosenVehicle, price,
   quotes: [],
@@ -303,6 +320,36 @@ State shape (per jid):
 }
 */
 function resetFlow(jid) { convo.set(jid, { stage: 'idle' }); }
+
+/** Review step: pickup → stops → destination, with the 1–6 menu */
+async function sendReviewTrip(jid, state) {
+  const p = state.pickup?.address || `${state.pickup?.lat?.toFixed(5)}, ${state.pickup?.lng?.toFixed(5)}`;
+  const d = state.destination?.address || `${state.destination?.lat?.toFixed(5)}, ${state.destination?.lng?.toFixed(5)}`;
+  const stops = state.stops || [];
+  const options = ['1) Proceed', '2) Fix pickup', '3) Fix destination', '4) Cancel'];
+  if (stops.length < MAX_TRIP_STOPS) options.push('5) Add a stop');
+  if (stops.length) options.push('6) Clear stops');
+  await sendText(
+    jid,
+    `🧭 *Review trip*\n` +
+    `• Pickup: ${p}\n` +
+    (stops.length ? `${stopLines(stops).join('\n')}\n` : '') +
+    `• Destination: ${d}\n\n` +
+    `Choose:\n` +
+    options.join('\n') +
+    `\nReply with the *number*.`
+  );
+}
+
+/** Stop picked (suggestion or shared location) → back to the review */
+async function addBookingStop(jid, state, stop) {
+  state.stops = normalizeStops([...(state.stops || []), stop]);
+  state.suggestions = [];
+  state.stage = 'review_trip';
+  convo.set(jid, state);
+  await sendText(jid, `✅ Stop ${state.stops.length} added.`);
+  await sendReviewTrip(jid, state);
+}
 function startBooking(jid) { convo.set(jid, { stage: 'booking_pickup' }); }
 function startPrebook(jid) { convo.set(jid, { stage: 'prebook_pickup', prebook: {} }); }
 
@@ -593,6 +640,143 @@ function carPretty(driver) {
 }
 const toMap = ({ lat, lng }) => `https://maps.google.com/?q=${lat},${lng}`;
 
+function requoteMessage(oldQ, fresh) {
+  const surgeLine = Number(fresh.surge || 1) > 1
+    ? `Demand is high right now (surge ×${Number(fresh.surge).toFixed(2)}).`
+    : 'Surge has eased.';
+  return `⏱️ Your quote expired, so we priced the trip again.\n${surgeLine}\n` +
+    `${vtLabel(fresh.vehicleType)}: *R${fresh.price}* (was R${oldQ.price})${fresh.pricingMode === 'upfront' ? ' 🔒' : ''}`;
+}
+
+/**
+ * Before dispatch: re-quote a ride whose quote ran out. Same surge and no price
+ * rise → refreshed silently; otherwise the rider confirms first (stage
+ * 'requote_confirm'). Returns true when the caller may go ahead.
+ */
+async function ensureFreshQuote(jid, state, method) {
+  const ride = await Ride.findById(state.rideId);
+  if (!ride?.quote || !quoteExpired(ride.quote)) return true;
+
+  const old = ride.quote.toObject ? ride.quote.toObject() : ride.quote;
+  let res = { quote: null, changed: true };
+  try { res = await requote(old); } catch (e) { logger.warn('WA: requote failed: %s', e?.message || e); }
+  const fresh = res.quote;
+
+  if (!fresh) {
+    try {
+      await transitionRide(ride._id, 'cancelled', {
+        set: { cancelReason: 'quote_expired', cancelledBy: 'system', cancelledAt: new Date() },
+        activity: { message: `Quote expired and no ${vtLabel(old.vehicleType)} was available` }
+      });
+    } catch (e) { logger.warn('WA: quote-expired cancel failed: %s', e?.message || e); }
+    resetFlow(jid);
+    await sendText(jid, `⏱️ Your quote expired and no ${vtLabel(old.vehicleType)} is available right now. Type *menu* → *1* to try again.`);
+    return false;
+  }
+
+  ride.estimate = fresh.price;
+  ride.quote = quoteSnapshot(fresh);
+  await ride.save();
+  state.price = fresh.price;
+  if (!res.changed) return true;
+
+  state.stage = 'requote_confirm';
+  state.pendingPay = method;
+  convo.set(jid, state);
+  await sendText(jid, requoteMessage(old, fresh) + `\n\nReply *1* to confirm or *2* to cancel.`);
+  return false;
+}
+
+/* ────────────────────────────────────────────────────────────────────────────
+   Rider cancel (any status until pickup)
+──────────────────────────────────────────────────────────────────────────── */
+async function askCancelReason(jid) {
+  const ride = await Ride.findOne({ riderWaJid: jid, status: { $in: RIDER_CANCELLABLE_STATUSES } }).sort({ createdAt: -1 }).lean();
+  if (!ride) { await sendText(jid, 'You have no trip to cancel.'); return; }
+
+  const preview = await previewRiderCancel(ride);
+  if (!preview.cancellable) { await sendText(jid, '⚠️ This trip can no longer be cancelled.'); return; }
+
+  convo.set(jid, { stage: 'rcancel_reason', rideId: String(ride._id) });
+  const feeLine = preview.fee
+    ? `\n💸 A ${preview.fee.kind === 'no_show' ? 'no-show' : 'late cancellation'} fee of *R${preview.fee.amount}* applies.\n`
+    : '';
+  const list = RIDER_CANCEL_REASONS.map((r, i) => `${i + 1}) ${r.label}`).join('\n');
+  await sendText(jid, `❓ *Why are you cancelling?*\n${feeLine}\n${list}\n0) Keep my trip`);
+}
+
+async function confirmRiderCancel(jid, rideId, reasonCode) {
+  const out = await cancelRideByRider(rideId, { reason: reasonCode, riderWaJid: jid });
+  resetFlow(jid);
+  if (!out.ok) {
+    await sendText(jid, out.error === 'not_cancellable' ? '⚠️ This trip can no longer be cancelled.' : '⚠️ Could not cancel this trip.');
+    return;
+  }
+
+  riderEvents.emit('booking:cancelled', {
+    rideId: String(out.ride._id),
+    reason: out.reason,
+    previousStatus: out.previousStatus,
+    driverId: out.driverId,
+    fee: out.fee
+  });
+
+  const payLink = out.fee?.status === 'charge_pending' ? `${PUBLIC_URL}/pay/${out.ride._id}` : null;
+  const lines = ['❌ *Trip cancelled.*'];
+  if (out.driverId) lines.push('Your driver has been notified.');
+  if (out.fee) lines.push(`💸 ${describeCancellationFee(out.fee, { payLink })}`);
+  else if (out.ride.refundStatus === 'required') lines.push('💳 Your card payment has been flagged for a refund.');
+  await sendText(jid, lines.join('\n'));
+  await sendMainMenu(jid);
+}
+
+/* Change destination on a booked trip: where → re-quote → confirm */
+async function askNewDestination(jid) {
+  const ride = await Ride.findOne({ riderWaJid: jid, status: { $in: DESTINATION_CHANGE_STATUSES } }).sort({ createdAt: -1 }).lean();
+  if (!ride) { await sendText(jid, 'You have no trip to change.'); return; }
+  convo.set(jid, { stage: 'rdest_where', rideId: String(ride._id) });
+  await sendText(jid, '📍 Where to instead? Share the new destination (📎) or type the address for suggestions.\nReply *0* to keep your current destination.');
+}
+
+async function quoteNewDestination(jid, state, dest) {
+  const out = await proposeDestinationChange(state.rideId, dest, { riderWaJid: jid, channel: 'whatsapp' });
+  if (!out.ok) {
+    if (out.error === 'same_destination') { await sendText(jid, 'ℹ️ That is already your destination. Send a different one, or *0* to keep it.'); return; }
+    resetFlow(jid);
+    await sendText(jid, out.error === 'not_changeable' ? '⚠️ This trip can no longer be changed.' : '⚠️ Could not price that destination.');
+    return;
+  }
+  const p = out.proposal;
+  convo.set(jid, { stage: 'rdest_confirm', rideId: state.rideId });
+  await sendText(
+    jid,
+    `📍 *New destination*\n${p.address}\n\n` +
+    `💰 New fare: *R${p.price}*${p.previousPrice != null ? ` (was R${p.previousPrice})` : ''}\n\n` +
+    `1) Confirm\n2) Keep current destination`
+  );
+}
+
+/* Share my trip / trusted contacts */
+async function shareTrip(jid) {
+  const out = await createTripShareLink(null, { riderWaJid: jid });
+  if (!out.ok) { await sendText(jid, 'You have no trip to share.'); return; }
+  const details = await tripShareDetails(out.ride);
+  await sendText(jid, '🛡️ Forward the next message to someone you trust. They can follow your trip live until it ends.');
+  await sendText(jid, tripShareText(details, out.url));
+}
+
+async function sendTrustedContacts(jid) {
+  const rider = await Rider.findOne({ waJid: jid }).select('trustedContacts').lean();
+  const list = rider?.trustedContacts || [];
+  const lines = ['🛡️ *Trusted contacts*'];
+  if (list.length) lines.push('They get a live link to every trip once a driver accepts.', '', ...trustedContactLines(list));
+  else lines.push(`Save up to ${MAX_TRUSTED_CONTACTS} people who should get a live link to every trip.`);
+  lines.push('');
+  if (list.length < MAX_TRUSTED_CONTACTS) lines.push('Reply *add contact Mom 082 123 4567* (or an email) to add one.');
+  if (list.length) lines.push('Reply *clear contacts* to remove them all.');
+  await sendText(jid, lines.join('\n'));
+}
+
 /* ────────────────────────────────────────────────────────────────────────────
    Message Handlers – TEXT (NUMBER-FIRST UX)
 ──────────────────────────────────────────────────────────────────────────── */
@@ -652,6 +836,98 @@ async function handleTextMessage(jid, raw) {
     return;
   }
 
+  // Cancel a placed trip (searching, assigned or on the way)
+  if (['cancel trip', 'cancel ride', '/cancel'].includes(lc) || (lc === 'cancel' && state.stage === 'idle')) {
+    await askCancelReason(jid);
+    return;
+  }
+  if (state.stage === 'rcancel_reason') {
+    const n = Number(lc);
+    if (lc === '0' || lc === 'keep') {
+      resetFlow(jid);
+      await sendText(jid, '👍 Your trip is still on.');
+      return;
+    }
+    const picked = Number.isInteger(n) ? RIDER_CANCEL_REASONS[n - 1] : null;
+    if (!picked) {
+      await sendText(jid, `Reply with a number 1–${RIDER_CANCEL_REASONS.length}, or *0* to keep your trip.`);
+      return;
+    }
+    await confirmRiderCancel(jid, state.rideId, picked.code);
+    return;
+  }
+
+  // Share my trip / trusted contacts
+  if (['share trip', 'share my trip', '/share'].includes(lc)) {
+    await shareTrip(jid);
+    return;
+  }
+  if (['contacts', 'trusted contacts', '/contacts'].includes(lc)) {
+    await sendTrustedContacts(jid);
+    return;
+  }
+  if (lc.startsWith('add contact')) {
+    const contact = parseTrustedContact(txt.replace(/^add contact/i, ''));
+    const out = contact ? await addTrustedContact({ waJid: jid }, contact) : { ok: false, error: 'bad_contact' };
+    if (!out.ok) {
+      await sendText(jid, out.error === 'full' ? `⚠️ You can save up to ${MAX_TRUSTED_CONTACTS} contacts.`
+        : out.error === 'not_found' ? 'Please say *hi* to register first.'
+        : '⚠️ Send a name with a phone number or email, e.g. *add contact Mom 082 123 4567*.');
+      return;
+    }
+    await sendText(jid, '✅ Contact saved.');
+    await sendTrustedContacts(jid);
+    return;
+  }
+  if (lc === 'clear contacts') {
+    await clearTrustedContacts({ waJid: jid });
+    await sendText(jid, '🗑️ Trusted contacts removed.');
+    return;
+  }
+
+  // Change destination on a booked trip
+  if (['change destination', 'new destination', '/destination'].includes(lc)) {
+    await askNewDestination(jid);
+    return;
+  }
+  if (state.stage === 'rdest_where' || state.stage === 'rdest_confirm') {
+    if (lc === '0' || lc === 'keep' || (state.stage === 'rdest_confirm' && lc === '2')) {
+      resetFlow(jid);
+      await sendText(jid, '👍 Keeping your current destination.');
+      return;
+    }
+    if (state.stage === 'rdest_confirm') {
+      if (!isYes(lc)) { await sendText(jid, 'Reply *1* to confirm the new destination or *2* to keep the current one.'); return; }
+      const out = await confirmDestinationChange(state.rideId, { riderWaJid: jid });
+      resetFlow(jid);
+      if (!out.ok) {
+        await sendText(jid, out.error === 'expired'
+          ? '⏱️ That price expired. Reply *change destination* to get a new one.'
+          : '⚠️ This trip can no longer be changed.');
+        return;
+      }
+      riderEvents.emit('booking:destination_changed', { rideId: String(out.ride._id) });
+      await sendText(jid, `✅ Destination changed to ${out.change.to.address}. New fare: *R${out.change.price}*.${out.ride.driverId ? '\nYour driver has been told.' : ''}`);
+      return;
+    }
+    if (/^\d{1,2}$/.test(lc) && state.suggestions?.length) {
+      const choice = state.suggestions[Number(lc) - 1];
+      if (!choice) { await sendText(jid, '⚠️ Invalid number. Choose one from the list or type the address again.'); return; }
+      const det = await placeDetails(choice.place_id, ensureSessionToken(state)).catch(() => null);
+      if (!det) { await sendText(jid, '⚠️ Failed to fetch that place. Type the address again.'); return; }
+      await quoteNewDestination(jid, state, det);
+      return;
+    }
+    if (txt.length >= 2) {
+      const sugs = GOOGLE_MAPS_API_KEY ? await placesAutocomplete(txt, ensureSessionToken(state)).catch(() => []) : [];
+      if (!sugs.length) { await sendText(jid, 'No matches found (ZA). Try another address, or share the location (📎).'); return; }
+      state.suggestions = sugs;
+      convo.set(jid, state);
+      await sendText(jid, '📍 *New destination (ZA):*\n' + formatSuggestionList(sugs) + '\n\nReply with the *number* of your choice, or type a new address.');
+      return;
+    }
+  }
+
   // First time / greetings → registration
   if ((!hasName || !hasEmail) &&
       (['/start','start','hi','hello','menu','1','2','3','4','5'].includes(lc) || state.stage === 'idle')) {
@@ -957,20 +1233,7 @@ async function handleTextMessage(jid, raw) {
       // Review trip
       state.stage = 'review_trip';
       convo.set(jid, state);
-      const p = state.pickup?.address || `${state.pickup?.lat?.toFixed(5)}, ${state.pickup?.lng?.toFixed(5)}`;
-      const d = state.destination?.address || `${state.destination?.lat?.toFixed(5)}, ${state.destination?.lng?.toFixed(5)}`;
-      await sendText(
-        jid,
-        `🧭 *Review trip*\n` +
-        `• Pickup: ${p}\n` +
-        `• Destination: ${d}\n\n` +
-        `Choose:\n` +
-        `1) Proceed\n` +
-        `2) Fix pickup\n` +
-        `3) Fix destination\n` +
-        `4) Cancel\n` +
-        `Reply with *1–4*.`
-      );
+      await sendReviewTrip(jid, state);
       return;
     }
     if (isNo(lc)) {
@@ -985,8 +1248,57 @@ async function handleTextMessage(jid, raw) {
     return;
   }
 
+  // ────────────────────────────────────────────────────────────────────────────
+  // BOOKING FLOW – EXTRA STOP
+  // ────────────────────────────────────────────────────────────────────────────
+  if (state.stage === 'booking_stop' && /^\d{1,2}$/.test(lc) && Array.isArray(state.suggestions) && state.suggestions.length) {
+    const choice = state.suggestions[Number(lc) - 1];
+    if (!choice) { await sendText(jid, '⚠️ Invalid number. Choose one from the list or type the address again.'); return; }
+    try {
+      const det = await placeDetails(choice.place_id, ensureSessionToken(state));
+      if (!det) throw new Error('no details');
+      await addBookingStop(jid, state, { lat: det.lat, lng: det.lng, address: det.address });
+    } catch {
+      await sendText(jid, '⚠️ Failed to fetch that place. Type the stop address again.');
+    }
+    return;
+  }
+  if (state.stage === 'booking_stop' && txt.length >= 2) {
+    if (!GOOGLE_MAPS_API_KEY) {
+      await sendText(jid, '⚠️ Address search unavailable. Please share the stop using the 📎 attachment.');
+      return;
+    }
+    const sugs = await placesAutocomplete(txt, ensureSessionToken(state)).catch(() => []);
+    if (!sugs.length) {
+      await sendText(jid, 'No matches found (ZA). Try another address, or share the location (📎).');
+      return;
+    }
+    state.suggestions = sugs;
+    convo.set(jid, state);
+    await sendText(
+      jid,
+      '🛑 *Stop suggestions (ZA):*\n' +
+      formatSuggestionList(sugs) +
+      '\n\nReply with the *number* of your choice, or type a new address.'
+    );
+    return;
+  }
+
   // Review actions
   if (state.stage === 'review_trip') {
+    if ((lc === '5' || lc === 'add stop') && (state.stops || []).length < MAX_TRIP_STOPS) {
+      state.stage = 'booking_stop';
+      state.suggestions = [];
+      convo.set(jid, state);
+      await sendText(jid, `🛑 Send stop ${(state.stops || []).length + 1} — share location (📎) or type the address for suggestions.`);
+      return;
+    }
+    if ((lc === '6' || lc === 'clear stops') && (state.stops || []).length) {
+      state.stops = [];
+      convo.set(jid, state);
+      await sendReviewTrip(jid, state);
+      return;
+    }
     if (lc === '2' || lc === 'fix pickup') {
       state.stage = 'booking_pickup';
       state.pickup = undefined;
@@ -1014,6 +1326,7 @@ async function handleTextMessage(jid, raw) {
         const quotes = await getAvailableVehicleQuotes({
           pickup: state.pickup,
           destination: state.destination,
+          stops: state.stops || [],
           radiusKm: 30,
         }).catch(() => []);
         if (!quotes.length) {
@@ -1028,7 +1341,7 @@ async function handleTextMessage(jid, raw) {
         convo.set(jid, state);
 
         const lines = quotes.map((q, i) =>
-          `${i + 1}) ${vtLabel(q.vehicleType)} — R${q.price}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`
+          `${i + 1}) ${vtLabel(q.vehicleType)} — R${q.price}${q.pricingMode === 'upfront' ? ' 🔒' : ''}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`
         );
         await sendText(
           jid,
@@ -1042,7 +1355,7 @@ async function handleTextMessage(jid, raw) {
         return;
       }
     }
-    await sendText(jid, `Reply with *1–4*:\n1) Proceed  2) Fix pickup  3) Fix destination  4) Cancel`);
+    await sendReviewTrip(jid, state);
     return;
   }
 
@@ -1057,7 +1370,9 @@ async function handleTextMessage(jid, raw) {
     const ride = await Ride.create({
       pickup: state.pickup,
       destination: state.destination,
+      stops: state.stops?.length ? normalizeStops(state.stops) : undefined,
       estimate: q.price,
+      quote: quoteSnapshot(q),
       paymentMethod: 'cash',
       vehicleType: q.vehicleType,
       status: 'payment_pending',
@@ -1074,8 +1389,9 @@ async function handleTextMessage(jid, raw) {
     const summary =
       `🧾 *Trip Summary*\n` +
       `• Vehicle: ${label}\n` +
-      `• Estimate: R${q.price}\n` +
+      (q.pricingMode === 'upfront' ? `• Fixed price: R${q.price} 🔒\n` : `• Estimate: R${q.price}\n`) +
       `• Pickup: ${state.pickup?.address || `(${state.pickup.lat.toFixed(5)}, ${state.pickup.lng.toFixed(5)})`}\n` +
+      (state.stops?.length ? `${stopLines(state.stops).join('\n')}\n` : '') +
       `• Drop:   ${state.destination?.address || `(${state.destination.lat.toFixed(5)}, ${state.destination.lng.toFixed(5)})`}\n\n` +
       `Choose payment:\n` +
       `1) 💵 Cash\n` +
@@ -1086,24 +1402,55 @@ async function handleTextMessage(jid, raw) {
     return;
   }
 
+  // Re-priced after the quote expired
+  if (state.stage === 'requote_confirm') {
+    if (lc === '1' || lc === 'confirm' || lc === 'yes') {
+      state.stage = 'await_payment';
+      convo.set(jid, state);
+      // fall through to the payment step with the method they already picked
+    } else if (lc === '2' || lc === 'cancel' || lc === 'no') {
+      try {
+        await transitionRide(state.rideId, 'cancelled', {
+          from: 'payment_pending',
+          set: { cancelReason: 'rider_cancelled', cancelledBy: 'rider', cancelledAt: new Date() },
+          activity: { actorType: 'rider', actorId: jid, message: 'Rider declined the new price' }
+        });
+      } catch {}
+      resetFlow(jid);
+      await sendText(jid, `❌ Booking cancelled.`);
+      await sendMainMenu(jid);
+      return;
+    } else {
+      await sendText(jid, 'Reply *1* to confirm the new price or *2* to cancel.');
+      return;
+    }
+  }
+
   // Payment choice
   if (state.stage === 'await_payment') {
-    if (lc === '1' || lc === 'cash') {
-      const ride = await Ride.findById(state.rideId);
-      if (!ride) { resetFlow(jid); await sendText(jid, '⚠️ Session expired. Type *menu* → *1* to start again.'); return; }
-      ride.paymentMethod = 'cash';
-      ride.status = 'pending';
-      await ride.save();
+    const choice = state.pendingPay || lc;
+    delete state.pendingPay;
+
+    if (choice === '1' || choice === 'cash') {
+      if (!(await ensureFreshQuote(jid, state, 'cash'))) return;
+      const out = await transitionRide(state.rideId, 'pending', {
+        from: 'payment_pending',
+        set: { paymentMethod: 'cash' },
+        activity: { type: 'request', actorType: 'rider', actorId: jid, message: 'Rider chose cash', meta: { paymentMethod: 'cash' } }
+      });
+      if (!out.ok) { resetFlow(jid); await sendText(jid, '⚠️ Session expired. Type *menu* → *1* to start again.'); return; }
+      const { ride } = out;
 
       riderEvents.emit('booking:new', { rideId: String(ride._id), vehicleType: state.chosenVehicle });
-      await sendText(jid, '✅ Cash selected. Requesting the nearest driver for you…');
+      await sendText(jid, '✅ Cash selected. Requesting the nearest driver for you…\nReply *cancel trip* any time to cancel.');
       resetFlow(jid);
       return;
     }
 
-    if (lc === '2' || lc === 'card' || lc === 'payfast') {
+    if (choice === '2' || choice === 'card' || choice === 'payfast') {
       const rideId = state.rideId;
       if (!rideId) { resetFlow(jid); await sendText(jid, '⚠️ Session expired. Type *menu* → *1* to start again.'); return; }
+      if (!(await ensureFreshQuote(jid, state, 'card'))) return;
       const link = `${PUBLIC_URL}/pay/${encodeURIComponent(rideId)}`;
       await sendText(jid, `💳 Pay with card here:\n${link}\n\nAfter payment, we’ll notify a driver.`);
       resetFlow(jid);
@@ -1316,7 +1663,7 @@ async function handleTextMessage(jid, raw) {
         convo.set(jid, state);
 
         const lines = quotes.map((q, i) =>
-          `${i + 1}) ${vtLabel(q.vehicleType)} — R${q.price}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`
+          `${i + 1}) ${vtLabel(q.vehicleType)} — R${q.price}${q.pricingMode === 'upfront' ? ' 🔒' : ''}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`
         );
         await sendText(
           jid,
@@ -1345,6 +1692,7 @@ async function handleTextMessage(jid, raw) {
       pickup: state.pickup,
       destination: state.destination,
       estimate: q.price,
+      quote: quoteSnapshot(q),
       paymentMethod: 'cash',
       vehicleType: q.vehicleType,
       status: 'scheduled',
@@ -1362,7 +1710,7 @@ async function handleTextMessage(jid, raw) {
     const summary =
       `🧾 *Scheduled Trip Summary*\n` +
       `• Vehicle: ${label}\n` +
-      `• Estimate: R${q.price}\n` +
+      (q.pricingMode === 'upfront' ? `• Fixed price: R${q.price} 🔒\n` : `• Estimate: R${q.price}\n`) +
       `• When: ${state.prebook?.scheduledAt?.toLocaleString()}\n` +
       `• Pickup: ${state.pickup?.address}\n` +
       `• Drop:   ${state.destination?.address}\n\n` +
@@ -1397,9 +1745,111 @@ async function handleTextMessage(jid, raw) {
     return;
   }
 
+  // ────────────────────────────────────────────────────────────────────────────
+  // UNFULFILLED (dispatch watchdog gave up) → retry / other vehicle / schedule
+  // ────────────────────────────────────────────────────────────────────────────
+  if (state.stage === 'unf_menu') {
+    if (lc === '1' || lc === 'retry' || lc === 'try again') {
+      // an unpaid ride whose quote ran out is re-priced; a new surge needs the rider's OK first
+      let opts = {};
+      const cur = await Ride.findById(state.rideId).lean();
+      if (cur?.status === 'unfulfilled' && !state.paid && cur.quote && quoteExpired(cur.quote)) {
+        let res = { quote: null, changed: true };
+        try { res = await requote({ ...cur.quote, vehicleType: cur.vehicleType }); } catch (e) { logger.warn('WA: requote failed: %s', e?.message || e); }
+        const fresh = res.quote;
+        if (!fresh) {
+          await sendText(jid, `🚘 No ${vtLabel(cur.vehicleType)} is available nearby right now. Reply *2* for another vehicle or *3* to schedule.`);
+          return;
+        }
+        if (res.changed) {
+          state.quotes = [fresh];
+          state.stage = 'unf_vehicle';
+          convo.set(jid, state);
+          await sendText(jid, requoteMessage(cur.quote, fresh) + `\n\nReply *1* to confirm.`);
+          return;
+        }
+        opts = { estimate: fresh.price, quote: quoteSnapshot(fresh) };
+      }
+      const ride = await retryUnfulfilledRide(state.rideId, opts);
+      resetFlow(jid);
+      if (!ride) { await sendText(jid, '⚠️ This request is no longer available.'); await sendMainMenu(jid); return; }
+      riderEvents.emit('booking:new', { rideId: String(ride._id), vehicleType: ride.vehicleType });
+      await sendText(jid, '📨 Request sent again. Looking for a driver…');
+      return;
+    }
+    if ((lc === '2' || lc === 'vehicle') && !state.paid) {
+      const ride = await Ride.findById(state.rideId).lean();
+      if (!ride || ride.status !== 'unfulfilled') {
+        resetFlow(jid);
+        await sendText(jid, '⚠️ This request is no longer available.');
+        await sendMainMenu(jid);
+        return;
+      }
+      const quotes = (await getAvailableVehicleQuotes({
+        pickup: ride.pickup,
+        destination: ride.destination,
+        stops: ride.stops || [],
+        radiusKm: 30,
+      }).catch(() => [])).filter(q => q.vehicleType !== ride.vehicleType);
+      if (!quotes.length) {
+        await sendText(jid, '🚘 No other vehicle types are available nearby right now. Reply *1* to try again or *3* to schedule.');
+        return;
+      }
+      state.quotes = quotes;
+      state.stage = 'unf_vehicle';
+      convo.set(jid, state);
+      const lines = quotes.map((q, i) =>
+        `${i + 1}) ${vtLabel(q.vehicleType)} — R${q.price}${q.pricingMode === 'upfront' ? ' 🔒' : ''}${q.driverCount ? ` (drivers: ${q.driverCount})` : ''}`
+      );
+      await sendText(jid, '🚘 Choose another vehicle:\n' + lines.join('\n') + '\n\nReply with the *number* of your choice.');
+      return;
+    }
+    if (lc === '3' || lc === 'schedule') {
+      state.stage = 'unf_when';
+      convo.set(jid, state);
+      await sendText(jid, `🗓️ When should we pick you up? Reply with *YYYY-MM-DD HH:MM* (24h).`);
+      return;
+    }
+    if (lc === '4' || lc === 'cancel') {
+      resetFlow(jid);
+      await sendMainMenu(jid);
+      return;
+    }
+    await sendText(jid, state.paid
+      ? 'Reply with *1* Try again, *3* Schedule for later or *4* Main menu.'
+      : 'Reply with *1–4*:\n1) Try again  2) Other vehicle  3) Schedule  4) Main menu');
+    return;
+  }
+
+  if (state.stage === 'unf_vehicle' && /^\d{1,2}$/.test(lc)) {
+    const q = state.quotes?.[Number(lc) - 1];
+    if (!q) { await sendText(jid, '⚠️ Invalid choice. Reply with a valid number from the list.'); return; }
+    const ride = await retryUnfulfilledRide(state.rideId, { vehicleType: q.vehicleType, estimate: q.price, quote: quoteSnapshot(q) });
+    resetFlow(jid);
+    if (!ride) { await sendText(jid, '⚠️ This request is no longer available.'); await sendMainMenu(jid); return; }
+    riderEvents.emit('booking:new', { rideId: String(ride._id), vehicleType: ride.vehicleType });
+    await sendText(jid, `📨 Requesting a ${vtLabel(ride.vehicleType)} (R${ride.estimate}) for you…`);
+    return;
+  }
+
+  if (state.stage === 'unf_when') {
+    const when = parseScheduleInput(txt);
+    if (!when || when < new Date()) {
+      await sendText(jid, `❌ Please provide a valid *future* date & time as *YYYY-MM-DD HH:MM* (24h).`);
+      return;
+    }
+    const ride = await scheduleUnfulfilledRide(state.rideId, when);
+    resetFlow(jid);
+    await sendText(jid, ride
+      ? `🗓️ Scheduled for *${when.toLocaleString()}*. We’ll find a driver closer to the time.`
+      : '⚠️ This request can no longer be scheduled.');
+    return;
+  }
+
   // Hints if user is stuck within stages
   if (state.stage === 'booking_pickup')  { await sendText(jid, `📍 Please send your *pickup* — share location (📎) or type the address for suggestions.`); return; }
   if (state.stage === 'booking_destination') { await sendText(jid, `📍 Please send your *destination* — share location (📎) or type the address for suggestions.`); return; }
+  if (state.stage === 'booking_stop') { await sendText(jid, `🛑 Please send your *stop* — share location (📎) or type the address for suggestions.`); return; }
   if (state.stage === 'prebook_pickup')  { await sendText(jid, `🗓️ Please send your *pickup* — share location (📎) or type the address for suggestions.`); return; }
   if (state.stage === 'prebook_destination') { await sendText(jid, `🗓️ Please send your *destination* — share location (📎) or type the address for suggestions.`); return; }
 
@@ -1459,6 +1909,18 @@ async function handleLocationMessage(jid, locationMessage) {
     return;
   }
 
+  // New destination for a booked trip
+  if (state.stage === 'rdest_where') {
+    await quoteNewDestination(jid, state, { lat, lng });
+    return;
+  }
+
+  // Extra stop via location
+  if (state.stage === 'booking_stop') {
+    await addBookingStop(jid, state, { lat, lng, address: `${lat.toFixed(5)}, ${lng.toFixed(5)}` });
+    return;
+  }
+
   // Prebook pickup via location
   if (state.stage === 'prebook_pickup') {
     state.pickup = { lat, lng, address: `${lat.toFixed(5)}, ${lng.toFixed(5)}` };
@@ -1510,7 +1972,7 @@ driverEvents.on('ride:accepted', async ({ rideId }) => {
     if (ride?.driverId) driver = await Driver.findById(ride.driverId).lean();
   } catch {}
 
-  const liveLink = `${PUBLIC_URL}/track.html?rideId=${encodeURIComponent(rideId)}`;
+  const liveLink = trackLink(rideId, 'rider');
   const pickupLink = ride?.pickup ? toMap(ride.pickup) : null;
   const dropLink   = ride?.destination ? toMap(ride.destination) : null;
 
@@ -1532,20 +1994,31 @@ driverEvents.on('ride:accepted', async ({ rideId }) => {
     `• Call/Text: ${dPhone}`,
   ];
 
-  if (driver?.location && typeof driver.location.lat === 'number' && typeof driver.location.lng === 'number') {
-    lines.push(`• Driver location: ${toMap(driver.location)}`);
+  const driverLoc = fromGeoPoint(driver?.location);
+  if (driverLoc) {
+    lines.push(`• Driver location: ${toMap(driverLoc)}`);
   }
   if (pickupLink) lines.push(`• Pickup map: ${pickupLink}`);
   if (dropLink)   lines.push(`• Drop map: ${dropLink}`);
 
   lines.push('');
   lines.push(`🗺️ Track live: ${liveLink}`);
+  lines.push('Reply *change destination* to go somewhere else, *share trip* to send someone a live link, or *cancel trip* to cancel.');
 
   try { await sendText(jid, lines.join('\n')); } catch {}
 });
 
-driverEvents.on('ride:arrived', async ({ rideId }) => {
-  if (!shouldSendRideEvent('arrived', rideId)) return;
+driverEvents.on('ride:near_pickup', async ({ rideId, etaSec }) => {
+  if (!shouldSendRideEvent('near_pickup', rideId)) return;
+
+  const jid = await getWaJidForRideId(rideId);
+  if (!jid) return;
+  const min = Math.max(1, Math.round(Number(etaSec || 0) / 60));
+  try { await sendText(jid, `🚗 Your driver is about ${min} minute${min === 1 ? '' : 's'} away. Please head to the pickup point.`); } catch {}
+});
+
+driverEvents.on('ride:arrived', async ({ rideId, firstTime = false }) => {
+  if (!firstTime || !shouldSendRideEvent('arrived', rideId)) return;
 
   const jid = await getWaJidForRideId(rideId);
   if (!jid) return;
@@ -1557,7 +2030,15 @@ driverEvents.on('ride:started', async ({ rideId }) => {
 
   const jid = await getWaJidForRideId(rideId);
   if (!jid) return;
-  try { await sendText(jid, '▶️ Your trip has started. Enjoy the ride!'); } catch {}
+  try { await sendText(jid, '🚗 Your driver is on the way to you.'); } catch {}
+});
+
+driverEvents.on('ride:picked', async ({ rideId }) => {
+  if (!shouldSendRideEvent('picked', rideId)) return;
+
+  const jid = await getWaJidForRideId(rideId);
+  if (!jid) return;
+  try { await sendText(jid, '✅ You have been picked up. Heading to your destination now.'); } catch {}
 });
 
 driverEvents.on('ride:cancelled', async ({ ride }) => {
@@ -1569,6 +2050,17 @@ driverEvents.on('ride:cancelled', async ({ ride }) => {
   try { await sendText(jid, '❌ The driver cancelled the trip. Please try booking again.'); } catch {}
 });
 
+driverEvents.on('ride:redispatched', async ({ rideId, estimate, fareKept }) => {
+  if (!shouldSendRideEvent('redispatched', rideId)) return;
+
+  const jid = await getWaJidForRideId(rideId);
+  if (!jid) return;
+  const fareLine = estimate != null
+    ? (fareKept ? ` Your fare stays *R${estimate}*.` : ` Good news — your fare dropped to *R${estimate}*.`)
+    : '';
+  try { await sendText(jid, `⚠️ Your driver had to cancel.\n🔎 We're finding you a new driver now.${fareLine}`); } catch {}
+});
+
 /* ────────────────────────────────────────────────────────────────────────────
    Resolve WA JID by rideId
 ──────────────────────────────────────────────────────────────────────────── */
@@ -1581,6 +2073,32 @@ async function getWaJidForRideId(rideId) {
   } catch { return null; }
 }
 
+/* ────────────────────────────────────────────────────────────────────────────
+   Public unfulfilled notifier (dispatch watchdog gave up)
+──────────────────────────────────────────────────────────────────────────── */
+export async function notifyWhatsAppRiderUnfulfilled({ ride, refund = false }) {
+  try {
+    if (!ride || !ride._id) return;
+    const jid = ride.riderWaJid || await getWaJidForRideId(ride._id);
+    if (!jid) return;
+
+    const paid = ride.paymentStatus === 'paid';
+    convo.set(jid, { stage: 'unf_menu', rideId: String(ride._id), paid });
+
+    const options = paid
+      ? `1) Try again\n3) Schedule for later\n4) Main menu`
+      : `1) Try again\n2) Choose another vehicle\n3) Schedule for later\n4) Main menu`;
+    await sendText(
+      jid,
+      `😔 *No driver accepted your request.*\n` +
+      (refund ? `💳 Your card payment has been flagged for a refund. If you try again or schedule, it will be used for that trip instead.\n` : '') +
+      `\nWhat would you like to do?\n${options}`
+    );
+  } catch (e) {
+    logger.warn('notifyWhatsAppRiderUnfulfilled failed: %s', e?.message || e);
+  }
+}
+
 /* ────────────────────────────────────────────────────────────────────────────
    Public rating notifier
 ──────────────────────────────────────────────────────────────────────────── */
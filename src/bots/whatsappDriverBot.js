@@ -19,6 +19,10 @@ import EventEmitter from 'events';
 import Driver from '../models/Driver.js';
 import Ride from '../models/Ride.js';
 import { driverEvents } from './driverBot.js'; // reuse same event bus as TG bot
+import { claimRideForDriver, acceptBlockedMessage } from '../services/assignment.js';
+import { toGeoPoint } from '../services/geo.js';
+import { markRideStarted, markRideArrived, markRidePicked, ACTIVE_RIDE_STATUSES } from '../services/rideLifecycle.js';
+import { trackLink } from '../services/rideTokens.js';
 
 /* -------------------- env & paths -------------------- */
 const __filename = fileURLToPath(import.meta.url);
@@ -112,14 +116,14 @@ async function sendText(jidOrPhone, text) {
     return;
   }
   if (!shouldSendOnce(jid, text)) return;
-  await sock.sendMessage(jid, { text });
+  return sock.sendMessage(jid, { text });
 }
 
 /** Try interactive buttons in a robust way, then fallback to plain text. */
 async function sendInteractive(jid, { body, rideId }) {
   // 1) Modern quick-reply templateButtons
   try {
-    await sock.sendMessage(jid, {
+    return await sock.sendMessage(jid, {
       text: body,
       footer: 'If buttons don’t appear, reply ACCEPT or IGNORE',
       templateButtons: [
@@ -143,14 +147,13 @@ async function sendInteractive(jid, { body, rideId }) {
       ],
       headerType: 1
     };
-    await sock.sendMessage(jid, buttonsMessage);
-    return;
+    return await sock.sendMessage(jid, buttonsMessage);
   } catch (e2) {
     logger.warn('[WA-DRIVER] legacy buttons send failed, falling back to text: %s', e2?.message || e2);
   }
 
   // 3) Fallback: plain text
-  await sendText(jid, `${body}\n\nReply *ACCEPT* or *IGNORE*.`);
+  return sendText(jid, `${body}\n\nReply *ACCEPT* or *IGNORE*.`);
 }
 
 function onlineKeyboardText(isOnline) {
@@ -257,6 +260,23 @@ function resolveRideIdFromInput(jid, maybeCode) {
   return null;
 }
 
+/** Driver's live trip map (prefer numeric TG chatId for server-side APIs) */
+function driverTripLink(rideId, driver) {
+  const idForLink = (Number.isFinite(Number(driver.chatId)) ? String(driver.chatId) : (driver.phone ?? ''));
+  return trackLink(rideId, 'driver', { driverKey: idForLink, base: PUBLIC_URL });
+}
+
+/** Ride the driver is on right now: the one just accepted here, else their active ride in the DB */
+async function resolveActiveRideId(jid) {
+  const pending = pendingRideByJid.get(jid);
+  if (pending) return pending;
+  const driver = await findDriverByJid(jid);
+  if (!driver) return null;
+  const ride = await Ride.findOne({ driverId: driver._id, status: { $in: ACTIVE_RIDE_STATUSES } })
+    .sort({ acceptedAt: -1 }).select('_id').lean();
+  return ride ? String(ride._id) : null;
+}
+
 /* -------------------- Inbound handlers -------------------- */
 const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
 
@@ -320,7 +340,7 @@ async function handleTextMessage(jid, raw) {
       'Other commands:\n' +
       '• *STATS*\n' +
       '• *WHOAMI*\n' +
-      '• *ARRIVED* (at pickup), *START*, *FINISH*, *CANCEL <reason>*\n' +
+      '• *START TRIP*, *ARRIVED* (at pickup), *PICKED*, *FINISH*, *CANCEL <reason>*\n' +
       '• *PLATE <text>*\n' +
       '• *CAR <free text>*\n' +
       '• *MAKE <make>*, *MODEL <model>*, *COLOR <color>*\n' +
@@ -480,39 +500,51 @@ async function handleTextMessage(jid, raw) {
   }
 
   // Trip lifecycle quick commands (optional but handy)
+  if (lower === 'start trip' || lower === '/starttrip') {
+    const rideId = await resolveActiveRideId(jid);
+    if (!rideId) { await sendText(jid, 'No trip active. Use *ACCEPT* first.'); return; }
+    const out = await markRideStarted(rideId, { actorId: phoneFromJid(jid), meta: { by: 'whatsapp' } });
+    if (!out.ok && out.reason !== 'already') { await sendText(jid, '⚠️ This trip is no longer active.'); return; }
+    if (out.ok) driverEvents.emit('ride:started', { rideId });
+    await sendText(jid, '▶️ On your way to the pickup. Drive safe!\nReply *ARRIVED* when you get there.');
+    return;
+  }
+
   if (lower === 'arrived' || lower === '/arrived') {
-    const rideId = resolveRideIdFromInput(jid);
+    const rideId = await resolveActiveRideId(jid);
     if (!rideId) { await sendText(jid, 'No trip active. Use *ACCEPT* first.'); return; }
-    driverEvents.emit('ride:arrived', { rideId });
-    await sendText(jid, '📍 Marked as *arrived* at pickup.');
+    const out = await markRideArrived(rideId, { actorId: phoneFromJid(jid), meta: { by: 'whatsapp' } });
+    if (!out.ok && out.reason !== 'already') { await sendText(jid, '⚠️ This trip is no longer active.'); return; }
+    if (out.ok) driverEvents.emit('ride:arrived', { rideId, firstTime: true, by: 'whatsapp' });
+    await sendText(jid, '📍 Marked as *arrived* at pickup.\nReply *PICKED* once the rider is in.');
     return;
   }
 
-  if (lower === 'start' || lower === '/start') {
-    const rideId = resolveRideIdFromInput(jid);
+  if (lower === 'picked' || lower === '/picked' || lower === 'picked up') {
+    const rideId = await resolveActiveRideId(jid);
     if (!rideId) { await sendText(jid, 'No trip active. Use *ACCEPT* first.'); return; }
-    driverEvents.emit('ride:started', { rideId });
-    await sendText(jid, '▶️ Trip *started*. Drive safe!');
+    const out = await markRidePicked(rideId, { actorId: phoneFromJid(jid), meta: { by: 'whatsapp' } });
+    if (!out.ok && out.reason !== 'already') { await sendText(jid, '⚠️ This trip is no longer active.'); return; }
+    if (out.ok) driverEvents.emit('ride:picked', { rideId, by: 'whatsapp' });
+    await sendText(jid, '🧍 Rider *picked up*. The trip meter is running — finish on the trip map at drop-off.');
     return;
   }
 
   if (lower === 'finish' || lower === '/finish' || lower.startsWith('finish ')) {
-    const rideId = resolveRideIdFromInput(jid);
+    const rideId = await resolveActiveRideId(jid);
     if (!rideId) { await sendText(jid, 'No trip active.'); return; }
-    // Your server likely listens to driverEvents or detects finish elsewhere (meter, webhook)
-    driverEvents.emit('ride:finished', { rideId });
-    await sendText(jid, '✅ Trip *finished*. Thank you!');
+    // the fare is worked out on the trip map, so finishing happens there
+    const driver = await findDriverByJid(jid);
+    await sendText(jid, `🏁 Please finish the trip from the trip map:\n${driverTripLink(rideId, driver || {})}`);
     return;
   }
 
   if (lower.startsWith('cancel')) {
-    const rideId = resolveRideIdFromInput(jid);
+    const rideId = await resolveActiveRideId(jid);
     if (!rideId) { await sendText(jid, 'No trip active.'); return; }
     const reason = txt.split(/\s+/).slice(1).join(' ').trim() || 'No reason';
-    // Try to load for event shape parity
-    const ride = await Ride.findById(rideId).lean().catch(() => null);
-    driverEvents.emit('ride:cancelled', { ride, reason, by: 'driver' });
-    await sendText(jid, '❌ Trip *cancelled*. We’ll find another rider soon.');
+    // server.js does the cancel (fees, re-dispatch) and replies
+    driverEvents.emit('ride:cancel_requested', { rideId, reason, jid });
     return;
   }
 
@@ -540,7 +572,7 @@ async function handleTextMessage(jid, raw) {
     '2 — Go OFFLINE\n\n' +
     'Other commands:\n' +
     '• *Type your email address* to link your account (e.g. name@example.com)\n' +
-    '• *ARRIVED*, *START*, *FINISH*, *CANCEL <reason>*\n' +
+    '• *START TRIP*, *ARRIVED*, *PICKED*, *FINISH*, *CANCEL <reason>*\n' +
     '• *PLATE <text>*\n' +
     '• *CAR <free text>*\n' +
     '• *MAKE <make>*, *MODEL <model>*, *COLOR <color>*\n' +
@@ -553,7 +585,7 @@ async function handleTextMessage(jid, raw) {
 async function upsertDriverLocationByPhone(phone, lat, lng) {
   await Driver.findOneAndUpdate(
     { phone },
-    { $set: { location: { lat, lng }, lastSeenAt: new Date(), isAvailable: true } },
+    { $set: { location: toGeoPoint(lat, lng), lastSeenAt: new Date(), isAvailable: true } },
     { new: true }
   );
 
@@ -600,12 +632,14 @@ async function tryAcceptRide(jid, rideId) {
   const driver = await findDriverByJid(jid);
   if (!driver) { await sendText(jid, '❌ Driver profile not found.'); return; }
 
-  const ride = await Ride.findById(rideId);
+  const ride = await Ride.findById(rideId).lean();
   if (!ride) { await sendText(jid, '❌ Ride not found.'); return; }
 
-  // If someone already accepted, don't override; basic guard
-  if (ride.status && ride.status !== 'pending' && ride.driverId && String(ride.driverId) !== String(driver._id)) {
-    await sendText(jid, '⚠️ This ride is no longer available.');
+  // First-accept-wins, with vehicle type + trip limits re-checked (same path as Telegram)
+  const result = await claimRideForDriver({ driver, rideId });
+
+  if (!result.ok) {
+    await sendText(jid, acceptBlockedMessage(result.reason, { driver, ride }));
     // clear pending if it was this one
     const current = pendingRideByJid.get(jid);
     if (current === rideId) {
@@ -616,10 +650,6 @@ async function tryAcceptRide(jid, rideId) {
     return;
   }
 
-  if (!ride.driverId) { ride.driverId = driver._id; }
-  ride.status = 'accepted';
-  await ride.save();
-
   await sendText(jid, '✅ You accepted the ride.');
 
   // Notify system (same event path as Telegram/WA rider)
@@ -629,9 +659,7 @@ async function tryAcceptRide(jid, rideId) {
   });
 
   // Send live map links (prefer numeric TG chatId for server-side APIs)
-  const base = `${PUBLIC_URL}/track.html?rideId=${encodeURIComponent(rideId)}`;
-  const idForLink = (Number.isFinite(Number(driver.chatId)) ? String(driver.chatId) : (driver.phone ?? ''));
-  const driverLink = `${base}&as=driver&driverChatId=${encodeURIComponent(idForLink)}`;
+  const driverLink = driverTripLink(rideId, driver);
   try { await sendText(jid, `🗺️ Open the live trip map (shares your GPS):\n${driverLink}\nTip: Keep *Share live location* ON for the trip.`); } catch {}
 
   // clear pending (only if it matched)
@@ -682,16 +710,33 @@ export async function waNotifyDriverNewRequest({ to, driver, ride /*, riderConta
     (ride.estimate ? `• Estimate: *R${ride.estimate}*\n` : '') +
     (ride.pickup ? `• Pickup: ${toMapLink(ride.pickup)}\n` : '') +
     (ride.destination ? `• Drop:   ${toMapLink(ride.destination)}\n` : '') +
+    (ride.stops?.length ? `• Stops on the way: *${ride.stops.length}*\n` : '') +
     '\n' +
     `Reply *ACCEPT* or *IGNORE* (or include code *${short}* if you have multiple).`;
 
+  let sent = null;
   try {
-    await sendInteractive(jid, { body, rideId: String(ride._id) });
+    sent = await sendInteractive(jid, { body, rideId: String(ride._id) });
   } catch (e) {
     // extra hard fallback (should rarely hit because sendInteractive already falls back to text)
     logger.warn('[WA-DRIVER] all interactive sends failed, using plain text: %s', e?.message || e);
-    await sendText(jid, body);
+    sent = await sendText(jid, body);
   }
+  return { messageId: sent?.key?.id || null };
+}
+
+/** Offer is gone (taken / cancelled / expired): drop it from pending and tell the driver. */
+export async function waWithdrawDriverOffer({ to, rideId, text }) {
+  const jid = jidFromPhone(to);
+  if (!jid) return;
+
+  const id = String(rideId);
+  if (String(pendingRideByJid.get(jid)) === id) pendingRideByJid.delete(jid);
+  const map = pendingShortByJid.get(jid);
+  if (map) for (const [k, v] of map) if (String(v) === id) map.delete(k);
+
+  const short = id.slice(-4).toLowerCase();
+  await sendText(jid, `${text || '⚠️ This ride is no longer available.'} (code *${short}*)`);
 }
 
 export async function waNotifyDriverArrived({ to }) {
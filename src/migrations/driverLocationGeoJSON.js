@@ -0,0 +1,53 @@
+// src/migrations/driverLocationGeoJSON.js
+// Converts legacy Driver.location {lat,lng} documents to GeoJSON Points and
+// (re)builds the 2dsphere index. Idempotent — safe to run on every boot.
+//
+// Standalone: node src/migrations/driverLocationGeoJSON.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import Driver from '../models/Driver.js';
+
+export async function migrateDriverLocations() {
+  const col = Driver.collection;
+
+  // 1) {lat,lng} → { type:'Point', coordinates:[lng,lat] }
+  const converted = await col.updateMany(
+    {
+      'location.lat': { $type: 'number', $gte: -90, $lte: 90 },
+      'location.lng': { $type: 'number', $gte: -180, $lte: 180 }
+    },
+    [{ $set: { location: { type: 'Point', coordinates: ['$location.lng', '$location.lat'] } } }]
+  );
+
+  // 2) anything else that isn't a valid Point would break the 2dsphere index → drop it
+  const cleared = await col.updateMany(
+    { location: { $exists: true }, 'location.type': { $ne: 'Point' } },
+    { $unset: { location: '' } }
+  );
+
+  // 3) index (autoIndex may have failed earlier on legacy docs)
+  try {
+    await Driver.createIndexes();
+  } catch (e) {
+    console.warn('⚠️ Driver index build failed:', e?.message || e);
+  }
+
+  if (converted.modifiedCount || cleared.modifiedCount) {
+    console.log(`🗺️ Driver locations migrated to GeoJSON (${converted.modifiedCount} converted, ${cleared.modifiedCount} cleared)`);
+  }
+  return { converted: converted.modifiedCount, cleared: cleared.modifiedCount };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const res = await migrateDriverLocations();
+    console.log('✅ Done:', res);
+  } catch (e) {
+    console.error('❌ Migration failed:', e?.message || e);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
@@ -0,0 +1,45 @@
+// src/migrations/rideTripStatuses.js
+// Moves live rides onto the 'arrived' / 'in_progress' statuses. Before those
+// existed a ride stayed accepted/enroute with only arrivedAt / pickedAt set.
+// Idempotent — safe to run on every boot.
+//
+// Standalone: node src/migrations/rideTripStatuses.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import Ride from '../models/Ride.js';
+
+export async function migrateRideTripStatuses() {
+  const col = Ride.collection;
+  const legacy = ['accepted', 'enroute'];
+
+  // rider on board → in_progress
+  const picked = await col.updateMany(
+    { status: { $in: legacy }, pickedAt: { $ne: null } },
+    { $set: { status: 'in_progress' } }
+  );
+
+  // waiting at the pickup → arrived
+  const arrived = await col.updateMany(
+    { status: { $in: legacy }, pickedAt: null, arrivedAt: { $ne: null } },
+    { $set: { status: 'arrived' } }
+  );
+
+  if (picked.modifiedCount || arrived.modifiedCount) {
+    console.log(`🚦 Ride statuses migrated (${picked.modifiedCount} → in_progress, ${arrived.modifiedCount} → arrived)`);
+  }
+  return { inProgress: picked.modifiedCount, arrived: arrived.modifiedCount };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const res = await migrateRideTripStatuses();
+    console.log('✅ Done:', res);
+  } catch (e) {
+    console.error('❌ Migration failed:', e?.message || e);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
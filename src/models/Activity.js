@@ -17,6 +17,15 @@ const ActivitySchema = new mongoose.Schema({
       'picked',       // trip picked up (new status)
       'finished',     // trip finished (new status)
       'payment',      // payment updates
+      'dispatch_wave',    // tiered dispatch: offers sent to a wave of nearby drivers
+      'dispatch_timeout', // tiered dispatch: wave expired without an accept
+      'redispatch',   // driver cancelled after accepting; ride back to pending
+      'unfulfilled',  // dispatch watchdog: nobody accepted in time
+      'recovered',    // rider retried / switched vehicle / scheduled an unfulfilled ride
+      'fee',          // late-cancellation / no-show fee assessed or paid
+      'stop',         // driver reached / left an intermediate stop
+      'destination',  // rider changed the drop-off after booking
+      'share',        // live trip link sent to the rider's trusted contacts
       'system'        // any misc/system notice
     ],
     required: true
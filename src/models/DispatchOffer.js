@@ -0,0 +1,37 @@
+// src/models/DispatchOffer.js
+import mongoose from 'mongoose';
+
+const DispatchOfferSchema = new mongoose.Schema({
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true, index: true },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true, index: true },
+  channel: { type: String, enum: ['telegram', 'whatsapp'], required: true },
+
+  // where the offer lives, so it can be edited/withdrawn later
+  chatId: { type: Number },       // Telegram chat
+  phone: { type: String },        // WhatsApp number
+  messageId: { type: String },    // Telegram message_id / WA message key id
+
+  wave: { type: Number },
+  sentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, index: true },
+
+  outcome: {
+    type: String,
+    enum: [
+      'pending',    // still open on the driver's phone
+      'accepted',   // this driver won the ride
+      'ignored',    // driver tapped Ignore
+      'taken',      // another driver accepted first
+      'cancelled',  // ride was cancelled before anyone accepted
+      'expired'     // offer TTL / dispatch ran out
+    ],
+    default: 'pending',
+    index: true
+  },
+  resolvedAt: { type: Date },
+  withdrawnAt: { type: Date }     // set when the chat message was edited/removed
+}, { timestamps: true });
+
+DispatchOfferSchema.index({ ride: 1, driver: 1 });
+
+export default mongoose.model('DispatchOffer', DispatchOfferSchema);
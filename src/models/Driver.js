@@ -1,6 +1,8 @@
 // src/models/Driver.js
 import mongoose from "mongoose";
 import Ride from "./Ride.js";
+import DispatchOffer from "./DispatchOffer.js";
+import { NO_SHOW_REASON } from "../services/cancellationFees.js";
 
 /* ---------------- stats subdocs ---------------- */
 const DriverStatsLastTripSchema = new mongoose.Schema(
@@ -20,17 +22,49 @@ const DriverStatsLastTripSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Built from DispatchOffer outcomes + driver cancellations (see computeAndUpdateReliability)
+const DriverReliabilitySchema = new mongoose.Schema(
+  {
+    offersReceived: { type: Number, default: 0 },   // offers the driver could act on (accepted/ignored/expired)
+    offersAccepted: { type: Number, default: 0 },
+    offersIgnored: { type: Number, default: 0 },
+    offersMissed: { type: Number, default: 0 },     // expired without a tap
+    acceptanceRate: { type: Number, default: null }, // 0..1, null until there is data
+    ignoreRate: { type: Number, default: null },
+    ridesAccepted: { type: Number, default: 0 },
+    cancelsAfterAccept: { type: Number, default: 0 },
+    cancelAfterAcceptRate: { type: Number, default: null },
+    medianResponseSec: { type: Number, default: null },
+    score: { type: Number, default: null },          // 0..1, used to rank dispatch offers
+    updatedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const DriverStatsSchema = new mongoose.Schema(
   {
     totalTrips: { type: Number, default: 0 },
     totalDistanceM: { type: Number, default: 0 },
-    totalEarnings: { type: Number, default: 0 },
+    totalEarnings: { type: Number, default: 0 },     // trip fares + cancellation/no-show fee shares
+    cancellationEarnings: { type: Number, default: 0 },
     cashCount: { type: Number, default: 0 },
     payfastCount: { type: Number, default: 0 },
     currency: { type: String, default: "ZAR" },
     lastTrip: { type: DriverStatsLastTripSchema, default: () => ({}) },
     avgRating: { type: Number, default: 0 },
     ratingsCount: { type: Number, default: 0 },
+    reliability: { type: DriverReliabilitySchema, default: () => ({}) },
+  },
+  { _id: false }
+);
+
+/* ---------------- location subdoc (GeoJSON) ---------------- */
+// Stored as a GeoJSON Point ([lng, lat]) so supply lookups can use the 2dsphere index.
+// Use services/geo.js (toGeoPoint / fromGeoPoint) to convert from/to {lat,lng}.
+const GeoPointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], default: undefined }, // [lng, lat]
   },
   { _id: false }
 );
@@ -74,7 +108,7 @@ const DriverSchema = new mongoose.Schema(
     status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
 
     chatId: Number,
-    location: { lat: Number, lng: Number },
+    location: { type: GeoPointSchema, default: undefined },
     isAvailable: { type: Boolean, default: false },
     lastSeenAt: { type: Date },
 
@@ -130,6 +164,8 @@ const DriverSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+DriverSchema.index({ location: "2dsphere" });
+
 /* ---------------- static: recompute stats (with ratings) ---------------- */
 DriverSchema.statics.computeAndUpdateStats = async function (driverId) {
   const driverIdObj =
@@ -142,7 +178,8 @@ DriverSchema.statics.computeAndUpdateStats = async function (driverId) {
         _id: null,
         trips: { $sum: 1 },
         distKm: { $sum: { $ifNull: ["$finalDistanceKm", 0] } },
-        earn: { $sum: { $ifNull: ["$finalAmount", 0] } },
+        // earlier cancellation fees collected on a cash trip belong to those rides' drivers
+        earn: { $sum: { $subtract: [{ $ifNull: ["$finalAmount", 0] }, { $ifNull: ["$balanceCollected", 0] }] } },
         cashCount: { $sum: { $cond: [{ $eq: ["$paymentMethod", "cash"] }, 1, 0] } },
         payfastCount: {
           $sum: { $cond: [{ $in: ["$paymentMethod", ["payfast", "app"]] }, 1, 0] },
@@ -154,6 +191,21 @@ DriverSchema.statics.computeAndUpdateStats = async function (driverId) {
     },
   ]);
 
+  // Driver's share of late-cancel / no-show fees, once the rider actually paid
+  // (carried-over cash fees count when a later trip collects them)
+  const [feeAgg] = await Ride.aggregate([
+    {
+      $match: {
+        driverId: driverIdObj,
+        status: "cancelled",
+        "cancellationFee.driverShare": { $gt: 0 },
+        "cancellationFee.status": { $in: ["charged", "retained"] },
+      },
+    },
+    { $group: { _id: null, share: { $sum: "$cancellationFee.driverShare" } } },
+  ]);
+  const feeShare = Math.round(feeAgg?.share || 0);
+
   const last = await Ride.findOne({ driverId: driverIdObj, status: "completed" })
     .sort({ completedAt: -1, updatedAt: -1 })
     .lean();
@@ -162,17 +214,19 @@ DriverSchema.statics.computeAndUpdateStats = async function (driverId) {
   if (agg) {
     updates["stats.totalTrips"] = agg.trips || 0;
     updates["stats.totalDistanceM"] = Math.round((agg.distKm || 0) * 1000);
-    updates["stats.totalEarnings"] = Math.round(agg.earn || 0);
+    updates["stats.totalEarnings"] = Math.round(agg.earn || 0) + feeShare;
     updates["stats.cashCount"] = agg.cashCount || 0;
     updates["stats.payfastCount"] = agg.payfastCount || 0;
+    updates["stats.cancellationEarnings"] = feeShare;
     updates["stats.avgRating"] = agg.ratingCnt ? +(agg.ratingSum / agg.ratingCnt).toFixed(2) : 0;
     updates["stats.ratingsCount"] = agg.ratingCnt || 0;
   } else {
     updates["stats.totalTrips"] = 0;
     updates["stats.totalDistanceM"] = 0;
-    updates["stats.totalEarnings"] = 0;
+    updates["stats.totalEarnings"] = feeShare;
     updates["stats.cashCount"] = 0;
     updates["stats.payfastCount"] = 0;
+    updates["stats.cancellationEarnings"] = feeShare;
     updates["stats.avgRating"] = 0;
     updates["stats.ratingsCount"] = 0;
   }
@@ -208,6 +262,100 @@ DriverSchema.statics.computeAndUpdateStats = async function (driverId) {
   return updates;
 };
 
+/* ---------------- reliability (dispatch ranking) ---------------- */
+const RELIABILITY_WINDOW_DAYS = Number(process.env.RELIABILITY_WINDOW_DAYS || 30);
+const RELIABILITY_PRIOR_WEIGHT = 5; // pseudo-offers so new drivers start neutral, not at 0% / 100%
+
+/**
+ * 0..1 score: mostly acceptance, then not cancelling after accepting, then speed.
+ * Rates are smoothed towards a prior so a handful of offers can't swing it wildly.
+ */
+function reliabilityScore({ received = 0, accepted = 0, ridesAccepted = 0, cancels = 0, medianResponseSec = null }) {
+  const k = RELIABILITY_PRIOR_WEIGHT;
+  const acc = (accepted + 0.6 * k) / (received + k);
+  const cancel = (cancels + 0.1 * k) / (ridesAccepted + k);
+  const speed = medianResponseSec == null ? 0.5 : Math.min(1, Math.max(0, 1 - medianResponseSec / 60));
+  return +(0.6 * acc + 0.3 * (1 - cancel) + 0.1 * speed).toFixed(3);
+}
+
+export const NEUTRAL_RELIABILITY_SCORE = reliabilityScore({});
+
+/* ---------------- static: recompute reliability profile ---------------- */
+DriverSchema.statics.computeAndUpdateReliability = async function (driverId) {
+  const driverIdObj =
+    typeof driverId === "string" ? new mongoose.Types.ObjectId(driverId) : driverId;
+  const since = new Date(Date.now() - RELIABILITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  // 'taken' / 'cancelled' offers aren't the driver's doing, so they don't count
+  const offerAgg = await DispatchOffer.aggregate([
+    { $match: { driver: driverIdObj, sentAt: { $gte: since }, outcome: { $in: ["accepted", "ignored", "expired"] } } },
+    { $group: { _id: "$outcome", count: { $sum: 1 } } },
+  ]);
+  const byOutcome = Object.fromEntries(offerAgg.map((x) => [x._id, x.count]));
+  const accepted = byOutcome.accepted || 0;
+  const ignored = byOutcome.ignored || 0;
+  const missed = byOutcome.expired || 0;
+  const received = accepted + ignored + missed;
+
+  const responded = await DispatchOffer.find({
+    driver: driverIdObj,
+    sentAt: { $gte: since },
+    outcome: { $in: ["accepted", "ignored"] },
+    resolvedAt: { $ne: null },
+  })
+    .sort({ sentAt: -1 })
+    .limit(100)
+    .select("sentAt resolvedAt")
+    .lean();
+  const secs = responded
+    .map((o) => (new Date(o.resolvedAt) - new Date(o.sentAt)) / 1000)
+    .filter((x) => Number.isFinite(x) && x >= 0)
+    .sort((a, b) => a - b);
+  const medianResponseSec = secs.length
+    ? Math.round(secs.length % 2 ? secs[(secs.length - 1) / 2] : (secs[secs.length / 2 - 1] + secs[secs.length / 2]) / 2)
+    : null;
+
+  // Cancels: rides the driver killed outright + rides re-dispatched after they backed out
+  const [assigned, cancelledOutright, [attempts]] = await Promise.all([
+    Ride.countDocuments({ driverId: driverIdObj, createdAt: { $gte: since } }),
+    Ride.countDocuments({
+      driverId: driverIdObj,
+      status: "cancelled",
+      cancelledBy: "driver",
+      cancellationReason: { $ne: NO_SHOW_REASON },
+      cancelledAt: { $gte: since },
+    }),
+    Ride.aggregate([
+      { $match: { "driverAttempts.driverId": driverIdObj } },
+      { $unwind: "$driverAttempts" },
+      { $match: { "driverAttempts.driverId": driverIdObj, "driverAttempts.cancelledAt": { $gte: since } } },
+      { $count: "count" },
+    ]),
+  ]);
+  const backedOut = attempts?.count || 0;
+  const ridesAccepted = assigned + backedOut;
+  const cancels = cancelledOutright + backedOut;
+
+  const rate = (n, d) => (d ? +(n / d).toFixed(3) : null);
+  const reliability = {
+    offersReceived: received,
+    offersAccepted: accepted,
+    offersIgnored: ignored,
+    offersMissed: missed,
+    acceptanceRate: rate(accepted, received),
+    ignoreRate: rate(ignored, received),
+    ridesAccepted,
+    cancelsAfterAccept: cancels,
+    cancelAfterAcceptRate: rate(cancels, ridesAccepted),
+    medianResponseSec,
+    score: reliabilityScore({ received, accepted, ridesAccepted, cancels, medianResponseSec }),
+    updatedAt: new Date(),
+  };
+
+  await this.updateOne({ _id: driverIdObj }, { $set: { "stats.reliability": reliability } });
+  return reliability;
+};
+
 /* ---------------- static: ensure referral code ---------------- */
 DriverSchema.statics.ensureReferralCode = async function (driverId) {
   const id =
@@ -262,4 +410,64 @@ DriverSchema.methods.isMethodAllowedNow = function (method /* 'cash'|'payfast' *
   return eff < limit;
 };
 
+/* ---------------- ride eligibility: vehicle type + trip limits ---------------- */
+// Ride.paymentMethod -> trip-limit bucket ("app" settles via PayFast, paypal is unlimited)
+function limitMethodFor(paymentMethod) {
+  if (!paymentMethod || paymentMethod === "cash") return "cash";
+  if (paymentMethod === "payfast" || paymentMethod === "app") return "payfast";
+  return null;
+}
+
+// Ride payment methods this driver may NOT take right now
+DriverSchema.methods.blockedPaymentMethods = function () {
+  const blocked = [];
+  if (!this.isMethodAllowedNow("cash")) blocked.push("cash");
+  if (!this.isMethodAllowedNow("payfast")) blocked.push("payfast", "app");
+  return blocked;
+};
+
+// { ok } or { ok:false, reason: "vehicle_mismatch" | "cash_limit" | "payfast_limit" }
+DriverSchema.methods.checkRideEligibility = function (ride) {
+  if (ride?.vehicleType && ride.vehicleType !== (this.vehicleType || "normal")) {
+    return { ok: false, reason: "vehicle_mismatch" };
+  }
+  const method = limitMethodFor(ride?.paymentMethod);
+  if (method && !this.isMethodAllowedNow(method)) {
+    return { ok: false, reason: method === "cash" ? "cash_limit" : "payfast_limit" };
+  }
+  return { ok: true };
+};
+
+// Mongo filter: drivers that may take this ride (same rules as checkRideEligibility)
+DriverSchema.statics.rideEligibilityQuery = function (ride, now = new Date()) {
+  const and = [];
+  if (ride?.vehicleType) {
+    // a driver with no vehicle type counts as "normal" (see checkRideEligibility); null also matches a missing field
+    and.push({ vehicleType: ride.vehicleType === "normal" ? { $in: ["normal", null] } : ride.vehicleType });
+  }
+
+  const method = limitMethodFor(ride?.paymentMethod);
+  if (method) {
+    const count = method === "cash" ? "$stats.cashCount" : "$stats.payfastCount";
+    const offset = method === "cash" ? "$cashTripOffset" : "$payfastTripOffset";
+    const limit = method === "cash" ? "$cashTripLimit" : "$payfastTripLimit";
+    and.push({
+      $or: [
+        { tripOverride: true, tripOverrideExpiresAt: null },
+        { tripOverride: true, tripOverrideExpiresAt: { $gt: now } },
+        {
+          $expr: {
+            $lt: [
+              { $max: [0, { $subtract: [{ $ifNull: [count, 0] }, { $ifNull: [offset, 0] }] }] },
+              { $ifNull: [limit, 3] },
+            ],
+          },
+        },
+      ],
+    });
+  }
+
+  return and.length ? { $and: and } : {};
+};
+
 export default mongoose.model("Driver", DriverSchema);
@@ -0,0 +1,34 @@
+// src/models/RateCard.js
+import mongoose from 'mongoose';
+
+/**
+ * Versioned fare rates per vehicle type (and optionally per region/city).
+ * Cards are never edited in place: saving in the admin creates a new version,
+ * and the newest active card whose `effectiveFrom` has passed wins.
+ */
+const RateCardSchema = new mongoose.Schema({
+  vehicleType: { type: String, required: true, lowercase: true, trim: true }, // normal | comfort | luxury | xl
+  region: { type: String, lowercase: true, trim: true, default: null },       // null = applies everywhere
+
+  baseFare: { type: Number, default: 0, min: 0 },
+  perKm: { type: Number, required: true, min: 0 },
+  perMin: { type: Number, default: 0, min: 0 },
+  minCharge: { type: Number, default: 0, min: 0 },
+  pickupPerKm: { type: Number, default: 0, min: 0 },
+  waitPerMin: { type: Number, default: 0, min: 0 },
+  cancellationFee: { type: Number, default: 0, min: 0 },
+  currency: { type: String, default: 'ZAR' },
+
+  // 'upfront' = quoted price is binding; 'metered' = billed on the actual trip; null = global default (UPFRONT_PRICING)
+  pricingMode: { type: String, enum: ['upfront', 'metered', null], default: null },
+
+  effectiveFrom: { type: Date, required: true, default: Date.now },
+  version: { type: Number, default: 1 },
+  active: { type: Boolean, default: true }, // false = retired by an admin
+  note: { type: String, default: '' },
+  createdBy: { type: String, default: null } // admin email
+}, { timestamps: true });
+
+RateCardSchema.index({ vehicleType: 1, region: 1, effectiveFrom: -1 });
+
+export default mongoose.model('RateCard', RateCardSchema);
@@ -10,6 +10,111 @@ const PointSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// A driver who accepted and then cancelled (ride went back to pending)
+const DriverAttemptSchema = new mongoose.Schema(
+  {
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    driverChatId: Number,
+    acceptedAt: Date,
+    cancelledAt: { type: Date, default: Date.now },
+    reason: String,
+    note: String,
+    cancelDistanceKm: Number
+  },
+  { _id: false }
+);
+
+// An intermediate stop between pickup and destination (in route order)
+const StopSchema = new mongoose.Schema(
+  {
+    lat: Number,
+    lng: Number,
+    address: String,
+    arrivedAt: { type: Date, default: null },  // driver reached the stop
+    departedAt: { type: Date, default: null }  // left again (time in between is billed as waiting)
+  },
+  { _id: false }
+);
+
+// Rider moved the drop-off after booking (see services/destinationChange.js)
+const PlaceSchema = { lat: Number, lng: Number, address: String };
+const DestinationChangeSchema = new mongoose.Schema(
+  {
+    from: PlaceSchema,
+    to: PlaceSchema,
+    at: { type: Date, default: Date.now },
+    status: String,          // ride status when it changed
+    channel: { type: String, enum: ['telegram', 'whatsapp', 'web'] },
+    previousPrice: Number,
+    price: Number,           // re-quote the rider confirmed
+    km: Number
+  },
+  { _id: false }
+);
+
+// Itemised fare (see services/pricing.js fareParts); components + rounding sum to total
+const FareBreakdownSchema = new mongoose.Schema(
+  {
+    currency: { type: String, default: 'ZAR' },
+    base: Number,
+    distance: Number,          // perKm × km
+    time: Number,              // perMin × minutes
+    pickup: Number,            // pickupPerKm × pickup km
+    minTopUp: Number,          // lift to the minimum fare
+    trafficUplift: Number,     // traffic multiplier (only when time isn't charged)
+    surgeUplift: Number,
+    rounding: Number,
+    waiting: Number,
+    stopWaiting: Number,       // waitPerMin × minutes spent at stops
+    promoDiscount: Number,     // positive amount taken off
+    upfrontAdjustment: Number, // honoured upfront price − metered trip
+    priorBalance: Number,      // earlier cancellation/no-show fees collected on this trip
+    total: Number,
+    km: Number,
+    minutes: Number,
+    waitingMinutes: Number,
+    stopWaitingMinutes: Number,
+    pickupKm: Number,
+    perMin: Number,
+    trafficFactor: Number,
+    surge: Number
+  },
+  { _id: false }
+);
+
+// The quote the rider picked, locked so the final fare uses the same rates
+const QuoteLockSchema = new mongoose.Schema(
+  {
+    price: Number,
+    vehicleType: String,
+    pricingMode: { type: String, enum: ['upfront', 'metered'], default: 'metered' },
+    pickup: { lat: Number, lng: Number },      // route the price was quoted for
+    destination: { lat: Number, lng: Number },
+    stops: { type: [{ lat: Number, lng: Number, _id: false }], default: undefined },
+    km: Number,               // whole route, through the stops
+    trafficFactor: Number,
+    surge: Number,
+    rate: {
+      baseFare: Number,
+      perKm: Number,
+      perMin: Number,
+      minCharge: Number,
+      pickupPerKm: Number,
+      waitPerMin: Number,
+      cancellationFee: Number
+    },
+    rateSource: { type: String, enum: ['driver', 'card', 'default'], default: 'default' },
+    rateCardId: { type: mongoose.Schema.Types.ObjectId, ref: 'RateCard', default: null },
+    rateCardVersion: Number,
+    region: { type: String, default: null }, // rate-card region the quote was priced in
+    breakdown: { type: FareBreakdownSchema, default: undefined },
+    driverIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Driver' }], // drivers whose price this is
+    quotedAt: Date,
+    expiresAt: Date
+  },
+  { _id: false }
+);
+
 const RideSchema = new mongoose.Schema(
   {
     /* ---------- Rider identities ---------- */
@@ -23,10 +128,18 @@ const RideSchema = new mongoose.Schema(
     /* ---------- Route ---------- */
     pickup: { lat: Number, lng: Number, address: String },
     destination: { lat: Number, lng: Number, address: String },
+    stops: { type: [StopSchema], default: undefined }, // ordered, between pickup and destination (max MAX_TRIP_STOPS)
+    // re-quoted new drop-off waiting for the rider's OK, then the history of confirmed changes
+    destinationProposal: {
+      type: new mongoose.Schema({ ...PlaceSchema, price: Number, previousPrice: Number, km: Number, breakdown: FareBreakdownSchema, channel: String, expiresAt: Date }, { _id: false }),
+      default: undefined
+    },
+    destinationChanges: { type: [DestinationChangeSchema], default: undefined },
 
     /* ---------- Quoting / vehicle ---------- */
     estimate: Number,
     vehicleType: { type: String }, // 'normal' | 'comfort' | 'xl' | 'luxury'
+    quote: { type: QuoteLockSchema, default: undefined },
 
     /* ✅ Promo (optional; for referral discounts, etc.) */
     promoDiscountPct:   { type: Number, default: 0 },      // e.g. 0.2 for 20%
@@ -39,10 +152,17 @@ const RideSchema = new mongoose.Schema(
     paymentStatus: { type: String, enum: ['unpaid', 'paid'], default: 'unpaid' },
     paidAt: { type: Date },
 
+    /* ---------- Refunds (paid online but never fulfilled) ---------- */
+    refundStatus: { type: String, enum: ['required', 'processed'], default: undefined },
+    refundFlaggedAt: { type: Date },
+    refundReason: { type: String },
+    refundAmount: { type: Number },    // partial refund (e.g. prepaid minus a cancellation fee)
+
     /* ---------- Lifecycle ---------- */
     status: {
       type: String,
-      enum: ['scheduled', 'pending', 'accepted', 'enroute', 'completed', 'cancelled', 'payment_pending'],
+      // enroute = heading to pickup, arrived = waiting at pickup, in_progress = rider on board
+      enum: ['scheduled', 'pending', 'accepted', 'enroute', 'arrived', 'in_progress', 'completed', 'cancelled', 'payment_pending', 'unfulfilled'],
       default: 'pending'
     },
 
@@ -62,9 +182,33 @@ const RideSchema = new mongoose.Schema(
     cancelDriverLoc: { lat: Number, lng: Number }, // last driver coords when cancelled
     cancelDistanceKm: { type: Number },            // ~km from pickup to cancel point
 
+    /* ---------- Late-cancel / no-show fee (services/cancellationFees.js) ---------- */
+    cancellationFee: {
+      kind: { type: String, enum: ['late_cancel', 'no_show'] },
+      amount: Number,
+      driverShare: Number,   // counted in the driver's earnings
+      platformShare: Number,
+      status: { type: String, enum: ['carried_over', 'charge_pending', 'charged', 'retained', 'waived'] },
+      assessedAt: Date,
+      chargedAt: Date,
+      settledOnRide: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' }, // cash: the trip that collected it
+      waitedMin: Number,
+      graceMin: Number
+    },
+
+    /* ---------- Re-dispatch after driver cancel ---------- */
+    driverAttempts: [DriverAttemptSchema],                                // earlier drivers who cancelled
+    excludedDriverIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Driver' }], // never re-offer to these
+    redispatchCount: { type: Number, default: 0 },
+
+    /* ---------- Dispatch watchdog ---------- */
+    dispatchStartedAt: { type: Date }, // first offer round for the current pending spell
+    unfulfilledAt: { type: Date },     // watchdog gave up: nobody accepted in time
+
     /* ---------- Time markers ---------- */
-    startedAt: { type: Date },
-    pickedAt: { type: Date },
+    acceptedAt: { type: Date },
+    startedAt: { type: Date },   // driver set off to the pickup
+    pickedAt: { type: Date },    // rider on board (trip clock starts)
     completedAt: { type: Date },
 
     /* ---------- Final fare snapshot (set on finish) ---------- */
@@ -73,6 +217,19 @@ const RideSchema = new mongoose.Schema(
     finalDurationSec: { type: Number },   // actual duration sec
     finalTrafficFactor: { type: Number }, // ratio actual/expected
     finalSurge: { type: Number },         // surge used at finish
+    finalRateSource: { type: String },    // 'quote' | 'driver' | 'card' | 'default'
+    fareDelta: { type: Number },          // finalAmount − quote.price (R)
+    pricingMode: { type: String, enum: ['upfront', 'metered'] }, // what applied at finish
+    fareAdjustment: {                     // upfront only: why the quote was not honoured
+      reason: { type: String, enum: ['destination_changed', 'route_deviation'] },
+      detail: String,
+      quotedPrice: Number,
+      meteredPrice: Number,
+      quotedKm: Number,
+      actualKm: Number
+    },
+    fareBreakdown: { type: FareBreakdownSchema, default: undefined }, // how finalAmount was made up
+    balanceCollected: { type: Number },   // earlier cash fees added to this trip (part of finalAmount)
 
     /* ---------- Breadcrumbs ---------- */
     path: [PointSchema],        // driver breadcrumb (we append final/cancel stamp here)
@@ -92,7 +249,11 @@ const RideSchema = new mongoose.Schema(
     /* ⭐ Arrival dedupe (durable, survives restarts) */
     arrivedNotified: { type: Boolean, default: false }, // one-shot flag
     arrivedAt: { type: Date, default: null },           // when first marked arrived
-    _lastArriveEmitAt: { type: Date, default: null }    // small cooldown to avoid bursts
+    _lastArriveEmitAt: { type: Date, default: null },   // small cooldown to avoid bursts
+    nearPickupNotified: { type: Boolean, default: false }, // "2 minutes away" sent (services/eta.js)
+
+    /* 🛡️ Share-my-trip: trusted contacts get the link once per trip */
+    trustedContactsNotifiedAt: { type: Date, default: null }
   },
   { timestamps: true }
 );
@@ -10,6 +10,16 @@ const ReferralStatsSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Gets the share-my-trip link on every trip (WhatsApp to phone, else email)
+const TrustedContactSchema = new mongoose.Schema(
+  {
+    name:  { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+  },
+  { _id: false }
+);
+
 const RiderSchema = new mongoose.Schema(
   {
     /* ---------- Identities ---------- */
@@ -26,6 +36,8 @@ const RiderSchema = new mongoose.Schema(
 
     /* ---------- Dashboard ---------- */
     credit:               { type: Number, default: 0 },
+    balanceDue:           { type: Number, default: 0 },    // unpaid cancellation/no-show fees (cash), added to the next cash trip
+    balanceDueUpdatedAt:  { type: Date },
     dashboardToken:       { type: String },
     dashboardPin:         { type: String },
     dashboardTokenExpiry: { type: Date },
@@ -37,6 +49,9 @@ const RiderSchema = new mongoose.Schema(
     lastLocation: { lat: Number, lng: Number, ts: Date },
     lastSeenAt:   { type: Date },
 
+    /* ---------- Safety ---------- */
+    trustedContacts: { type: [TrustedContactSchema], default: [] },
+
     /* ---------- Referrals ---------- */
     referralCode:  { type: String, index: true, unique: true, sparse: true, uppercase: true, trim: true },
     referredBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'Rider', index: true },
@@ -0,0 +1,35 @@
+// src/models/SurgeZone.js
+import mongoose from 'mongoose';
+
+/**
+ * One geohash cell of the service area. The surge scheduler refreshes the
+ * computed fields on an interval; admins can pin or cap a cell until `expiresAt`.
+ */
+const SurgeOverrideSchema = new mongoose.Schema(
+  {
+    multiplier: { type: Number, default: null }, // fixed surge for the cell (wins over computed)
+    cap: { type: Number, default: null },        // or: computed surge, but never above this
+    expiresAt: { type: Date, required: true },
+    note: { type: String, default: '' },
+    setBy: { type: String, default: null },      // admin email
+    setAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const SurgeZoneSchema = new mongoose.Schema({
+  cell: { type: String, required: true, unique: true, lowercase: true, trim: true }, // geohash
+  center: { lat: Number, lng: Number },
+
+  demand: { type: Number, default: 0 }, // open requests in the cell + neighbours
+  supply: { type: Number, default: 0 }, // available drivers in the cell + neighbours
+  rawSurge: { type: Number, default: 1 },
+  surge: { type: Number, default: 1 },  // smoothed value quotes use
+  computedAt: { type: Date, default: null },
+
+  override: { type: SurgeOverrideSchema, default: undefined }
+}, { timestamps: true });
+
+SurgeZoneSchema.index({ 'override.expiresAt': 1 });
+
+export default mongoose.model('SurgeZone', SurgeZoneSchema);
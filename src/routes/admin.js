@@ -6,10 +6,13 @@ import Driver from '../models/Driver.js';
 import Rider from '../models/Rider.js';
 import Ride from '../models/Ride.js';
 import Activity from '../models/Activity.js';
+import DispatchOffer from '../models/DispatchOffer.js';
 import { sendApprovalNotice } from '../bots/driverBot.js';
 import { sendAdminEmailToDrivers } from '../services/mailer.js';
 import { sendWhatsAppDriverMessage } from '../bots/whatsappDriverBot.js';
 import { dispatchScheduledToDriver, broadcastScheduledRide } from '../services/prebook.js';
+import { fareLineItems, formatFareLine } from '../services/pricing.js';
+import { trackLink } from '../services/rideTokens.js';
 
 const router = express.Router();
 
@@ -111,7 +114,7 @@ router.get('/', ensureAdmin, async (req, res) => {
   const counts = { totalDrivers: 0, pending: 0, approved: 0, rejected: 0 };
   driverCounts.forEach(x => { counts.totalDrivers += x.count; counts[x._id] = x.count; });
 
-  const rideStats = { total: 0, pending: 0, accepted: 0, enroute: 0, completed: 0, cancelled: 0, payment_pending: 0, scheduled: 0 };
+  const rideStats = { total: 0, pending: 0, accepted: 0, enroute: 0, arrived: 0, in_progress: 0, completed: 0, cancelled: 0, payment_pending: 0, scheduled: 0, unfulfilled: 0 };
   rideCounts.forEach(x => { rideStats.total += x.count; rideStats[x._id] = x.count; });
   rideStats.scheduled = upcomingCount || 0;
 
@@ -298,6 +301,7 @@ router.get('/drivers/:id', ensureAdmin, async (req, res) => {
     const id = req.params.id;
 
     await Driver.computeAndUpdateStats(id);
+    try { await Driver.computeAndUpdateReliability(id); } catch (e) { console.warn('reliability refresh failed:', e?.message || e); }
 
     const d = await Driver.findById(id).lean();
     if (!d) return res.redirect('/admin/drivers');
@@ -367,9 +371,15 @@ router.get('/trips/:id', ensureAdmin, async (req, res) => {
   if (!trip) return res.redirect('/admin/trips');
 
   const activity = await Activity.find({ rideId: trip._id }).sort({ createdAt: 1 }).lean();
+  const offers = await DispatchOffer.find({ ride: trip._id })
+    .populate('driver', 'name email phone vehicleType')
+    .sort({ sentAt: 1 })
+    .lean();
   const tripName = `Trip ${String(trip._id).slice(-6).toUpperCase()}`;
+  const fareLines = fareLineItems(trip.fareBreakdown).map((li) => formatFareLine(li));
 
-  res.render('admin/trip', { admin: req.user, trip, activity, tripName });
+  const liveMapUrl = trackLink(trip._id, 'viewer', { base: '' }); // read-only, like a shared link
+  res.render('admin/trip', { admin: req.user, trip, activity, offers, tripName, fareLines, liveMapUrl });
 });
 
 /* ------------ delete a single driver ------------ */
@@ -388,7 +398,7 @@ router.post('/drivers/:id/delete', ensureAdmin, async (req, res) => {
     await Driver.deleteOne({ _id: d._id });
 
     const io = req.app.get('io');
-    io?.emit('admin:activity', {
+    io?.to('admins').emit('admin:activity', {
       type: 'driver_deleted',
       message: `Deleted driver ${d.name || d.email || d._id}`,
       rideId: '',
@@ -418,7 +428,7 @@ router.post('/drivers/bulk-delete', ensureAdmin, async (req, res) => {
     const result = await Driver.deleteMany({ _id: { $in: ids } });
 
     const io = req.app.get('io');
-    io?.emit('admin:activity', {
+    io?.to('admins').emit('admin:activity', {
       type: 'drivers_deleted',
       message: `Deleted ${result.deletedCount || 0} driver(s)`,
       rideId: '',
@@ -661,7 +671,7 @@ router.post('/prebook/:id/assign', ensureAdmin, async (req, res) => {
     await dispatchScheduledToDriver({ rideId, driverId });
 
     const io = req.app.get('io');
-    io?.emit('admin:activity', {
+    io?.to('admins').emit('admin:activity', {
       type: 'prebook_assigned',
       message: `Assigned prebook to driver ${driverId}`,
       rideId,
@@ -690,7 +700,7 @@ router.post('/prebook/:id/broadcast', ensureAdmin, async (req, res) => {
     await broadcastScheduledRide({ rideId, drivers });
 
     const io = req.app.get('io');
-    io?.emit('admin:activity', {
+    io?.to('admins').emit('admin:activity', {
       type: 'prebook_broadcast',
       message: `Broadcasted prebook to ${drivers.length} drivers`,
       rideId,
@@ -0,0 +1,117 @@
+// src/routes/admin_ratecards.js
+import express from 'express';
+import mongoose from 'mongoose';
+import RateCard from '../models/RateCard.js';
+import { DEFAULT_RATE_TABLE, VEHICLE_TYPES, getRateCard, invalidateRateCards } from '../services/rateCards.js';
+
+const router = express.Router();
+
+/* ------------ helpers ------------ */
+const ensureAdmin = (req, res, next) => {
+  if (req.isAuthenticated && req.isAuthenticated()) {
+    if (req.user?.constructor?.modelName === 'Admin') return next();
+  }
+  return res.redirect('/admin/login');
+};
+
+const RATE_FIELDS = ['baseFare', 'perKm', 'perMin', 'minCharge', 'pickupPerKm', 'waitPerMin', 'cancellationFee'];
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function cleanRegion(v) {
+  const s = String(v || '').trim().toLowerCase();
+  return s || null;
+}
+
+/* ------------ list cards + editor ------------ */
+router.get('/rates', ensureAdmin, async (req, res) => {
+  try {
+    const region = cleanRegion(req.query.region);
+
+    const [cards, regions] = await Promise.all([
+      RateCard.find(region ? { region } : {}).sort({ vehicleType: 1, region: 1, effectiveFrom: -1, version: -1 }).limit(200).lean(),
+      RateCard.distinct('region')
+    ]);
+
+    // what a quote would use right now, per vehicle type
+    const current = {};
+    for (const vt of VEHICLE_TYPES) current[vt] = await getRateCard(vt, { region });
+
+    let edit = null;
+    if (req.query.edit && mongoose.isValidObjectId(req.query.edit)) {
+      edit = await RateCard.findById(req.query.edit).lean();
+    }
+
+    res.render('admin/rates', {
+      admin: req.user,
+      cards,
+      current,
+      region,
+      regions: regions.filter(Boolean),
+      vehicleTypes: VEHICLE_TYPES,
+      defaults: DEFAULT_RATE_TABLE,
+      edit,
+      error: typeof req.query.error === 'string' ? req.query.error : ''
+    });
+  } catch (e) {
+    console.error('GET /admin/rates error:', e);
+    res.status(500).send('Server error');
+  }
+});
+
+/* ------------ save = new version ------------ */
+router.post('/rates', ensureAdmin, async (req, res) => {
+  try {
+    const vehicleType = String(req.body.vehicleType || '').trim().toLowerCase();
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+      return res.redirect('/admin/rates?error=' + encodeURIComponent('Unknown vehicle type'));
+    }
+    const region = cleanRegion(req.body.region);
+
+    const perKm = Number(req.body.perKm);
+    if (!Number.isFinite(perKm) || perKm <= 0) {
+      return res.redirect('/admin/rates?error=' + encodeURIComponent('Per-km rate must be greater than 0'));
+    }
+
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      return res.redirect('/admin/rates?error=' + encodeURIComponent('Invalid effective date'));
+    }
+
+    const latest = await RateCard.findOne({ vehicleType, region }).sort({ version: -1 }).select('version').lean();
+
+    const doc = { vehicleType, region, effectiveFrom, version: (latest?.version || 0) + 1 };
+    for (const f of RATE_FIELDS) doc[f] = num(req.body[f], 0);
+    doc.pricingMode = ['upfront', 'metered'].includes(req.body.pricingMode) ? req.body.pricingMode : null;
+    doc.note = String(req.body.note || '').trim().slice(0, 300);
+    doc.createdBy = req.user?.email || null;
+
+    await RateCard.create(doc);
+    invalidateRateCards();
+
+    console.log(`💲 Rate card ${vehicleType}${region ? `@${region}` : ''} v${doc.version} saved by ${doc.createdBy || 'admin'}`);
+    res.redirect('/admin/rates' + (region ? `?region=${encodeURIComponent(region)}` : ''));
+  } catch (e) {
+    console.error('POST /admin/rates error:', e);
+    res.redirect('/admin/rates?error=' + encodeURIComponent('Failed to save rate card'));
+  }
+});
+
+/* ------------ retire / restore a version ------------ */
+router.post('/rates/:id/active', ensureAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.redirect('/admin/rates');
+    const active = String(req.body.active) === 'true';
+    await RateCard.updateOne({ _id: req.params.id }, { $set: { active } });
+    invalidateRateCards();
+    res.redirect('/admin/rates');
+  } catch (e) {
+    console.error('POST /admin/rates/:id/active error:', e);
+    res.redirect('/admin/rates?error=' + encodeURIComponent('Failed to update rate card'));
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+// src/routes/admin_surge.js
+import express from 'express';
+import {
+  SURGE_MAX, SURGE_MIN, SURGE_PRECISION,
+  listSurgeZones, setSurgeOverride, clearSurgeOverride
+} from '../services/surge.js';
+
+const router = express.Router();
+
+/* ------------ helpers ------------ */
+const ensureAdmin = (req, res, next) => {
+  if (req.isAuthenticated && req.isAuthenticated()) {
+    if (req.user?.constructor?.modelName === 'Admin') return next();
+  }
+  return res.redirect('/admin/login');
+};
+
+const MAX_OVERRIDE_HOURS = 72;
+
+const back = (res, error) =>
+  res.redirect('/admin/surge' + (error ? `?error=${encodeURIComponent(error)}` : ''));
+
+/* ------------ heatmap + zone list ------------ */
+router.get('/surge', ensureAdmin, async (req, res) => {
+  try {
+    const zones = await listSurgeZones();
+    res.render('admin/surge', {
+      admin: req.user,
+      zones,
+      precision: SURGE_PRECISION,
+      surgeMin: SURGE_MIN,
+      surgeMax: SURGE_MAX,
+      maxHours: MAX_OVERRIDE_HOURS,
+      prefillCell: typeof req.query.cell === 'string' ? req.query.cell : '',
+      error: typeof req.query.error === 'string' ? req.query.error : ''
+    });
+  } catch (e) {
+    console.error('GET /admin/surge error:', e);
+    res.status(500).send('Server error');
+  }
+});
+
+/* ------------ pin / cap a zone ------------ */
+router.post('/surge/override', ensureAdmin, async (req, res) => {
+  try {
+    const mode = req.body.mode === 'cap' ? 'cap' : 'pin';
+    const value = Number(req.body.value);
+    if (!Number.isFinite(value) || value < 1 || value > SURGE_MAX) {
+      return back(res, `Surge must be between 1 and ${SURGE_MAX}`);
+    }
+
+    const hours = Number(req.body.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_OVERRIDE_HOURS) {
+      return back(res, `Duration must be between 0 and ${MAX_OVERRIDE_HOURS} hours`);
+    }
+
+    const cell = String(req.body.cell || '').trim();
+    const lat = Number(req.body.lat), lng = Number(req.body.lng);
+    if (!cell && !(Number.isFinite(lat) && Number.isFinite(lng) && req.body.lat !== '' && req.body.lng !== '')) {
+      return back(res, 'Pick a zone (cell) or enter a lat/lng inside it');
+    }
+
+    const saved = await setSurgeOverride({
+      cell: cell || null,
+      lat, lng,
+      multiplier: mode === 'pin' ? value : null,
+      cap: mode === 'cap' ? value : null,
+      expiresAt: new Date(Date.now() + hours * 3600 * 1000),
+      note: String(req.body.note || '').trim().slice(0, 300),
+      setBy: req.user?.email || null
+    });
+    if (!saved) return back(res, `Unknown zone — use a ${SURGE_PRECISION}-character geohash`);
+
+    console.log(`⚡ Surge ${mode} ×${value} on ${saved} for ${hours}h by ${req.user?.email || 'admin'}`);
+    back(res);
+  } catch (e) {
+    console.error('POST /admin/surge/override error:', e);
+    back(res, 'Failed to save override');
+  }
+});
+
+/* ------------ clear an override ------------ */
+router.post('/surge/:cell/clear', ensureAdmin, async (req, res) => {
+  try {
+    await clearSurgeOverride(req.params.cell);
+    back(res);
+  } catch (e) {
+    console.error('POST /admin/surge/:cell/clear error:', e);
+    back(res, 'Failed to clear override');
+  }
+});
+
+export default router;
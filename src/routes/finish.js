@@ -5,7 +5,12 @@ import Driver from '../models/Driver.js';
 import Rider from '../models/Rider.js';
 
 import { sendPaymentReceiptEmail } from '../services/mailer.js';
-import { computeFinalFare, appendPathPoint } from '../services/pricing.js';
+import { computeFinalFare, settleFare, fareLineItems, formatFareLine, appendPathPoint } from '../services/pricing.js';
+import { fromGeoPoint } from '../services/geo.js';
+import { collectRiderBalance } from '../services/cancellationFees.js';
+import { canTransition, transitionRide, PRE_PICKUP_STATUSES } from '../services/rideLifecycle.js';
+import { requireRideLink } from '../auth/rideLink.js';
+import { closeOpenStops } from '../services/tripStops.js';
 
 import { notifyDriverRideFinished } from '../bots/driverBot.js';
 import { notifyRiderToRateDriver } from '../bots/riderBot.js';
@@ -19,7 +24,7 @@ const router = express.Router();
  * POST /api/ride/:rideId/finish
  * body: { paidMethod?: 'cash'|'payfast' }
  */
-router.post('/api/ride/:rideId/finish', async (req, res) => {
+router.post('/api/ride/:rideId/finish', requireRideLink('driver'), async (req, res) => {
   try {
     const { rideId } = req.params;
     const { paidMethod } = req.body || {};
@@ -28,49 +33,91 @@ router.post('/api/ride/:rideId/finish', async (req, res) => {
     if (!ride) {
       return res.status(404).json({ error: 'Ride not found' });
     }
+    // Only a trip with the rider on board can be finished (never a cancelled or already-billed one)
+    if (PRE_PICKUP_STATUSES.includes(ride.status)) {
+      return res.status(409).json({ error: 'not_picked_up', status: ride.status });
+    }
+    if (!canTransition(ride.status, 'completed')) {
+      return res.status(409).json({ error: 'invalid_transition', status: ride.status });
+    }
 
     // Stamp final coords from the driver's last known location
+    let drv = null;
     if (ride.driverId) {
-      const drv = await Driver.findById(ride.driverId).lean();
-      if (
-        drv?.location &&
-        typeof drv.location.lat === 'number' &&
-        typeof drv.location.lng === 'number'
-      ) {
+      drv = await Driver.findById(ride.driverId).lean();
+      const drvLoc = fromGeoPoint(drv?.location);
+      if (drvLoc) {
         try {
-          await appendPathPoint(ride._id, drv.location.lat, drv.location.lng, 'FINISH');
+          await appendPathPoint(ride._id, drvLoc.lat, drvLoc.lng, 'FINISH');
         } catch (e) {
           console.warn('appendPathPoint failed:', e?.message || e);
         }
       }
     }
 
-    // Compute final fare at finish time
-    const {
-      price,
-      tripKm,
-      actualDurationSec,
-      trafficFactor,
-      surge,
-      // expectedDurationSec // (unused here)
-    } = await computeFinalFare({
+    // A stop the driver never checked out of would otherwise bill waiting up to now
+    const closedStops = closeOpenStops(ride.stops, ride.path, new Date());
+    if (closedStops.length) ride.markModified('stops');
+
+    // Bill against the rates the rider was quoted when the accepting driver is one
+    // we priced for; otherwise against the accepting driver's own pricing.
+    const quote = ride.quote || null;
+    const quotedForDriver = !!(quote?.rate?.perKm && ride.driverId &&
+      (quote.driverIds || []).some((id) => String(id) === String(ride.driverId)));
+
+    // Compute final (metered) fare at finish time
+    const metered = await computeFinalFare({
       pickup: ride.pickup,
       destination: ride.destination,
+      stops: ride.stops || [],
       vehicleType: ride.vehicleType || 'normal',
       path: ride.path || null,
       createdAt: ride.createdAt,
-      pickedAt: ride.pickedAt || ride.startedAt || ride.createdAt,
-      completedAt: new Date()
+      arrivedAt: ride.arrivedAt || null,
+      pickedAt: ride.pickedAt, // in_progress always has it: the clock starts when the rider gets in
+      completedAt: new Date(),
+      region: quote?.region ?? null,
+      lockedRate: quotedForDriver ? quote.rate : null,
+      lockedSurge: quote?.surge ?? null,
+      driverPricing: quotedForDriver ? null : (drv?.pricing || null),
+      discountPct: Number(ride.promoDiscountPct || 0)
     });
+    const {
+      tripKm,
+      actualDurationSec,
+      trafficFactor,
+      surge,
+      rateSource,
+      // expectedDurationSec // (unused here)
+    } = metered;
 
-    // Update ride
-    const now = new Date();
-    ride.status = 'completed';
-    ride.completedAt = now;
+    // Upfront rides pay the quote unless the route drifted (see settleFare)
+    const { price, pricingMode, adjustment, breakdown } = settleFare({ quote, destination: ride.destination, metered });
+
+    const quotedPrice = quote?.price ?? (typeof ride.estimate === 'number' ? ride.estimate : null);
+    const fareDelta = quotedPrice != null ? Math.round(price - quotedPrice) : null;
 
     // Normalize payment method
     const normalizedMethod =
       paidMethod === 'cash' ? 'cash' : paidMethod === 'payfast' ? 'payfast' : (ride.paymentMethod || 'payfast');
+
+    // Claim the finish first so a double tap (or a racing cancel) can't bill twice
+    const now = new Date();
+    const done = await transitionRide(ride._id, 'completed', {
+      from: ride.status,
+      set: { completedAt: now },
+      activity: {
+        actorType: 'driver',
+        actorId: ride.driverChatId ?? (ride.driverId ? String(ride.driverId) : null),
+        message: `Trip completed — R${price} (${normalizedMethod})`,
+        meta: { amount: price, paymentMethod: normalizedMethod, pricingMode }
+      }
+    });
+    if (!done.ok) {
+      return res.status(409).json({ error: 'invalid_transition', status: done.status });
+    }
+    ride.status = 'completed';
+    ride.completedAt = now;
     ride.paymentMethod = normalizedMethod;
 
     // If cash and not marked paid yet, mark now
@@ -79,11 +126,31 @@ router.post('/api/ride/:rideId/finish', async (req, res) => {
       ride.paidAt = now;
     }
 
-    ride.finalAmount = price;
+    // Cash riders settle earlier cancellation / no-show fees on their next cash trip
+    let balanceCollected = 0;
+    if (ride.paymentMethod === 'cash') {
+      try { balanceCollected = await collectRiderBalance(ride); } catch (e) { console.warn('collectRiderBalance failed:', e?.message || e); }
+    }
+    const charged = price + balanceCollected;
+    const fareBreakdown = breakdown && balanceCollected
+      ? { ...breakdown, priorBalance: balanceCollected, total: breakdown.total + balanceCollected }
+      : breakdown;
+    const lineItems = fareLineItems(fareBreakdown);
+
+    ride.finalAmount = charged;
+    ride.balanceCollected = balanceCollected || undefined;
     ride.finalDistanceKm = tripKm;
     ride.finalDurationSec = actualDurationSec;
     ride.finalTrafficFactor = trafficFactor;
     ride.finalSurge = surge;
+    ride.finalRateSource = rateSource;
+    ride.pricingMode = pricingMode;
+    ride.fareAdjustment = adjustment
+      ? { reason: adjustment.reason, detail: adjustment.detail, quotedPrice: adjustment.quotedPrice,
+          meteredPrice: adjustment.meteredPrice, quotedKm: adjustment.quotedKm, actualKm: adjustment.actualKm }
+      : undefined;
+    ride.fareDelta = fareDelta ?? undefined;
+    ride.fareBreakdown = fareBreakdown || undefined;
 
     await ride.save();
 
@@ -102,7 +169,10 @@ router.post('/api/ride/:rideId/finish', async (req, res) => {
     if (riderEmail) {
       try {
         await sendPaymentReceiptEmail(riderEmail, {
-          amount: price,
+          amount: charged,
+          quotedAmount: quotedPrice,
+          adjustmentNote: adjustment?.detail || null,
+          items: lineItems,
           paymentMethod: ride.paymentMethod,
           paidAt: ride.paidAt || now
         });
@@ -125,6 +195,9 @@ router.post('/api/ride/:rideId/finish', async (req, res) => {
           `• Distance: *${km} km*\n` +
           `• Duration: *~${mins} min*\n` +
           `• Fare: *R${priceZAR}*\n` +
+          lineItems.map((li) => `   – ${formatFareLine(li)}\n`).join('') +
+          (fareDelta ? `• Quoted: R${Math.round(quotedPrice)} (final ${fareDelta > 0 ? '+' : '−'}R${Math.abs(fareDelta)})\n` : '') +
+          (pricingMode === 'upfront' ? (adjustment ? `• Upfront price adjusted: ${adjustment.detail}\n` : `• 🔒 Upfront price honoured\n`) : '') +
           (method ? `• Payment: *${method}*\n` : '') +
           `\nPlease rate your driver: reply with a number from *1* (worst) to *5* (best).`;
 
@@ -158,7 +231,10 @@ router.post('/api/ride/:rideId/finish', async (req, res) => {
 
         const tgText =
           `🏁 <b>Trip Complete</b>\n` +
-          `• Amount: <b>${ZAR(price)}</b>\n` +
+          `• Amount: <b>${ZAR(charged)}</b>\n` +
+          lineItems.map((li) => `   – ${formatFareLine(li)}\n`).join('') +
+          (fareDelta ? `• Quoted: ${ZAR(quotedPrice)} (final ${fareDelta > 0 ? '+' : '−'}${ZAR(Math.abs(fareDelta))})\n` : '') +
+          (pricingMode === 'upfront' ? (adjustment ? `• Upfront price adjusted: ${adjustment.detail}\n` : `• 🔒 Upfront price honoured\n`) : '') +
           `• Distance: <b>${(tripKm || 0).toFixed(2)} km</b>\n` +
           `• Duration: <b>${durFmt(actualDurationSec)}</b>\n` +
           `• Payment: ${methodEmoji} <b>${methodText}</b>\n\n` +
@@ -183,9 +259,10 @@ router.post('/api/ride/:rideId/finish', async (req, res) => {
     // Socket.IO event for dashboards (best-effort)
     try {
       const io = req.app.get('io');
-      io?.emit?.(`ride:${rideId}:finished`, {
+      io?.to?.(`ride:${rideId}`).emit(`ride:${rideId}:finished`, {
         paidMethod: ride.paymentMethod,
-        amount: price,
+        amount: charged,
+        quotedAmount: quotedPrice,
         distanceKm: tripKm,
         durationSec: actualDurationSec
       });
@@ -194,14 +271,20 @@ router.post('/api/ride/:rideId/finish', async (req, res) => {
     }
 
     console.log(
-      `🏁 FINISHED ride=${rideId} method=${ride.paymentMethod} amount=R${price} dist=${tripKm.toFixed(2)}km dur=${actualDurationSec}s`
+      `🏁 FINISHED ride=${rideId} method=${ride.paymentMethod} amount=R${charged}${balanceCollected ? `(+R${balanceCollected} fees)` : ''} quoted=${quotedPrice ?? '—'} mode=${pricingMode}${adjustment ? `(${adjustment.reason})` : ''} rate=${rateSource} dist=${tripKm.toFixed(2)}km dur=${actualDurationSec}s`
     );
 
     return res.json({
       ok: true,
       paidMethod: ride.paymentMethod,
       paymentStatus: ride.paymentStatus,
-      amount: price,
+      amount: charged,
+      balanceCollected,
+      quotedAmount: quotedPrice,
+      fareDelta,
+      pricingMode,
+      adjustment,
+      breakdown: fareBreakdown,
       distanceKm: tripKm,
       durationSec: actualDurationSec
     });
@@ -284,7 +284,8 @@ router.get('/upgrade/cancel', async (req, res) => {
       const ride = await Ride.findById(rideId);
       if (ride) {
         const prev = { status: ride.status, paymentStatus: ride.paymentStatus };
-        if (ride.status === 'payment_pending') ride.status = 'pending';
+        // status stays as is (payment_pending) so the rider can pay again;
+        // only a paid ITN moves it on (see payfastNotify.js)
         // normalize to your schema enum: unpaid/pending/paid
         ride.paymentStatus = 'unpaid';
         ride.updatedAt = new Date();
@@ -4,10 +4,12 @@ import crypto from 'crypto';
 
 import Ride from '../models/Ride.js';
 import Rider from '../models/Rider.js';
+import Driver from '../models/Driver.js';
 import { riderEvents } from '../bots/riderBot.js';
 import { riderBot as RB } from '../bots/riderBot.js';
 import { sendWhatsAppMessage } from '../bots/whatsappBot.js';
 import { sendPaymentReceiptEmail, sendPaymentFailedEmail } from '../services/mailer.js';
+import { transitionRide } from '../services/rideLifecycle.js';
 
 const router = express.Router();
 
@@ -113,20 +115,56 @@ router.post('/notify', async (req, res) => {
       ? amountGross
       : Number(ride.finalAmount ?? ride.estimate ?? 0);
 
+    // Pay-link for a cancellation / no-show fee: settle the fee, nothing to dispatch
+    if (status === 'COMPLETE' && ride.cancellationFee?.status === 'charge_pending') {
+      ride.paymentStatus = 'paid';
+      ride.paidAt = new Date();
+      ride.cancellationFee.status = 'charged';
+      ride.cancellationFee.chargedAt = ride.paidAt;
+      await ride.save();
+
+      const msg = `✅ Payment received${amount ? ` (R${amount.toFixed(2)})` : ''} for your ${ride.cancellationFee.kind === 'no_show' ? 'no-show' : 'cancellation'} fee. Thank you!`;
+      try { if (ride.riderChatId) await RB.sendMessage(ride.riderChatId, msg); } catch {}
+      try { if (ride.riderWaJid)  await sendWhatsAppMessage(ride.riderWaJid, msg); } catch {}
+      if (ride.driverId) Driver.computeAndUpdateStats(ride.driverId).catch(() => {});
+
+      console.log(`✅ PayFast COMPLETE → cancellation fee on ride ${rideId} charged.`);
+      return res.json({ ok: true });
+    }
+
     if (status === 'COMPLETE') {
-      // Mark paid + move into dispatch queue
+      // Mark paid; only a ride waiting on payment moves into the dispatch queue
       ride.paymentMethod = 'payfast';
       ride.paymentStatus = 'paid';
       ride.paidAt = new Date();
-      if (!['pending','accepted','enroute','completed','cancelled'].includes(ride.status)) {
-        ride.status = 'pending';
+      if (ride.status === 'cancelled' && !ride.refundStatus) {
+        // paid after it was cancelled → it all goes back
+        ride.refundStatus = 'required';
+        ride.refundFlaggedAt = ride.paidAt;
+        ride.refundReason = 'paid_after_cancel';
+        ride.refundAmount = amount || undefined;
       }
       await ride.save();
 
+      let dispatch = false;
+      if (ride.status === 'payment_pending') {
+        const out = await transitionRide(ride._id, 'pending', {
+          from: 'payment_pending',
+          activity: { type: 'payment', message: `PayFast payment received (R${amount.toFixed(2)})`, meta: { amount, provider: 'payfast' } }
+        });
+        dispatch = out.ok;
+      }
+
       // Thank the rider (TG/WA)
       const thanks =
         `✅ Payment received${amount ? ` (R${amount.toFixed(2)})` : ''}. ` +
-        `Requesting your driver now—thanks!`;
+        (dispatch
+          ? 'Requesting your driver now—thanks!'
+          : ride.status === 'scheduled'
+            ? 'We’ll find your driver at the scheduled time—thanks!'
+            : ride.status === 'cancelled'
+              ? 'This trip was cancelled, so the payment will be refunded.'
+              : 'Thanks!');
       try { if (ride.riderChatId) await RB.sendMessage(ride.riderChatId, thanks); } catch {}
       try { if (ride.riderWaJid)  await sendWhatsAppMessage(ride.riderWaJid, thanks); } catch {}
 
@@ -147,9 +185,11 @@ router.post('/notify', async (req, res) => {
       }
 
       // 🚀 Trigger the same pipeline Cash uses
-      try { riderEvents.emit('booking:new', { rideId: String(ride._id) }); } catch {}
+      if (dispatch) {
+        try { riderEvents.emit('booking:new', { rideId: String(ride._id) }); } catch {}
+      }
 
-      console.log(`✅ PayFast COMPLETE → ride ${rideId} marked paid + driver dispatch started.`);
+      console.log(`✅ PayFast COMPLETE → ride ${rideId} marked paid${dispatch ? ' + driver dispatch started' : ` (status ${ride.status})`}.`);
       return res.json({ ok: true });
     }
 
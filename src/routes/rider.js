@@ -1,6 +1,7 @@
 // src/routes/rider.js
 import express from 'express';
 import Rider from '../models/Rider.js';
+import { MAX_TRUSTED_CONTACTS, normalizeTrustedContact } from '../services/tripShare.js';
 
 const router = express.Router();
 
@@ -34,6 +35,7 @@ router.get('/:chatId', async (req, res) => {
       phone: rider.phone || rider.msisdn || '',
       credit: rider.credit ?? 0,
       trips: rider.trips ?? 0,
+      trustedContacts: rider.trustedContacts || [],
       referral: {
         code,
         link: shareLink,
@@ -56,13 +58,16 @@ router.get('/:chatId', async (req, res) => {
 
 /* ✅ POST update profile  */
 router.post('/update-profile', async (req, res) => {
-  const { chatId, name, email, credit } = req.body;
+  const { chatId, name, email, credit, trustedContacts } = req.body;
   try {
     const rider = await Rider.findOne({ chatId });
     if (!rider) return res.status(403).json({ error: 'Unauthorized' });
 
     if (typeof name === 'string')  rider.name = name;
     if (typeof email === 'string') rider.email = email;
+    if (Array.isArray(trustedContacts)) {
+      rider.trustedContacts = trustedContacts.map(normalizeTrustedContact).filter(Boolean).slice(0, MAX_TRUSTED_CONTACTS);
+    }
     if (typeof credit !== 'undefined' && credit !== null && !Number.isNaN(Number(credit))) {
       rider.credit = Number(credit);
     }
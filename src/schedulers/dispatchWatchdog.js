@@ -0,0 +1,67 @@
+// src/schedulers/dispatchWatchdog.js
+// Gives up on pending rides nobody accepted within `timeoutMin`:
+// ride → 'unfulfilled', open offers withdrawn, rider offered retry / other vehicle / schedule.
+// Online payments (PayFast/app) that already went through are flagged for a refund.
+const REFUNDABLE_METHODS = ['payfast', 'app'];
+
+export function startDispatchWatchdog({
+  Ride,
+  transitionRide,
+  stopDispatch,
+  notifyRider,
+  timeoutMin = Number(process.env.DISPATCH_UNFULFILLED_MIN || 10),
+  intervalMs = 30_000
+}) {
+  async function runWatchdogSweep() {
+    try {
+      const cutoff = new Date(Date.now() - timeoutMin * 60 * 1000);
+
+      const stale = await Ride.find({
+        status: 'pending',
+        driverId: null,
+        $or: [
+          { dispatchStartedAt: { $lte: cutoff } },
+          { dispatchStartedAt: null, createdAt: { $lte: cutoff } }
+        ]
+      }).sort({ createdAt: 1 }).limit(50).lean();
+
+      for (const r of stale) {
+        try {
+          const now = new Date();
+          const needsRefund = REFUNDABLE_METHODS.includes(r.paymentMethod) && r.paymentStatus === 'paid';
+          const set = { unfulfilledAt: now };
+          if (needsRefund) {
+            set.refundStatus = 'required';
+            set.refundFlaggedAt = now;
+            set.refundReason = 'unfulfilled';
+          }
+
+          const upd = await transitionRide(r._id, 'unfulfilled', {
+            from: 'pending',
+            match: { driverId: null },
+            set,
+            activity: {
+              message: `No driver accepted within ${timeoutMin} min${needsRefund ? ' — refund required' : ''}`,
+              meta: { timeoutMin, paymentMethod: r.paymentMethod, refund: needsRefund }
+            }
+          });
+          if (!upd.ok) continue;
+
+          try { await stopDispatch(String(r._id), { outcome: 'expired' }); } catch {}
+
+          try { await notifyRider({ ride: { ...r, ...set, status: 'unfulfilled' }, refund: needsRefund }); } catch (e) {
+            console.warn('unfulfilled rider notify failed:', e?.message || e);
+          }
+        } catch (e) {
+          console.warn('dispatch watchdog failed for ride', String(r._id), e?.message || e);
+        }
+      }
+    } catch (e) {
+      console.warn('runWatchdogSweep error:', e?.message || e);
+    }
+  }
+
+  const id = setInterval(runWatchdogSweep, intervalMs);
+  console.log(`⏱️ Dispatch watchdog running (every ${intervalMs} ms, gives up after ${timeoutMin} min)`);
+  return () => clearInterval(id);
+}
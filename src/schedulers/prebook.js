@@ -2,7 +2,7 @@
 export function startPrebookScheduler({
   Ride,
   dispatchToNearestDriver,
-  logActivity,
+  transitionRide,
   leewayMin = Number(process.env.PREBOOK_DISPATCH_LEEWAY_MIN || 15),
   intervalMs = 30_000
 }) {
@@ -19,20 +19,17 @@ export function startPrebookScheduler({
 
       for (const r of due) {
         try {
-          const upd = await Ride.updateOne(
-            { _id: r._id, status: 'scheduled', scheduledDispatched: { $ne: true } },
-            { $set: { status: 'pending', scheduledDispatched: true } }
-          );
+          const upd = await transitionRide(r._id, 'pending', {
+            from: 'scheduled',
+            match: { scheduledDispatched: { $ne: true } },
+            set: { scheduledDispatched: true },
+            activity: {
+              type: 'system',
+              message: `Scheduled ride activated (was for ${r.scheduledFor?.toISOString?.() || 'N/A'})`
+            }
+          });
 
-          if (upd.modifiedCount > 0) {
-            try {
-              await logActivity({
-                rideId: r._id,
-                type: 'scheduled_pending',
-                actorType: 'system',
-                message: `Scheduled ride activated (was for ${r.scheduledFor?.toISOString?.() || 'N/A'})`
-              });
-            } catch {}
+          if (upd.ok) {
             await dispatchToNearestDriver({ rideId: String(r._id) });
           }
         } catch (e) {
@@ -0,0 +1,27 @@
+// src/schedulers/surge.js
+export function startSurgeScheduler({
+  recomputeSurge,
+  intervalMs = Number(process.env.SURGE_RECOMPUTE_SEC || 60) * 1000
+}) {
+  let running = false;
+
+  async function runSurgeSweep() {
+    if (running) return; // a slow sweep shouldn't stack up
+    running = true;
+    try {
+      const { cells } = await recomputeSurge();
+      if (cells && String(process.env.DEBUG_PRICING || '').toLowerCase() === 'true') {
+        console.log(`[surge] recomputed ${cells} cell(s)`);
+      }
+    } catch (e) {
+      console.warn('runSurgeSweep error:', e?.message || e);
+    } finally {
+      running = false;
+    }
+  }
+
+  runSurgeSweep();
+  const id = setInterval(runSurgeSweep, intervalMs);
+  console.log(`⚡ Surge scheduler running (every ${intervalMs} ms)`);
+  return () => clearInterval(id);
+}
@@ -1,7 +1,10 @@
 // src/services/assignment.js
+import mongoose from 'mongoose';
 import Driver from '../models/Driver.js';
 import Ride from '../models/Ride.js';
-import { kmBetween, estimatePrice } from './pricing.js';
+import { estimatePrice } from './pricing.js';
+import { geoNearStage } from './geo.js';
+import { transitionRide } from './rideLifecycle.js';
 
 /** Ensure driver has a numeric chatId so Telegram can DM them */
 function hasNumericChatId(driver) {
@@ -9,47 +12,62 @@ function hasNumericChatId(driver) {
 }
 
 /**
- * Choose the nearest driver who is:
- *  - approved
- *  - ONLINE (isAvailable: true)
- *  - has numeric chatId (linked to Telegram)
- *  - has a last known location
- * Optionally filter by vehicleType and/or exclude driver IDs.
+ * Online + approved drivers around a pickup, nearest first.
+ * Each result carries a `distance` (km) from the pickup.
+ *  - linkedOnly: Telegram-linked (numeric chatId) drivers only
+ *  - otherwise a WhatsApp phone is good enough to receive offers
+ *  - match: extra Mongo filter (e.g. Driver.rideEligibilityQuery(ride))
  */
-export async function assignNearestDriver(
+export async function findNearbyDrivers(
   pickup,
-  { vehicleType = null, exclude = [], radiusKm = null } = {}
+  { vehicleType = null, exclude = [], radiusKm = null, limit = null, linkedOnly = true, match = null } = {}
 ) {
   const q = {
     status: 'approved',
-    isAvailable: true,
-    chatId: { $type: 'number' },
-    'location.lat': { $exists: true },
-    'location.lng': { $exists: true }
+    isAvailable: true
   };
 
+  if (linkedOnly) {
+    q.chatId = { $type: 'number' };
+  } else {
+    q.$or = [{ chatId: { $type: 'number' } }, { phone: { $exists: true, $nin: [null, ''] } }];
+  }
+
   if (vehicleType) q.vehicleType = vehicleType;
-  if (exclude?.length) q._id = { $nin: exclude };
+  // aggregate stages aren't cast by Mongoose: string ids would never match
+  const excludeIds = (exclude || [])
+    .filter((id) => mongoose.isValidObjectId(id))
+    .map((id) => new mongoose.Types.ObjectId(String(id)));
+  if (excludeIds.length) q._id = { $nin: excludeIds };
+  if (match && Object.keys(match).length) q.$and = [match];
 
-  const drivers = await Driver.find(q).lean();
-  if (!drivers.length) {
-    console.log('❌ No eligible (online + linked) drivers with location');
-    return null;
-  }
+  // 2dsphere index does the radius + nearest-first sort
+  const pipeline = [geoNearStage(pickup, { maxKm: radiusKm, query: q })];
+  if (limit) pipeline.push({ $limit: limit });
 
-  const enriched = drivers.map((d) => ({
-    ...d,
-    distance: kmBetween(d.location, pickup)
-  }));
+  const drivers = await Driver.aggregate(pipeline);
+  return drivers.map((d) => ({ ...d, distance: d.distanceM / 1000 }));
+}
 
-  const filtered = radiusKm ? enriched.filter(d => d.distance <= radiusKm) : enriched;
-  if (!filtered.length) {
-    console.log('❌ No eligible drivers within radius');
+/**
+ * Choose the nearest driver who is:
+ *  - approved
+ *  - ONLINE (isAvailable: true)
+ *  - has numeric chatId (linked to Telegram)
+ *  - has a last known location
+ * Optionally filter by vehicleType and/or exclude driver IDs.
+ */
+export async function assignNearestDriver(
+  pickup,
+  { vehicleType = null, exclude = [], radiusKm = null } = {}
+) {
+  const nearby = await findNearbyDrivers(pickup, { vehicleType, exclude, radiusKm, limit: 1 });
+  if (!nearby.length) {
+    console.log(radiusKm ? '❌ No eligible drivers within radius' : '❌ No eligible (online + linked) drivers with location');
     return null;
   }
 
-  filtered.sort((a, b) => a.distance - b.distance);
-  const chosen = filtered[0];
+  const chosen = nearby[0];
   console.log(`✅ Nearest driver: ${chosen.name || chosen.email || chosen._id} (${chosen.distance.toFixed(2)} km away)`);
 
   return await Driver.findById(chosen._id);
@@ -63,10 +81,14 @@ export async function setEstimateOnRide(rideId, driverLocation = null) {
   const ride = await Ride.findById(rideId);
   if (!ride) return null;
 
+  // Never overwrite the quote the rider already agreed to
+  if (ride.estimate != null && !driverLocation) return ride.estimate;
+
   const vehicleType = ride.vehicleType || 'normal';
   const { price } = await estimatePrice({
     pickup: ride.pickup,
     destination: ride.destination,
+    stops: ride.stops || [],
     vehicleType,
     driverLocation
   });
@@ -76,4 +98,77 @@ export async function setEstimateOnRide(rideId, driverLocation = null) {
   return price;
 }
 
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').trim().replace(/\/$/, '');
+
+/**
+ * First-accept-wins claim of a pending ride for a driver.
+ * Vehicle type and the cash/PayFast trip limit are part of the same
+ * conditional update, so a driver can't slip past a limit via a stale offer.
+ * Drivers who cancelled the ride before (excludedDriverIds) can't take it back.
+ * Returns { ok, ride } or { ok:false, reason: 'already_taken'|'excluded'|'vehicle_mismatch'|'cash_limit'|'payfast_limit' }.
+ */
+export async function claimRideForDriver({ driver, rideId }) {
+  const drv = driver instanceof Driver ? driver : Driver.hydrate(driver);
+  const blocked = drv.blockedPaymentMethods();
+
+  const and = [
+    { $or: [{ driverId: { $exists: false } }, { driverId: null }] },
+    { $or: [{ vehicleType: drv.vehicleType || 'normal' }, { vehicleType: { $exists: false } }, { vehicleType: null }] },
+    { excludedDriverIds: { $ne: drv._id } }
+  ];
+  if (blocked.length) and.push({ paymentMethod: { $nin: blocked } });
+
+  const set = { driverId: drv._id, acceptedAt: new Date() };
+  if (hasNumericChatId(drv)) set.driverChatId = Number(drv.chatId);
+
+  const actorId = hasNumericChatId(drv) ? Number(drv.chatId) : (drv.phone || String(drv._id));
+  const res = await transitionRide(rideId, 'accepted', {
+    from: 'pending',
+    match: { $and: and },
+    set,
+    activity: (ride) => {
+      const prev = ride.driverAttempts || [];
+      return {
+        actorType: 'driver',
+        actorId,
+        message: prev.length
+          ? `Driver ${actorId} accepted the ride (attempt ${prev.length + 1}, after ${prev.length} driver cancel(s))`
+          : `Driver ${actorId} accepted the ride`,
+        meta: { attempt: prev.length + 1, previousDriverIds: prev.map((a) => String(a.driverId)) }
+      };
+    }
+  });
+  if (res.ok) return { ok: true, ride: res.ride.toObject() };
+
+  // Work out why: gone, or this driver isn't allowed to take it
+  const ride = await Ride.findById(rideId).lean();
+  if (!ride || ride.status !== 'pending' || ride.driverId) return { ok: false, reason: 'already_taken' };
+  if ((ride.excludedDriverIds || []).some((id) => String(id) === String(drv._id))) return { ok: false, reason: 'excluded' };
+  const check = drv.checkRideEligibility(ride);
+  return { ok: false, reason: check.ok ? 'already_taken' : check.reason };
+}
+
+/** Plain-text explanation for a blocked accept (works on Telegram and WhatsApp). */
+export function acceptBlockedMessage(reason, { driver, ride } = {}) {
+  const upgrade = new URL('/api/partner/upgrade/payfast', PUBLIC_URL || 'http://localhost');
+  if (driver?._id) upgrade.searchParams.set('partnerId', String(driver._id));
+  if (driver?.name) upgrade.searchParams.set('contactName', driver.name);
+  if (driver?.email) upgrade.searchParams.set('email', driver.email);
+  const link = PUBLIC_URL ? upgrade.toString() : upgrade.pathname + upgrade.search;
+
+  if (reason === 'vehicle_mismatch') {
+    return `🚫 This request is for a ${(ride?.vehicleType || 'different').toUpperCase()} vehicle, ` +
+      `but your profile is ${(driver?.vehicleType || 'normal').toUpperCase()}.`;
+  }
+  if (reason === 'excluded') {
+    return '🚫 You cancelled this ride earlier, so it has gone to another driver.';
+  }
+  if (reason === 'cash_limit' || reason === 'payfast_limit') {
+    const label = reason === 'cash_limit' ? 'cash' : 'card (PayFast)';
+    return `🚫 You've reached your ${label} trip limit, so this request can't be accepted.\n` +
+      `Upgrade your partner plan to keep receiving ${label} trips:\n${link}`;
+  }
+  return '⚠️ This ride is no longer available.';
+}
+
 export { hasNumericChatId };
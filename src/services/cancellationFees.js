@@ -0,0 +1,165 @@
+// src/services/cancellationFees.js
+// Late-cancellation and no-show fees.
+//  • late_cancel: rider cancels more than CANCEL_GRACE_MIN after a driver accepted
+//  • no_show:     driver waited NO_SHOW_WAIT_MIN at pickup and the rider never came
+// The amount comes from the rate card (cancellationFee; NO_SHOW_FEE overrides for
+// no-shows). Cash riders carry it as a balance onto their next cash trip; PayFast
+// rides are charged (kept from a prepayment, or billed through a pay link).
+import Ride from '../models/Ride.js';
+import Rider from '../models/Rider.js';
+import Driver from '../models/Driver.js';
+import { getRateCard, regionForPoint } from './rateCards.js';
+import { recordRideActivity } from './rideLifecycle.js';
+
+export const CANCEL_GRACE_MIN = Number(process.env.CANCEL_GRACE_MIN || 3);
+export const NO_SHOW_WAIT_MIN = Number(process.env.NO_SHOW_WAIT_MIN || 5);
+// cancel reason the driver map sends; doesn't count against the driver's reliability
+export const NO_SHOW_REASON = 'Rider no-show';
+const NO_SHOW_FEE = process.env.NO_SHOW_FEE != null && process.env.NO_SHOW_FEE !== '' ? Number(process.env.NO_SHOW_FEE) : null;
+const DRIVER_FEE_SHARE = Math.min(1, Math.max(0, Number(process.env.CANCEL_FEE_DRIVER_SHARE ?? 0.8)));
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const minutesSince = (d, now) => (d ? (now.getTime() - new Date(d).getTime()) / 60000 : 0);
+
+function riderFilter(ride) {
+  if (ride.riderChatId != null) return { chatId: Number(ride.riderChatId) };
+  if (ride.riderWaJid) return { waJid: ride.riderWaJid };
+  return null;
+}
+
+/** Minutes the driver has been waiting at pickup (0 if not arrived or already picked up) */
+export function waitedAtPickupMin(ride, now = new Date()) {
+  if (!ride?.arrivedAt || ride.pickedAt) return 0;
+  return Math.max(0, minutesSince(ride.arrivedAt, now));
+}
+
+/** True when the driver has waited long enough to cancel as a rider no-show */
+export function canChargeNoShow(ride, now = new Date()) {
+  return !!ride?.driverId && waitedAtPickupMin(ride, now) >= NO_SHOW_WAIT_MIN;
+}
+
+/**
+ * Which fee (if any) a rider-initiated cancel of this ride would incur right now.
+ * → 'no_show' | 'late_cancel' | null
+ */
+export function assessRiderCancellation(ride, now = new Date()) {
+  if (!ride?.driverId || !ride.acceptedAt || ride.pickedAt) return null;
+  if (canChargeNoShow(ride, now)) return 'no_show';
+  if (minutesSince(ride.acceptedAt, now) > CANCEL_GRACE_MIN) return 'late_cancel';
+  return null;
+}
+
+/** Fee amount for `kind` on this ride (before anything is recorded) */
+export async function cancellationFeeFor(ride, kind) {
+  if (kind === 'no_show' && Number.isFinite(NO_SHOW_FEE)) return Math.max(0, NO_SHOW_FEE);
+  const locked = Number(ride.quote?.rate?.cancellationFee);
+  if (Number.isFinite(locked) && locked > 0) return locked;
+  const card = await getRateCard(ride.vehicleType || 'normal', {
+    region: ride.quote?.region ?? regionForPoint(ride.pickup),
+    at: ride.createdAt ? new Date(ride.createdAt) : new Date()
+  });
+  return Math.max(0, Number(card.cancellationFee || 0));
+}
+
+/**
+ * Work out and record the fee on a cancelled ride (mongoose doc; saved here).
+ * Returns the fee record, or null when nothing is owed.
+ * `status`: carried_over (cash balance) | retained (kept from a prepayment) | charge_pending (pay link)
+ */
+export async function applyCancellationFee(ride, kind, { now = new Date() } = {}) {
+  if (!kind || ride.cancellationFee?.amount > 0) return null;
+
+  const amount = round2(await cancellationFeeFor(ride, kind));
+  if (!(amount > 0)) return null;
+
+  const driverShare = ride.driverId ? round2(amount * DRIVER_FEE_SHARE) : 0;
+  const fee = {
+    kind,
+    amount,
+    driverShare,
+    platformShare: round2(amount - driverShare),
+    assessedAt: now,
+    waitedMin: Math.round(waitedAtPickupMin(ride, now)),
+    graceMin: CANCEL_GRACE_MIN
+  };
+
+  const online = ['payfast', 'app'].includes(ride.paymentMethod);
+  if (online && ride.paymentStatus === 'paid') {
+    // keep the fee out of what they prepaid; the rest goes back
+    const paid = Number(ride.finalAmount ?? ride.estimate ?? 0);
+    fee.status = 'retained';
+    fee.chargedAt = now;
+    if (paid > amount) {
+      ride.refundStatus = 'required';
+      ride.refundFlaggedAt = now;
+      ride.refundReason = `${kind}_fee`;
+      ride.refundAmount = round2(paid - amount);
+    }
+  } else if (online) {
+    // /pay/:rideId bills finalAmount
+    fee.status = 'charge_pending';
+    ride.finalAmount = amount;
+  } else {
+    fee.status = 'carried_over';
+    const filter = riderFilter(ride);
+    if (filter) {
+      await Rider.updateOne(filter, { $inc: { balanceDue: amount }, $set: { balanceDueUpdatedAt: now } });
+    }
+  }
+
+  ride.cancellationFee = fee;
+  await ride.save();
+
+  await recordRideActivity(ride._id, {
+    type: 'fee',
+    actorType: 'system',
+    message: `${kind === 'no_show' ? 'No-show' : 'Late cancellation'} fee R${amount} (${fee.status.replace('_', ' ')})`,
+    meta: fee
+  });
+
+  return fee;
+}
+
+/** Rider-facing one-liner for a fee record */
+export function describeCancellationFee(fee, { payLink = null } = {}) {
+  if (!fee?.amount) return '';
+  const what = fee.kind === 'no_show' ? 'No-show fee' : 'Late cancellation fee';
+  if (fee.status === 'carried_over') return `${what}: R${fee.amount} — added to your next cash trip.`;
+  if (fee.status === 'retained') return `${what}: R${fee.amount} — kept from your payment; the rest will be refunded.`;
+  if (fee.status === 'charge_pending') return `${what}: R${fee.amount}${payLink ? ` — please pay here: ${payLink}` : '.'}`;
+  return `${what}: R${fee.amount}.`;
+}
+
+/**
+ * Move a cash rider's outstanding fees onto this trip (called at finish).
+ * Only the carried-over fees read here are settled and taken off balanceDue,
+ * so a fee carried over while this runs stays owed for the next trip.
+ * Returns the amount collected (0 when nothing was owed).
+ */
+export async function collectRiderBalance(ride) {
+  const filter = riderFilter(ride);
+  if (!filter) return 0;
+  const owner = ride.riderChatId != null ? { riderChatId: ride.riderChatId } : { riderWaJid: ride.riderWaJid };
+  const owed = await Ride.find({ ...owner, _id: { $ne: ride._id }, 'cancellationFee.status': 'carried_over' })
+    .select('_id')
+    .lean();
+  if (!owed.length) return 0;
+
+  // claim the fees first, so a racing finish can't collect the same ones
+  await Ride.updateMany(
+    { _id: { $in: owed.map((r) => r._id) }, 'cancellationFee.status': 'carried_over' },
+    { $set: { 'cancellationFee.status': 'charged', 'cancellationFee.chargedAt': new Date(), 'cancellationFee.settledOnRide': ride._id } }
+  );
+  const settled = await Ride.find({ _id: { $in: owed.map((r) => r._id) }, 'cancellationFee.settledOnRide': ride._id })
+    .select('cancellationFee.amount driverId')
+    .lean();
+  const amount = round2(settled.reduce((sum, r) => sum + Number(r.cancellationFee?.amount || 0), 0));
+  if (amount > 0) {
+    await Rider.updateOne(filter, { $inc: { balanceDue: -amount }, $set: { balanceDueUpdatedAt: new Date() } });
+  }
+
+  // those rides' drivers now have their share in their earnings
+  const driverIds = new Set(settled.filter((r) => r.driverId).map((r) => String(r.driverId)));
+  for (const id of driverIds) Driver.computeAndUpdateStats(id).catch(() => {});
+  return amount;
+}
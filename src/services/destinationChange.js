@@ -0,0 +1,166 @@
+// src/services/destinationChange.js
+// Rider changes the drop-off after booking (Telegram, WhatsApp, tracking page).
+// Two steps: propose (geocoded place → re-quote, kept on the ride for a few
+// minutes) and confirm (the ride moves to the new drop-off at the quoted price).
+// Every confirmed change is kept in ride.destinationChanges. Callers emit
+// riderEvents 'booking:destination_changed' so server.js can tell the driver
+// and move the drop on the trip map.
+import Ride from '../models/Ride.js';
+import Driver from '../models/Driver.js';
+import { estimatePrice } from './pricing.js';
+import { haversineKm } from './geo.js';
+import { ACTIVE_RIDE_STATUSES, recordRideActivity } from './rideLifecycle.js';
+
+export const DESTINATION_CHANGE_STATUSES = ['pending', ...ACTIVE_RIDE_STATUSES];
+const PROPOSAL_TTL_MIN = Number(process.env.DESTINATION_CHANGE_TTL_MIN || 5);
+const MIN_MOVE_KM = 0.05; // closer than this is the same drop-off
+
+const GOOGLE_MAPS_API_KEY = (process.env.GOOGLE_MAPS_API_KEY || '').trim();
+const GMAPS_COMPONENTS = process.env.GOOGLE_MAPS_COMPONENTS || 'country:za';
+
+function ownedBy(ride, { riderChatId = null, riderWaJid = null }) {
+  if (riderChatId != null) return Number(ride.riderChatId) === Number(riderChatId);
+  if (riderWaJid) return ride.riderWaJid === riderWaJid;
+  return true; // API callers that already hold the ride link
+}
+
+const place = (p) => (p ? { lat: p.lat, lng: p.lng, address: p.address || undefined } : undefined);
+
+/** Typed address → { lat, lng, address } (Google when configured, else Nominatim), or null */
+export async function geocodeAddress(text) {
+  const q = String(text || '').trim();
+  if (q.length < 3) return null;
+  try {
+    if (GOOGLE_MAPS_API_KEY) {
+      const u = new URL('https://maps.googleapis.com/maps/api/geocode/json');
+      u.searchParams.set('address', q);
+      u.searchParams.set('components', GMAPS_COMPONENTS);
+      u.searchParams.set('key', GOOGLE_MAPS_API_KEY);
+      const j = await (await fetch(u)).json();
+      const hit = j.results?.[0];
+      if (!hit?.geometry?.location) return null;
+      return { lat: hit.geometry.location.lat, lng: hit.geometry.location.lng, address: hit.formatted_address || q };
+    }
+    const u = new URL('https://nominatim.openstreetmap.org/search');
+    u.searchParams.set('format', 'jsonv2');
+    u.searchParams.set('limit', '1');
+    u.searchParams.set('countrycodes', 'za');
+    u.searchParams.set('q', q);
+    const r = await fetch(u, { headers: { 'User-Agent': 'VayaRide/1.0', 'Accept': 'application/json' } });
+    const hit = (await r.json())?.[0];
+    if (!hit) return null;
+    return { lat: Number(hit.lat), lng: Number(hit.lon), address: hit.display_name || q };
+  } catch (e) {
+    console.warn('geocodeAddress failed:', e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * Re-quote the ride to a new drop-off and keep it for the rider to confirm.
+ * → { ok: true, proposal }
+ *   { ok: false, error: 'not_found' | 'not_yours' | 'not_changeable' | 'bad_destination' | 'same_destination', status? }
+ */
+export async function proposeDestinationChange(rideId, destination, { riderChatId = null, riderWaJid = null, channel = 'web' } = {}) {
+  const lat = Number(destination?.lat), lng = Number(destination?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return { ok: false, error: 'bad_destination' };
+
+  const ride = await Ride.findById(rideId).lean();
+  if (!ride) return { ok: false, error: 'not_found' };
+  if (!ownedBy(ride, { riderChatId, riderWaJid })) return { ok: false, error: 'not_yours' };
+  if (!DESTINATION_CHANGE_STATUSES.includes(ride.status)) return { ok: false, error: 'not_changeable', status: ride.status };
+  if (ride.destination && haversineKm(ride.destination, { lat, lng }) < MIN_MOVE_KM) return { ok: false, error: 'same_destination' };
+
+  // re-price on the rates and surge the ride was booked with, as finish.js bills it
+  const quote = ride.quote || null;
+  const quotedForDriver = !!(quote?.rate?.perKm && ride.driverId &&
+    (quote.driverIds || []).some((id) => String(id) === String(ride.driverId)));
+  const drv = ride.driverId && !quotedForDriver ? await Driver.findById(ride.driverId).select('pricing').lean() : null;
+
+  const to = { lat, lng, address: destination.address || `${lat.toFixed(5)}, ${lng.toFixed(5)}` };
+  const est = await estimatePrice({
+    pickup: ride.pickup,
+    destination: to,
+    stops: ride.stops || [],
+    vehicleType: ride.vehicleType || 'normal',
+    region: quote?.region ?? null,
+    discountPct: Number(ride.promoDiscountPct || 0),
+    lockedRate: quotedForDriver || !ride.driverId ? quote?.rate ?? null : null,
+    driverPricing: drv?.pricing || null,
+    lockedSurge: quote?.surge ?? null
+  });
+
+  const proposal = {
+    ...to,
+    price: est.price,
+    previousPrice: ride.quote?.price ?? ride.estimate ?? null,
+    km: Number(est.km.toFixed(2)),
+    breakdown: est.breakdown,
+    channel,
+    expiresAt: new Date(Date.now() + PROPOSAL_TTL_MIN * 60000)
+  };
+  await Ride.updateOne({ _id: ride._id }, { $set: { destinationProposal: proposal } });
+  return { ok: true, proposal };
+}
+
+/**
+ * Move the ride to the proposed drop-off.
+ * → { ok: true, ride, change }
+ *   { ok: false, error: 'not_found' | 'not_yours' | 'not_changeable' | 'no_proposal' | 'expired', status? }
+ */
+export async function confirmDestinationChange(rideId, { riderChatId = null, riderWaJid = null, now = new Date() } = {}) {
+  const ride = await Ride.findById(rideId).lean();
+  if (!ride) return { ok: false, error: 'not_found' };
+  if (!ownedBy(ride, { riderChatId, riderWaJid })) return { ok: false, error: 'not_yours' };
+  if (!DESTINATION_CHANGE_STATUSES.includes(ride.status)) return { ok: false, error: 'not_changeable', status: ride.status };
+
+  const p = ride.destinationProposal;
+  if (!p) return { ok: false, error: 'no_proposal' };
+  if (new Date(p.expiresAt).getTime() < now.getTime()) {
+    await Ride.updateOne({ _id: ride._id }, { $unset: { destinationProposal: 1 } });
+    return { ok: false, error: 'expired' };
+  }
+
+  const to = place(p);
+  const change = {
+    from: place(ride.destination),
+    to,
+    at: now,
+    status: ride.status,
+    channel: p.channel,
+    previousPrice: p.previousPrice,
+    price: p.price,
+    km: p.km
+  };
+
+  // the confirmed re-quote is what the rider now pays (upfront rides keep their guarantee)
+  const set = { destination: to, estimate: p.price };
+  if (ride.quote) {
+    Object.assign(set, {
+      'quote.destination': { lat: to.lat, lng: to.lng },
+      'quote.price': p.price,
+      'quote.km': p.km,
+      'quote.breakdown': p.breakdown
+    });
+  }
+
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: { $in: DESTINATION_CHANGE_STATUSES }, 'destinationProposal.expiresAt': p.expiresAt },
+    { $set: set, $unset: { destinationProposal: 1 }, $push: { destinationChanges: change } },
+    { new: true }
+  );
+  if (!updated) {
+    const fresh = await Ride.findById(ride._id).select('status').lean();
+    return { ok: false, error: 'not_changeable', status: fresh?.status ?? null };
+  }
+
+  await recordRideActivity(updated._id, {
+    type: 'destination',
+    actorType: 'rider',
+    actorId: ride.riderChatId != null ? ride.riderChatId : ride.riderWaJid || null,
+    message: `Rider changed the destination to ${to.address || `${to.lat}, ${to.lng}`} (R${p.previousPrice ?? '—'} → R${p.price})`,
+    meta: change
+  });
+
+  return { ok: true, ride: updated, change };
+}
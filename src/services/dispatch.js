@@ -0,0 +1,350 @@
+// src/services/dispatch.js
+import Ride from '../models/Ride.js';
+import Driver, { NEUTRAL_RELIABILITY_SCORE } from '../models/Driver.js';
+import DispatchOffer from '../models/DispatchOffer.js';
+import { findNearbyDrivers } from './assignment.js';
+
+const WITHDRAW_TEXT = {
+  taken: '⚠️ This ride was taken by another driver.',
+  cancelled: '❌ The rider cancelled this request.',
+  expired: '⌛ This ride request has expired.',
+  ignored: '🙈 You ignored this request.'
+};
+
+/**
+ * Parse DISPATCH_WAVES, e.g. "2:3,4:6,8:12" → radius (km) : max drivers per wave.
+ * Falls back to the default ladder on anything malformed.
+ */
+function parseWaves(raw) {
+  const fallback = [
+    { radiusKm: 2, maxDrivers: 3 },
+    { radiusKm: 4, maxDrivers: 6 },
+    { radiusKm: 8, maxDrivers: 12 },
+    { radiusKm: 15, maxDrivers: 25 }
+  ];
+  if (!raw) return fallback;
+
+  const waves = String(raw)
+    .split(',')
+    .map((part) => {
+      const [r, n] = part.split(':').map(Number);
+      return { radiusKm: r, maxDrivers: n };
+    })
+    .filter((w) => w.radiusKm > 0 && w.maxDrivers > 0);
+
+  return waves.length ? waves : fallback;
+}
+
+// How far (as a share of the wave radius) outweighs reliability when ranking a wave
+const DISTANCE_WEIGHT = Number(process.env.DISPATCH_DISTANCE_WEIGHT || 0.3);
+// Look at this many times a wave's size so reliable drivers slightly further out can make the cut
+const RANK_POOL_FACTOR = 3;
+
+// Outcomes that say something about the driver (feed stats.reliability)
+const RELIABILITY_OUTCOMES = new Set(['accepted', 'ignored', 'expired']);
+
+/** Most reliable first, nudged by distance within the wave radius */
+function rankCandidates(candidates, radiusKm) {
+  const rank = (d) => {
+    const score = d?.stats?.reliability?.score ?? NEUTRAL_RELIABILITY_SCORE;
+    return score - DISTANCE_WEIGHT * (Number(d.distance || 0) / radiusKm);
+  };
+  return [...candidates].sort((a, b) => rank(b) - rank(a));
+}
+
+/**
+ * Tiered proximity dispatch.
+ * Offers a pending ride in expanding waves (small radius / few drivers first),
+ * waits `waveTimeoutSec` for an accept, then widens. Accepting itself stays
+ * atomic in the bots (first accept wins); this only decides who gets offered.
+ *
+ * Every offer is persisted as a DispatchOffer so stale Accept buttons can be
+ * withdrawn once the ride is accepted, cancelled or the offer expires.
+ * Within a wave, drivers are ranked by their reliability score (Driver.stats.reliability),
+ * which is refreshed here whenever one of their offers is accepted, ignored or expires.
+ *
+ * Deps are injected so the engine doesn't care how offers are delivered:
+ *  - offerTelegram({ driver, ride })    → driver has a numeric chatId; returns the sent message
+ *  - offerWhatsApp({ driver, ride })    → driver only has a phone; returns { messageId }
+ *  - withdrawTelegram({ offer, text })  → edit/delete the Telegram offer
+ *  - withdrawWhatsApp({ offer, text })  → "no longer available" note on WhatsApp
+ *  - logActivity({...})                 → admin feed / audit trail
+ */
+export function createDispatcher({
+  logActivity,
+  offerTelegram,
+  offerWhatsApp,
+  withdrawTelegram,
+  withdrawWhatsApp,
+  waves = parseWaves(process.env.DISPATCH_WAVES),
+  waveTimeoutSec = Number(process.env.DISPATCH_WAVE_TIMEOUT_SEC || 30),
+  // by default an offer stays live until the last wave has run out
+  offerTtlSec = Number(process.env.DISPATCH_OFFER_TTL_SEC || 0) || waveTimeoutSec * waves.length
+}) {
+  const active = new Map(); // rideId -> { wave, offered:Set, declined:Set, waveOffered:Set, timer }
+
+  function clearState(rideId) {
+    const st = active.get(rideId);
+    if (st?.timer) clearTimeout(st.timer);
+    active.delete(rideId);
+    return st;
+  }
+
+  async function sendOffer(driver, ride, wave) {
+    let channel = null, chatId, phone, messageId = null;
+
+    if (Number.isFinite(Number(driver.chatId)) && driver.chatId != null) {
+      channel = 'telegram';
+      chatId = Number(driver.chatId);
+      const msg = await offerTelegram({ driver, ride });
+      messageId = msg?.message_id != null ? String(msg.message_id) : null;
+    } else if (driver.phone) {
+      channel = 'whatsapp';
+      phone = driver.phone;
+      const sent = await offerWhatsApp({ driver, ride });
+      messageId = sent?.messageId || null;
+    }
+    if (!channel) return null;
+
+    const sentAt = new Date();
+    try {
+      await DispatchOffer.create({
+        ride: ride._id,
+        driver: driver._id,
+        channel,
+        chatId,
+        phone,
+        messageId,
+        wave,
+        sentAt,
+        expiresAt: new Date(sentAt.getTime() + offerTtlSec * 1000)
+      });
+    } catch (e) {
+      console.warn('[dispatch] could not record offer:', e?.message || e);
+    }
+    return channel;
+  }
+
+  function refreshReliability(driverIds) {
+    for (const id of new Set(driverIds.map(String))) {
+      Driver.computeAndUpdateReliability(id).catch((e) =>
+        console.warn('[dispatch] reliability refresh failed for driver', id, e?.message || e)
+      );
+    }
+  }
+
+  async function withdrawOne(offer, outcome) {
+    // flip pending → outcome first so each offer is only withdrawn once
+    const res = await DispatchOffer.updateOne(
+      { _id: offer._id, outcome: 'pending' },
+      { $set: { outcome, resolvedAt: new Date() } }
+    );
+    if (!res.modifiedCount) return false;
+
+    const text = WITHDRAW_TEXT[outcome];
+    try {
+      if (offer.channel === 'telegram') await withdrawTelegram?.({ offer, text });
+      else if (offer.channel === 'whatsapp') await withdrawWhatsApp?.({ offer, text });
+      await DispatchOffer.updateOne({ _id: offer._id }, { $set: { withdrawnAt: new Date() } });
+    } catch (e) {
+      console.warn('[dispatch] withdraw failed for offer', String(offer._id), e?.message || e);
+    }
+    return true;
+  }
+
+  /**
+   * Close every open offer for a ride.
+   * The accepting driver's offer becomes `accepted`, everyone else gets `outcome`.
+   */
+  async function withdrawOffers(rideId, { outcome, acceptedDriverId = null, onlyDriverIds = null, dueOnly = false } = {}) {
+    const q = { ride: rideId, outcome: 'pending' };
+    if (onlyDriverIds) q.driver = { $in: onlyDriverIds };
+    if (dueOnly) q.expiresAt = { $lte: new Date() };
+
+    let offers = [];
+    try { offers = await DispatchOffer.find(q).lean(); } catch {}
+
+    let withdrawn = 0;
+    const touched = [];
+    for (const o of offers) {
+      if (acceptedDriverId && String(o.driver) === String(acceptedDriverId)) {
+        try {
+          await DispatchOffer.updateOne(
+            { _id: o._id, outcome: 'pending' },
+            { $set: { outcome: 'accepted', resolvedAt: new Date() } }
+          );
+          touched.push(o.driver);
+        } catch {}
+        continue;
+      }
+      if (await withdrawOne(o, outcome)) {
+        withdrawn += 1;
+        if (RELIABILITY_OUTCOMES.has(outcome)) touched.push(o.driver);
+      }
+    }
+    refreshReliability(touched);
+    return withdrawn;
+  }
+
+  async function runWave(rideId) {
+    const st = active.get(rideId);
+    if (!st) return;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride || ride.status !== 'pending' || ride.driverId) {
+      clearState(rideId);
+      return;
+    }
+
+    if (st.wave >= waves.length) {
+      clearState(rideId);
+      const expired = await withdrawOffers(ride._id, { outcome: 'expired' });
+      try {
+        await logActivity({
+          rideId: ride._id,
+          type: 'dispatch_timeout',
+          actorType: 'system',
+          message: `No driver accepted after ${waves.length} wave(s)`,
+          meta: { final: true, offered: st.offered.size, declined: st.declined.size, expiredOffers: expired }
+        });
+      } catch {}
+      console.log(`[dispatch] ride ${rideId} exhausted all waves`);
+      return;
+    }
+
+    const { radiusKm, maxDrivers } = waves[st.wave];
+    const exclude = [...st.offered, ...st.declined];
+
+    let candidates = [];
+    try {
+      // only drivers with the right vehicle and trip-limit headroom for this payment method
+      const nearby = await findNearbyDrivers(ride.pickup, {
+        exclude,
+        radiusKm,
+        limit: maxDrivers * RANK_POOL_FACTOR,
+        linkedOnly: false,
+        match: Driver.rideEligibilityQuery(ride)
+      });
+      candidates = rankCandidates(nearby, radiusKm).slice(0, maxDrivers);
+    } catch (e) {
+      console.warn('[dispatch] driver lookup failed:', e?.message || e);
+    }
+
+    const sent = [];
+    for (const d of candidates) {
+      try {
+        const channel = await sendOffer(d, ride, st.wave + 1);
+        if (!channel) continue;
+        st.offered.add(String(d._id));
+        sent.push({
+          driverId: String(d._id),
+          channel,
+          distanceKm: Number(d.distance.toFixed(2)),
+          reliability: d?.stats?.reliability?.score ?? null
+        });
+      } catch (e) {
+        console.warn('[dispatch] offer failed for driver', String(d._id), e?.message || e);
+      }
+    }
+    st.waveOffered = new Set(sent.map((s) => s.driverId));
+
+    try {
+      await logActivity({
+        rideId: ride._id,
+        type: 'dispatch_wave',
+        actorType: 'system',
+        message: `Wave ${st.wave + 1}/${waves.length}: offered to ${sent.length} driver(s) within ${radiusKm} km`,
+        meta: { wave: st.wave + 1, radiusKm, maxDrivers, timeoutSec: waveTimeoutSec, drivers: sent }
+      });
+    } catch {}
+    console.log(`[dispatch] ride ${rideId} wave ${st.wave + 1}: ${sent.length} offer(s) within ${radiusKm} km`);
+
+    // Nobody new in range → widen straight away instead of waiting out the timer
+    if (!sent.length) {
+      st.wave += 1;
+      return runWave(rideId);
+    }
+
+    st.timer = setTimeout(() => onWaveTimeout(rideId).catch(() => {}), waveTimeoutSec * 1000);
+  }
+
+  async function onWaveTimeout(rideId) {
+    const st = active.get(rideId);
+    if (!st) return;
+    st.timer = null;
+
+    const expired = await withdrawOffers(rideId, { outcome: 'expired', dueOnly: true });
+    try {
+      await logActivity({
+        rideId,
+        type: 'dispatch_timeout',
+        actorType: 'system',
+        message: `Wave ${st.wave + 1} timed out after ${waveTimeoutSec}s`,
+        meta: { wave: st.wave + 1, radiusKm: waves[st.wave]?.radiusKm, pending: [...st.waveOffered], expiredOffers: expired }
+      });
+    } catch {}
+
+    st.wave += 1;
+    await runWave(rideId);
+  }
+
+  /**
+   * Start (or nudge) dispatch for a ride.
+   * If waves are already running, `excludeDriverIds` are treated as declines;
+   * once everyone in the current wave has declined we widen early.
+   */
+  async function dispatch({ rideId, excludeDriverIds = [] }) {
+    const id = String(rideId);
+    const excluded = (excludeDriverIds || []).map(String);
+
+    // Declines close that driver's own offer message
+    if (excluded.length) await withdrawOffers(id, { outcome: 'ignored', onlyDriverIds: excluded });
+
+    const st = active.get(id);
+    if (st) {
+      excluded.forEach((x) => st.declined.add(x));
+      const allDeclined = st.waveOffered.size > 0 && [...st.waveOffered].every((x) => st.declined.has(x));
+      if (allDeclined) {
+        if (st.timer) clearTimeout(st.timer);
+        st.timer = null;
+        st.wave += 1;
+        await runWave(id);
+      }
+      return;
+    }
+
+    active.set(id, {
+      wave: 0,
+      offered: new Set(),
+      declined: new Set(excluded),
+      waveOffered: new Set(),
+      timer: null
+    });
+    await runWave(id);
+  }
+
+  /**
+   * Stop waves for a ride and withdraw its open offers.
+   *  - accepted: pass `acceptedDriverId`; other drivers see "taken"
+   *  - cancelled / expired: everyone's offer is withdrawn
+   * Returns how many offers were withdrawn.
+   */
+  async function stop(rideId, { outcome = 'cancelled', acceptedDriverId = null } = {}) {
+    clearState(String(rideId));
+    return withdrawOffers(String(rideId), {
+      outcome: acceptedDriverId ? 'taken' : outcome,
+      acceptedDriverId
+    });
+  }
+
+  function isActive(rideId) {
+    return active.has(String(rideId));
+  }
+
+  function stopAll() {
+    for (const id of [...active.keys()]) clearState(id);
+  }
+
+  console.log(`📡 Tiered dispatch ready (${waves.map((w) => `${w.radiusKm}km×${w.maxDrivers}`).join(' → ')}, ${waveTimeoutSec}s per wave)`);
+  return { dispatch, stop, isActive, stopAll };
+}
@@ -0,0 +1,111 @@
+// src/services/eta.js
+// Live ETA for an active ride, fed by the driver's GPS (server.js, driverEvents
+// 'driver:location'). Before pickup it is driver → pickup; with the rider on
+// board, driver → next stop → destination. Time comes from the routing
+// provider (routing.js); when that is only a straight-line guess (haversine),
+// the driver's own speed over the recent ride.path points is used instead.
+// server.js emits the result as `ride:<id>:eta` and, once per ride, tells the
+// rider the driver is about ETA_NEAR_SEC away (ride.nearPickupNotified, the
+// same one-shot flag pattern as arrivedNotified).
+import Ride from '../models/Ride.js';
+import { getRoute } from './routing.js';
+import { haversineKm } from './geo.js';
+import { currentStopIndex } from './tripStops.js';
+
+export const ETA_NEAR_SEC = Number(process.env.ETA_NEAR_SEC || 120);        // "2 minutes away"
+const ETA_MIN_INTERVAL_SEC = Number(process.env.ETA_MIN_INTERVAL_SEC || 15); // per ride, spares the routing API
+const PATH_SPEED_WINDOW_SEC = 180;  // recent path points that count towards the speed
+const PATH_MIN_SPEED_KMH = 8;       // slower than this is standing in traffic: don't trust it
+const PATH_MAX_SPEED_KMH = 110;
+const ROAD_DETOUR = 1.3;            // straight line → road distance
+
+const lastByRide = new Map(); // rideId -> { at } (last computation)
+
+/** Where the driver is heading: { kind: 'pickup' | 'stop' | 'destination', point, index? } or null */
+export function etaTarget(ride) {
+  if (['accepted', 'enroute'].includes(ride?.status)) return ride.pickup ? { kind: 'pickup', point: ride.pickup } : null;
+  if (ride?.status !== 'in_progress') return null;
+  const i = currentStopIndex(ride);
+  if (i >= 0 && !ride.stops[i].arrivedAt) return { kind: 'stop', index: i, point: ride.stops[i] };
+  return ride.destination ? { kind: 'destination', point: ride.destination } : null;
+}
+
+/** Average speed (km/h) over the recent breadcrumb, or null when there's too little to go on */
+export function speedFromPath(path, now = new Date()) {
+  const since = now.getTime() - PATH_SPEED_WINDOW_SEC * 1000;
+  const pts = (path || []).filter((p) => p?.ts && new Date(p.ts).getTime() >= since);
+  if (pts.length < 3) return null;
+
+  let km = 0;
+  for (let i = 1; i < pts.length; i++) km += haversineKm(pts[i - 1], pts[i]);
+  const hours = (new Date(pts[pts.length - 1].ts).getTime() - new Date(pts[0].ts).getTime()) / 3600000;
+  if (hours <= 0) return null;
+
+  const kmh = km / hours;
+  return kmh >= PATH_MIN_SPEED_KMH ? Math.min(PATH_MAX_SPEED_KMH, kmh) : null;
+}
+
+/**
+ * ETA from the driver's position to the ride's current target.
+ * → { kind, index, etaSec, km, arriveAt, source } | null (nothing to drive to)
+ */
+export async function computeRideEta(ride, driverLoc, { now = new Date() } = {}) {
+  const target = etaTarget(ride);
+  if (!target || !driverLoc) return null;
+
+  const route = await getRoute(driverLoc, target.point);
+  let etaSec = route.durationSec;
+  let km = route.km;
+  let source = route.provider;
+
+  if (route.provider === 'haversine') {
+    const path = ride.path || (await Ride.findById(ride._id).select({ path: { $slice: -30 } }).lean())?.path;
+    const kmh = speedFromPath(path?.slice(-30), now);
+    if (kmh) {
+      km = route.km * ROAD_DETOUR;
+      etaSec = (km / kmh) * 3600;
+      source = 'path';
+    }
+  }
+
+  etaSec = Math.max(0, Math.round(etaSec));
+  return {
+    kind: target.kind,
+    index: target.index ?? null,
+    etaSec,
+    km: Number(km.toFixed(2)),
+    arriveAt: new Date(now.getTime() + etaSec * 1000),
+    source
+  };
+}
+
+/**
+ * Throttled computeRideEta for the live feed (null while throttled).
+ * `nearPickup` is true exactly once per ride: the first time the driver is
+ * within ETA_NEAR_SEC of the pickup.
+ */
+export async function updateRideEta(ride, driverLoc, { now = new Date() } = {}) {
+  const key = String(ride._id);
+  const prev = lastByRide.get(key);
+  if (prev && now.getTime() - prev.at < ETA_MIN_INTERVAL_SEC * 1000) return null;
+  lastByRide.set(key, { at: now.getTime() });
+  if (lastByRide.size > 1000) {
+    for (const [k, v] of lastByRide) if (now.getTime() - v.at > 10 * 60 * 1000) lastByRide.delete(k);
+  }
+
+  const eta = await computeRideEta(ride, driverLoc, { now });
+  if (!eta) {
+    lastByRide.delete(key);
+    return null;
+  }
+
+  let nearPickup = false;
+  if (eta.kind === 'pickup' && eta.etaSec <= ETA_NEAR_SEC && !ride.nearPickupNotified) {
+    const r = await Ride.updateOne(
+      { _id: ride._id, status: { $in: ['accepted', 'enroute'] }, nearPickupNotified: { $ne: true } },
+      { $set: { nearPickupNotified: true } }
+    );
+    nearPickup = r.modifiedCount > 0;
+  }
+  return { ...eta, nearPickup };
+}
@@ -0,0 +1,108 @@
+// src/services/geo.js
+// GeoJSON helpers for Driver.location (2dsphere). Mongo stores [lng, lat].
+
+const EARTH_RADIUS_KM = 6378.1;
+
+/** {lat,lng} numbers → GeoJSON Point, or null when invalid */
+export function toGeoPoint(lat, lng) {
+  const la = Number(lat), ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+  if (Math.abs(la) > 90 || Math.abs(ln) > 180) return null;
+  return { type: 'Point', coordinates: [ln, la] };
+}
+
+/** GeoJSON Point (or legacy {lat,lng}) → {lat,lng}, or null */
+export function fromGeoPoint(loc) {
+  if (!loc) return null;
+  if (Array.isArray(loc.coordinates) && loc.coordinates.length >= 2) {
+    const [lng, lat] = loc.coordinates;
+    if (typeof lat === 'number' && typeof lng === 'number') return { lat, lng };
+  }
+  if (typeof loc.lat === 'number' && typeof loc.lng === 'number') return { lat: loc.lat, lng: loc.lng };
+  return null;
+}
+
+/** Great-circle distance in km between two {lat,lng} */
+export function haversineKm(a, b) {
+  const toRad = (x) => (x * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const s = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(Math.max(0, s)));
+}
+
+/**
+ * $geoNear stage around a {lat,lng} center.
+ * Distance lands in `distanceField` (meters). Must be the first pipeline stage.
+ */
+export function geoNearStage(center, { maxKm = null, query = {}, distanceField = 'distanceM' } = {}) {
+  const stage = {
+    near: { type: 'Point', coordinates: [Number(center.lng), Number(center.lat)] },
+    key: 'location',
+    distanceField,
+    spherical: true,
+    query
+  };
+  if (maxKm != null) stage.maxDistance = Number(maxKm) * 1000;
+  return { $geoNear: stage };
+}
+
+/* ---------- Geohash (surge zones) ---------- */
+const GH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/** {lat,lng} → geohash string of `precision` chars, or null when invalid */
+export function geohashEncode(lat, lng, precision = 5) {
+  const la = Number(lat), ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln) || Math.abs(la) > 90 || Math.abs(ln) > 180) return null;
+  let latR = [-90, 90], lngR = [-180, 180];
+  let hash = '', bit = 0, ch = 0, even = true;
+  while (hash.length < precision) {
+    const r = even ? lngR : latR;
+    const v = even ? ln : la;
+    const mid = (r[0] + r[1]) / 2;
+    if (v >= mid) { ch = (ch << 1) | 1; r[0] = mid; } else { ch <<= 1; r[1] = mid; }
+    even = !even;
+    if (++bit === 5) { hash += GH_BASE32[ch]; bit = 0; ch = 0; }
+  }
+  return hash;
+}
+
+/** geohash → { south, west, north, east, lat, lng } (lat/lng = cell centre), or null */
+export function geohashBounds(hash) {
+  const h = String(hash || '').toLowerCase();
+  if (!h) return null;
+  let latR = [-90, 90], lngR = [-180, 180], even = true;
+  for (const c of h) {
+    const idx = GH_BASE32.indexOf(c);
+    if (idx < 0) return null;
+    for (let b = 4; b >= 0; b--) {
+      const r = even ? lngR : latR;
+      const mid = (r[0] + r[1]) / 2;
+      if ((idx >> b) & 1) r[0] = mid; else r[1] = mid;
+      even = !even;
+    }
+  }
+  return {
+    south: latR[0], north: latR[1], west: lngR[0], east: lngR[1],
+    lat: (latR[0] + latR[1]) / 2, lng: (lngR[0] + lngR[1]) / 2
+  };
+}
+
+/** The cell plus its 8 surrounding cells (same precision) */
+export function geohashNeighbourhood(hash) {
+  const b = geohashBounds(hash);
+  if (!b) return [];
+  const dLat = b.north - b.south, dLng = b.east - b.west;
+  const out = new Set();
+  for (const i of [-1, 0, 1]) {
+    for (const j of [-1, 0, 1]) {
+      const lat = Math.max(-89.999999, Math.min(89.999999, b.lat + i * dLat));
+      let lng = b.lng + j * dLng;
+      if (lng > 180) lng -= 360;
+      if (lng < -180) lng += 360;
+      const n = geohashEncode(lat, lng, hash.length);
+      if (n) out.add(n);
+    }
+  }
+  return [...out];
+}
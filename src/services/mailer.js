@@ -338,7 +338,13 @@ Open Rider Admin: ${adminRidersUrl}`
 /** Rider payment receipt */
 export async function sendPaymentReceiptEmail(riderEmail, paymentDetails) {
   if (!riderEmail) return;
-  const { amount = 0, paymentMethod = "—", paidAt } = paymentDetails || {};
+  const { amount = 0, quotedAmount = null, adjustmentNote = null, items = [], paymentMethod = "—", paidAt } = paymentDetails || {};
+  const lines = Array.isArray(items) ? items : []; // [{ label, amount }] from fareLineItems()
+  const rand = (n) => `${Number(n) < 0 ? "−" : ""}R${Math.abs(Number(n)).toFixed(2)}`;
+  const delta = quotedAmount != null ? Math.round(Number(amount) - Number(quotedAmount)) : 0;
+  const deltaText = delta
+    ? `R${Number(quotedAmount).toFixed(2)} (final ${delta > 0 ? "+" : "−"}R${Math.abs(delta).toFixed(2)})`
+    : "";
 
   const html = wrapEmail({
     title: "Payment Receipt",
@@ -351,20 +357,29 @@ export async function sendPaymentReceiptEmail(riderEmail, paymentDetails) {
         <h2>Payment Details</h2>
         <ul>
           <li><strong>Amount Paid:</strong> R${Number(amount).toFixed(2)}</li>
+          ${deltaText ? `<li><strong>Quoted:</strong> ${deltaText}</li>` : ""}
+          ${adjustmentNote ? `<li><strong>Why it changed:</strong> ${adjustmentNote}</li>` : ""}
           <li><strong>Payment Method:</strong> ${paymentMethod}</li>
           <li><strong>Paid On:</strong> ${new Date(paidAt || Date.now()).toLocaleString()}</li>
           <li><strong>Status:</strong> Completed</li>
         </ul>
       </div>
+      ${lines.length ? `
+      <div class="blk">
+        <h2>Fare Breakdown</h2>
+        <ul>
+          ${lines.map((li) => `<li>${li.label}: ${rand(li.amount)}</li>`).join("")}
+        </ul>
+      </div>` : ""}
     `,
   });
 
   const text = stripHtml(
     `Payment Receipt — VayaRide
 Amount Paid: R${Number(amount).toFixed(2)}
-Payment Method: ${paymentMethod}
+${deltaText ? `Quoted: ${deltaText}\n` : ""}${adjustmentNote ? `Why it changed: ${adjustmentNote}\n` : ""}Payment Method: ${paymentMethod}
 Paid On: ${new Date(paidAt || Date.now()).toLocaleString()}
-Status: Completed`
+Status: Completed${lines.length ? `\n\nFare Breakdown\n${lines.map((li) => `${li.label}: ${rand(li.amount)}`).join("\n")}` : ""}`
   );
 
   await transporter.sendMail({
@@ -414,6 +429,51 @@ Status: Failed/Cancelled`
   });
 }
 
+/** Share-my-trip: live trip link for a rider's trusted contact */
+export async function sendTripShareEmail(toEmail, details = {}) {
+  if (!toEmail) return;
+  const { contactName = "", riderName = "A VayaRide rider", driverName, plate, car, to, url } = details;
+
+  const html = wrapEmail({
+    title: "Follow my trip",
+    preheader: `${riderName} is sharing a trip with you.`,
+    heading: "Follow my trip",
+    subheading: `<strong>${riderName}</strong> is sharing a VayaRide trip with you${contactName ? `, ${contactName}` : ""}.`,
+    bodyHtml: `
+      <div class="blk">
+        <h2>Trip</h2>
+        <ul>
+          ${driverName ? `<li><strong>Driver:</strong> ${driverName}</li>` : ""}
+          ${car ? `<li><strong>Vehicle:</strong> ${car}</li>` : ""}
+          ${plate ? `<li><strong>Plate:</strong> ${plate}</li>` : ""}
+          ${to ? `<li><strong>Going to:</strong> ${to}</li>` : ""}
+        </ul>
+      </div>
+      <p>Open the live map to see where the car is and when it will arrive.</p>
+    `,
+    ctaText: "Follow the trip live",
+    ctaHref: url,
+    footerNote: "The link stops working when the trip ends.",
+  });
+
+  const text = stripHtml(
+    `Follow my trip — VayaRide
+${riderName} is sharing a trip with you.
+${driverName ? `Driver: ${driverName}\n` : ""}${car ? `Vehicle: ${car}\n` : ""}${plate ? `Plate: ${plate}\n` : ""}${to ? `Going to: ${to}\n` : ""}
+Follow the trip live: ${url}
+The link stops working when the trip ends.`
+  );
+
+  await transporter.sendMail({
+    from: fromHeader(),
+    to: toEmail,
+    subject: `${riderName} is sharing a VayaRide trip with you`,
+    html,
+    text,
+  });
+  console.log(`📧 Trip share email sent to ${maskEmail(toEmail)}`);
+}
+
 /** Admin → Drivers: bulk/targeted announcement */
 export async function sendAdminEmailToDrivers(recipients, subjectOrOptions, htmlMaybe) {
   const list = Array.isArray(recipients) ? recipients.filter(Boolean) : [recipients].filter(Boolean);
@@ -2,6 +2,7 @@
 import Ride from '../models/Ride.js';
 import Driver from '../models/Driver.js';
 import { notifyDriverNewRequest } from '../bots/driverBot.js';
+import { transitionRide } from './rideLifecycle.js';
 
 /**
  * Assign a scheduled ride to a specific driver (admin action).
@@ -18,21 +19,24 @@ export async function dispatchScheduledToDriver({ rideId, driverId }) {
   if (!driver) throw new Error('Driver not found');
 
   // set assignment and flip to 'pending' so driver can accept from the driver bot
-  ride.driverId = driver._id;
-  ride.scheduledDispatched = true;
-  ride.status = 'pending';
-  if (!ride.vehicleType && driver.vehicleType) ride.vehicleType = driver.vehicleType;
-  await ride.save();
+  const set = { driverId: driver._id, scheduledDispatched: true };
+  if (!ride.vehicleType && driver.vehicleType) set.vehicleType = driver.vehicleType;
+  const out = await transitionRide(ride._id, 'pending', {
+    from: 'scheduled',
+    set,
+    activity: { type: 'assigned', message: `Admin dispatched the scheduled ride to ${driver.name || driver._id}`, meta: { driverId: String(driver._id) } }
+  });
+  if (!out.ok) throw new Error('Ride is not scheduled');
 
   try {
     if (driver.chatId) {
-      await notifyDriverNewRequest({ chatId: Number(driver.chatId), ride });
+      await notifyDriverNewRequest({ chatId: Number(driver.chatId), ride: out.ride });
     }
   } catch (e) {
     console.warn('notifyDriverNewRequest failed (dispatchScheduledToDriver):', e?.message || e);
   }
 
-  return ride;
+  return out.ride;
 }
 
 /**
@@ -45,17 +49,20 @@ export async function broadcastScheduledRide({ rideId, drivers }) {
   if (!ride) throw new Error('Ride not found');
   if (ride.status !== 'scheduled') throw new Error('Ride is not scheduled');
 
-  ride.driverId = undefined;
-  ride.scheduledDispatched = true;
-  ride.status = 'pending';
-  await ride.save();
+  const out = await transitionRide(ride._id, 'pending', {
+    from: 'scheduled',
+    set: { scheduledDispatched: true },
+    update: { $unset: { driverId: 1 } },
+    activity: { message: `Admin broadcast the scheduled ride to ${drivers.length} driver(s)`, meta: { drivers: drivers.length } }
+  });
+  if (!out.ok) throw new Error('Ride is not scheduled');
 
   for (const d of drivers) {
     try {
-      if (d.chatId) await notifyDriverNewRequest({ chatId: Number(d.chatId), ride });
+      if (d.chatId) await notifyDriverNewRequest({ chatId: Number(d.chatId), ride: out.ride });
     } catch (e) {
       console.warn('fanout notify failed:', e?.message || e);
     }
   }
-  return ride;
+  return out.ride;
 }
@@ -1,7 +1,11 @@
 // src/services/pricing.js
-import fetch from 'node-fetch';
 import Driver from '../models/Driver.js';
 import Ride from '../models/Ride.js';
+import { geoNearStage } from './geo.js';
+import { DEFAULT_RATE_TABLE, getRateCard, getRateCards, regionForPoint } from './rateCards.js';
+import { clampSurge, getZoneSurge } from './surge.js';
+import { getRoute } from './routing.js';
+import { normalizeStops, routePoints, stopWaitSec } from './tripStops.js';
 
 /** Great-circle distance (Haversine) in KM */
 export function kmBetween(a, b) {
@@ -48,18 +52,6 @@ function haversineMeters(a, b) {
 }
 
 /* ---------- ENV + Constants (tunable guard-rails) ---------- */
-const GMAPS_KEY = process.env.GOOGLE_MAPS_API_KEY || '';
-const GMAPS_REGION = process.env.GOOGLE_MAPS_REGION || ''; // e.g. 'za'
-const GMAPS_COMPONENTS = process.env.GOOGLE_MAPS_COMPONENTS || ''; // e.g. 'country:za|country:na'
-
-const PICKUP_PER_KM_ENV = Number(process.env.PICKUP_PER_KM || 0);
-
-const SURGE_MAX = Number(process.env.SURGE_MAX || 2.0);
-const SURGE_MIN = Number(process.env.SURGE_MIN || 1.0);
-const SURGE_DEMAND_WINDOW_MIN = Number(process.env.SURGE_DEMAND_WINDOW_MIN || 15);
-const SURGE_RADIUS_KM = Number(process.env.SURGE_RADIUS_KM || 8);
-
-const WAIT_PER_MIN = Number(process.env.WAIT_PER_MIN || 0);
 
 /* 🔧 New safety rails */
 const MAX_PICKUP_KM_CHARGED = Number(process.env.MAX_PICKUP_KM_CHARGED || 8);   // cap pickup fee distance
@@ -69,20 +61,21 @@ const MAX_TRIP_KM_CHARGED   = Number(process.env.MAX_TRIP_KM_CHARGED || 200);  /
 
 const DEBUG_PRICING = String(process.env.DEBUG_PRICING || '').toLowerCase() === 'true';
 
-/* ---------- Default tables ----------
- * No "free km"; minCharge = minimum fare floor.
+// How long a quote shown to the rider stays valid; after that the bots re-quote
+// and ask the rider to re-confirm if surge or price moved (see requote)
+const QUOTE_TTL_MIN = Number(process.env.QUOTE_TTL_MIN || 10);
+
+// Upfront pricing: the quote stands unless the trip drifts this far from the quoted route
+const UPFRONT_MAX_EXTRA_KM_PCT = Number(process.env.UPFRONT_MAX_EXTRA_KM_PCT || 20);
+const UPFRONT_DEST_TOLERANCE_M = Number(process.env.UPFRONT_DEST_TOLERANCE_M || 300);
+
+/**
+ * Merge driver.pricing over the base rates (the resolved rate card) + sanitize.
+ * Falls back to the built-in table when no base is passed.
  */
-const DEFAULT_RATE_TABLE = {
-  normal:  { baseFare: 0, perKm: 7,  minCharge: 30, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV },
-  comfort: { baseFare: 0, perKm: 8,  minCharge: 30, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV },
-  luxury:  { baseFare: 0, perKm: 12, minCharge: 45, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV },
-  xl:      { baseFare: 0, perKm: 10, minCharge: 39, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV }
-};
-
-/** Merge driver.pricing with defaults + sanitize */
-function resolveRate(vehicleType, driverPricing = {}) {
+function resolveRate(vehicleType, driverPricing = {}, base = null) {
   const key = (vehicleType || 'normal').toLowerCase();
-  const def = DEFAULT_RATE_TABLE[key] || DEFAULT_RATE_TABLE.normal;
+  const def = base || DEFAULT_RATE_TABLE[key] || DEFAULT_RATE_TABLE.normal;
 
   const sanitize = (v, fallback, { min = 0, allowZero = true } = {}) => {
     const n = Number(v);
@@ -91,79 +84,95 @@ function resolveRate(vehicleType, driverPricing = {}) {
     return n;
   };
 
+  const dp = driverPricing || {};
+  const overridden = ['perKm', 'minCharge', 'withinKm', 'pickupPerKm'].some((k) => Number.isFinite(Number(dp[k])) && dp[k] != null);
+
   return {
-    baseFare:    sanitize(driverPricing.baseFare,    def.baseFare,    { min: 0, allowZero: true }),
-    perKm:       sanitize(driverPricing.perKm,       def.perKm,       { min: 0, allowZero: false }),
-    minCharge:   sanitize(driverPricing.minCharge,   def.minCharge,   { min: 0, allowZero: true }),
-    withinKm:    sanitize(driverPricing.withinKm,    def.withinKm,    { min: 0, allowZero: true }),
-    pickupPerKm: sanitize(driverPricing.pickupPerKm, def.pickupPerKm, { min: 0, allowZero: true }),
+    baseFare:    sanitize(dp.baseFare,    def.baseFare,    { min: 0, allowZero: true }),
+    perKm:       sanitize(dp.perKm,       def.perKm,       { min: 0, allowZero: false }),
+    minCharge:   sanitize(dp.minCharge,   def.minCharge,   { min: 0, allowZero: true }),
+    withinKm:    sanitize(dp.withinKm,    def.withinKm,    { min: 0, allowZero: true }),
+    pickupPerKm: sanitize(dp.pickupPerKm, def.pickupPerKm, { min: 0, allowZero: true }),
+    perMin:          Number(def.perMin || 0),
+    waitPerMin:      Number(def.waitPerMin || 0),
+    cancellationFee: Number(def.cancellationFee || 0),
+    pricingMode: def.pricingMode || 'metered',
+    source: overridden ? 'driver' : (def.source || 'default'),
+    cardId: def.cardId || null,
+    cardVersion: def.version ?? null,
   };
 }
 
-/* ---------- Google Distance Matrix (live traffic) with sanity checks ---------- */
-async function roadMetrics(pickup, destination) {
-  // fast haversine fallback / baseline
-  const havKm = kmBetween(pickup, destination);
-
-  // No key? Use haversine + avg speed
-  if (!GMAPS_KEY) {
-    return {
-      km: clampTripKm(havKm),
-      durationSec: Math.round((havKm / 35) * 3600), // ~35 km/h
-      trafficFactor: 1
-    };
-  }
-
-  const u = new URL('https://maps.googleapis.com/maps/api/distancematrix/json');
-  u.searchParams.set('origins', `${pickup.lat},${pickup.lng}`);
-  u.searchParams.set('destinations', `${destination.lat},${destination.lng}`);
-  u.searchParams.set('key', GMAPS_KEY);
-  u.searchParams.set('departure_time', 'now');
-  u.searchParams.set('traffic_model', 'best_guess');
-  u.searchParams.set('mode', 'driving');
-  if (GMAPS_REGION) u.searchParams.set('region', GMAPS_REGION);
-  if (GMAPS_COMPONENTS) u.searchParams.set('components', GMAPS_COMPONENTS);
-
-  try {
-    const r = await fetch(u.toString());
-    const j = await r.json();
-
-    const elem = j?.rows?.[0]?.elements?.[0];
-    if (!elem || elem.status !== 'OK') {
-      // fallback
-      const km = clampTripKm(havKm);
-      return { km, durationSec: Math.round((km / 35) * 3600), trafficFactor: 1 };
-    }
-
-    const distMeters = elem.distance?.value ?? 0;
-    const durSec = elem.duration?.value ?? 0;
-    const durTrafficSec = Math.max(1, (elem.duration_in_traffic?.value ?? durSec));
-    let km = distMeters / 1000;
-
-    // sanity checks: distrust crazy google routes
-    if (!Number.isFinite(km) || km <= 0) km = havKm;
-    const ratioToHav = havKm > 0 ? km / havKm : 1;
-    if (km > MAX_TRIP_KM_ALLOWED || ratioToHav > 1.8) {
-      if (DEBUG_PRICING) {
-        console.warn(`[pricing] roadMetrics clamp: gmapsKm=${km.toFixed(2)} hav=${havKm.toFixed(2)} ratio=${ratioToHav.toFixed(2)} -> using haversine`);
-      }
-      km = havKm;
-    }
+/** The quoted rates (ride.quote.rate) over the card, else the driver's own pricing over it */
+function lockedOrDriverRate(key, card, { lockedRate = null, driverPricing = null } = {}) {
+  return lockedRate
+    ? { ...resolveRate(key, {}, card), ...Object.fromEntries(Object.entries(lockedRate).filter(([, v]) => v != null)), source: 'quote' }
+    : resolveRate(key, driverPricing || {}, card);
+}
 
-    km = clampTripKm(km);
+/** ride.quote.surge when there is one, so demand after booking can't raise it */
+async function lockedOrZoneSurge(lockedSurge, pickup) {
+  return Number.isFinite(Number(lockedSurge)) && lockedSurge != null
+    ? clampSurge(lockedSurge)
+    : getZoneSurge(pickup);
+}
 
-    let trafficFactor = Math.max(1, durTrafficSec / Math.max(1, durSec || 1));
-    if (!Number.isFinite(trafficFactor) || trafficFactor < 1) trafficFactor = 1;
-    trafficFactor = Math.min(MAX_TRAFFIC_FACTOR, Math.max(1, trafficFactor));
+/**
+ * The bit of a quote we lock onto the Ride when the rider picks it,
+ * so the final fare is billed against the same rates (see computeFinalFare).
+ */
+export function quoteSnapshot(q) {
+  if (!q) return undefined;
+  const r = q.rate || {};
+  const pt = (p) => (p && typeof p.lat === 'number' && typeof p.lng === 'number' ? { lat: p.lat, lng: p.lng } : undefined);
+  return {
+    price: Number(q.price) || 0,
+    vehicleType: q.vehicleType,
+    pricingMode: r.pricingMode || 'metered',
+    pickup: pt(q.pickup),
+    destination: pt(q.destination),
+    stops: q.stops?.length ? q.stops.map(pt).filter(Boolean) : undefined,
+    km: q.km,
+    trafficFactor: q.trafficFactor,
+    surge: q.surge,
+    rate: {
+      baseFare: r.baseFare,
+      perKm: r.perKm,
+      perMin: r.perMin,
+      minCharge: r.minCharge,
+      pickupPerKm: r.pickupPerKm,
+      waitPerMin: r.waitPerMin,
+      cancellationFee: r.cancellationFee
+    },
+    breakdown: q.breakdown || undefined,
+    rateSource: r.source || 'default',
+    rateCardId: r.cardId || null,
+    rateCardVersion: r.cardVersion ?? null,
+    region: q.region || null,
+    driverIds: (q.driverIds || []).map(String),
+    quotedAt: q.quotedAt ? new Date(q.quotedAt) : new Date(),
+    expiresAt: q.expiresAt ? new Date(q.expiresAt) : new Date(Date.now() + QUOTE_TTL_MIN * 60 * 1000)
+  };
+}
 
-    // derive a duration consistent with clamped traffic factor
-    const durationSec = Math.max(60, Math.round((km / Math.max(15, km > 30 ? 35 : 25)) * 3600 * trafficFactor));
+/** True once a quote's validity window (QUOTE_TTL_MIN) has passed */
+export function quoteExpired(q, now = Date.now()) {
+  return !!q?.expiresAt && new Date(q.expiresAt).getTime() <= now;
+}
 
-    return { km, durationSec, trafficFactor };
-  } catch (e) {
-    const km = clampTripKm(havKm);
-    return { km, durationSec: Math.round((km / 35) * 3600), trafficFactor: 1 };
-  }
+/**
+ * Fresh quote for the same trip and vehicle type, for when the old one expired.
+ * `changed` means the rider has to re-confirm before we dispatch: surge moved or
+ * the price went up. `quote` is null when that vehicle type is no longer available.
+ */
+export async function requote(q, { region = null } = {}) {
+  const quotes = await getAvailableVehicleQuotes({ pickup: q.pickup, destination: q.destination, stops: q.stops || [], radiusKm: 30, region: region ?? q.region ?? null });
+  const fresh = quotes.find((x) => x.vehicleType === q.vehicleType) || null;
+  if (!fresh) return { quote: null, changed: true };
+
+  const surgeMoved = Number(fresh.surge || 1).toFixed(2) !== Number(q.surge || 1).toFixed(2);
+  const priceUp = Math.round(fresh.price) > Math.round(Number(q.price || 0));
+  return { quote: fresh, changed: surgeMoved || priceUp };
 }
 
 function clampTripKm(km) {
@@ -173,72 +182,161 @@ function clampTripKm(km) {
   return k;
 }
 
-/* ---------- Surge calculation (demand vs supply) ---------- */
-async function surgeNear(pickup) {
-  try {
-    // supply
-    const drivers = await Driver.find({
-      status: 'approved',
-      isAvailable: true,
-      chatId: { $type: 'number' },
-      'location.lat': { $exists: true },
-      'location.lng': { $exists: true }
-    }).select('location').lean();
-
-    const nearbyDrivers = drivers.filter(d => d.location && kmBetween(d.location, pickup) <= SURGE_RADIUS_KM).length;
-
-    // demand
-    const since = new Date(Date.now() - SURGE_DEMAND_WINDOW_MIN * 60 * 1000);
-    const pending = await Ride.find({
-      status: { $in: ['pending', 'payment_pending'] },
-      createdAt: { $gte: since },
-      'pickup.lat': { $exists: true },
-      'pickup.lng': { $exists: true }
-    }).select('pickup').lean();
-
-    const nearbyDemand = pending.filter(r => r.pickup && kmBetween(r.pickup, pickup) <= SURGE_RADIUS_KM).length;
-
-    // simple ladder
-    let surge = 1.0;
-    if (nearbyDrivers <= 0 && nearbyDemand > 0) surge = 1.5;
-    else {
-      const ratio = nearbyDemand / Math.max(1, nearbyDrivers);
-      if (ratio >= 3) surge = 1.8;
-      else if (ratio >= 2) surge = 1.5;
-      else if (ratio >= 1.2) surge = 1.2;
-      else surge = 1.0;
+/* ---------- Road metrics (routing provider, see routing.js) with sanity checks ---------- */
+async function roadMetrics(pickup, destination) {
+  // haversine baseline to sanity-check the provider against
+  const havKm = kmBetween(pickup, destination);
+  const route = await getRoute(pickup, destination);
+
+  let km = route.km;
+  let trusted = true;
+
+  // distrust crazy routes
+  if (!Number.isFinite(km) || km <= 0) { km = havKm; trusted = false; }
+  const ratioToHav = havKm > 0 ? km / havKm : 1;
+  if (km > MAX_TRIP_KM_ALLOWED || ratioToHav > 1.8) {
+    if (DEBUG_PRICING) {
+      console.warn(`[pricing] roadMetrics clamp: ${route.provider}Km=${km.toFixed(2)} hav=${havKm.toFixed(2)} ratio=${ratioToHav.toFixed(2)} -> using haversine`);
     }
+    km = havKm;
+    trusted = false;
+  }
+
+  km = clampTripKm(km);
+
+  // live traffic only comes from providers that know it (Google); others report 1
+  let trafficFactor = Math.max(1, route.durationSec / Math.max(1, route.baseDurationSec || route.durationSec));
+  if (!Number.isFinite(trafficFactor) || trafficFactor < 1) trafficFactor = 1;
+  trafficFactor = Math.min(MAX_TRAFFIC_FACTOR, Math.max(1, trafficFactor));
 
-    return Math.min(SURGE_MAX, Math.max(SURGE_MIN, surge));
-  } catch {
-    return 1.0;
+  // the provider's own duration when its distance held up, otherwise an average-speed guess
+  const durationSec = trusted
+    ? Math.max(60, Math.round(route.durationSec))
+    : Math.max(60, Math.round((km / 35) * 3600 * trafficFactor));
+
+  return { km, durationSec, trafficFactor, provider: route.provider };
+}
+
+/** roadMetrics for the whole route through any stops (legs summed, traffic weighted by time) */
+async function tripMetrics(pickup, destination, stops = []) {
+  const points = routePoints({ pickup, destination, stops });
+  if (points.length <= 2) return roadMetrics(pickup, destination);
+
+  let km = 0, durationSec = 0, delayed = 0, provider = null;
+  for (let i = 1; i < points.length; i++) {
+    const leg = await roadMetrics(points[i - 1], points[i]);
+    km += leg.km;
+    durationSec += leg.durationSec;
+    delayed += leg.durationSec * leg.trafficFactor;
+    provider ||= leg.provider;
   }
+  const trafficFactor = durationSec > 0 ? Math.min(MAX_TRAFFIC_FACTOR, Math.max(1, delayed / durationSec)) : 1;
+  return { km: clampTripKm(km), durationSec, trafficFactor, provider };
 }
 
 /* ---------- Core fare math ---------- */
-export function priceWithRate(tripKm, rate, { pickupKm = 0, trafficFactor = 1, surge = 1 } = {}) {
+const money = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Itemised fare (the shape persisted as ride.fareBreakdown). With a per-minute
+ * rate, time (incl. traffic delay) is charged as minutes and no traffic
+ * multiplier applies; without one, the legacy capped traffic multiplier is used.
+ * Components + rounding always add up to `total`.
+ */
+export function fareParts(tripKm, rate, { pickupKm = 0, durationSec = null, trafficFactor = 1, surge = 1 } = {}) {
   const perKm = Math.max(0, Number(rate.perKm ?? 0));
+  const perMin = Math.max(0, Number(rate.perMin ?? 0));
   const min = Math.max(0, Number(rate.minCharge ?? 0));
   const base = Math.max(0, Number(rate.baseFare ?? 0));
   const pickupPerKm = Math.max(0, Number(rate.pickupPerKm ?? 0));
 
   const safeTripKm = clampTripKm(Math.max(0, Number(tripKm || 0)));
   const safePickupKm = Math.min(MAX_PICKUP_KM_CHARGED, Math.max(0, Number(pickupKm || 0)));
+  const minutes = Number.isFinite(Number(durationSec)) && durationSec > 0 ? Number(durationSec) / 60 : 0;
+  const timed = perMin > 0 && minutes > 0;
 
   const distanceCost = perKm * safeTripKm;
+  const timeCost = timed ? perMin * minutes : 0;
   const pickupFee = pickupPerKm * safePickupKm;
 
-  const raw = base + distanceCost + pickupFee;
+  const raw = base + distanceCost + timeCost + pickupFee;
   const withMin = Math.max(min, raw);
 
-  const tf = Math.min(MAX_TRAFFIC_FACTOR, Math.max(1, Number(trafficFactor || 1)));
-  const sg = Math.min(SURGE_MAX, Math.max(SURGE_MIN, Number(surge || 1)));
+  const tf = timed ? 1 : Math.min(MAX_TRAFFIC_FACTOR, Math.max(1, Number(trafficFactor || 1)));
+  const sg = clampSurge(surge);
 
   const adjusted = withMin * tf * sg;
 
   // Round to the nearest 1
-  const rounded = Math.round(adjusted);
-  return Math.max(0, rounded);
+  const total = Math.max(0, Math.round(adjusted));
+
+  return {
+    currency: 'ZAR',
+    base: money(base),
+    distance: money(distanceCost),
+    time: money(timeCost),
+    pickup: money(pickupFee),
+    minTopUp: money(withMin - raw),
+    trafficUplift: money(withMin * (tf - 1)),
+    surgeUplift: money(withMin * tf * (sg - 1)),
+    waiting: 0,
+    promoDiscount: 0,
+    rounding: money(total - adjusted),
+    km: money(safeTripKm),
+    minutes: Math.round(minutes),
+    waitingMinutes: 0,
+    pickupKm: money(safePickupKm),
+    perMin,
+    trafficFactor: tf,
+    surge: sg,
+    total
+  };
+}
+
+/** Add waiting fees (pickup / stops) and/or promo (fraction, e.g. 0.2) to a breakdown, keeping `total` whole rands */
+export function finaliseBreakdown(breakdown, { waitFee = 0, waitingMinutes = 0, stopWaitFee = 0, stopWaitingMinutes = 0, discountPct = 0 } = {}) {
+  const b = { ...breakdown };
+  b.waiting = Math.max(0, Math.round(Number(waitFee || 0)));
+  b.waitingMinutes = Math.max(0, Math.round(Number(waitingMinutes || 0)));
+  b.stopWaiting = Math.max(0, Math.round(Number(stopWaitFee || 0)));
+  b.stopWaitingMinutes = Math.max(0, Math.round(Number(stopWaitingMinutes || 0)));
+  const gross = b.total + b.waiting + b.stopWaiting;
+  const pct = Math.min(1, Math.max(0, Number(discountPct || 0)));
+  b.promoDiscount = Math.round(gross * pct);
+  b.total = gross - b.promoDiscount;
+  return b;
+}
+
+/** Receipt lines for a breakdown (zero items are skipped; discount/rounding may be negative) */
+export function fareLineItems(breakdown) {
+  if (!breakdown) return [];
+  const b = breakdown;
+  const out = [];
+  const add = (label, amount) => { if (Math.abs(Number(amount || 0)) >= 0.01) out.push({ label, amount: money(amount) }); };
+  add('Base fare', b.base);
+  add(`Distance (${Number(b.km || 0).toFixed(1)} km)`, b.distance);
+  add(`Time (${b.minutes || 0} min)`, b.time);
+  add(`Pickup (${Number(b.pickupKm || 0).toFixed(1)} km)`, b.pickup);
+  add('Minimum fare top-up', b.minTopUp);
+  add(`Traffic (×${Number(b.trafficFactor || 1).toFixed(2)})`, b.trafficUplift);
+  add(`Surge (×${Number(b.surge || 1).toFixed(2)})`, b.surgeUplift);
+  add('Rounding', b.rounding);
+  add(`Waiting (${b.waitingMinutes || 0} min)`, b.waiting);
+  add(`Waiting at stops (${b.stopWaitingMinutes || 0} min)`, b.stopWaiting);
+  add('Promo discount', -Number(b.promoDiscount || 0));
+  add('Upfront price adjustment', b.upfrontAdjustment);
+  add('Earlier cancellation fees', b.priorBalance);
+  return out;
+}
+
+/** "R12.50" / "−R3.00" for receipt lines */
+export function formatFareLine(li, { decimals = 2 } = {}) {
+  const n = Number(li.amount || 0);
+  return `${li.label}: ${n < 0 ? '−' : ''}R${Math.abs(n).toFixed(decimals)}`;
+}
+
+export function priceWithRate(tripKm, rate, opts = {}) {
+  return fareParts(tripKm, rate, opts).total;
 }
 
 /* ---------- Simple default estimator ---------- */
@@ -249,65 +347,104 @@ export function priceForDistanceKm(distanceKm, vehicleType = 'normal') {
 }
 
 /* ---------- High-level estimators ---------- */
-export async function estimatePrice({ pickup, destination, vehicleType = 'normal', driverLocation = null }) {
-  const { km: tripKm, trafficFactor } = await roadMetrics(pickup, destination);
+/**
+ * Price a trip. A booked ride passes what it was quoted (lockedRate, lockedSurge)
+ * or its driver's pricing, the same way computeFinalFare bills it.
+ */
+export async function estimatePrice({
+  pickup,
+  destination,
+  stops = [],
+  vehicleType = 'normal',
+  driverLocation = null,
+  region = null,
+  discountPct = 0,
+  lockedRate = null,
+  driverPricing = null,
+  lockedSurge = null
+}) {
+  const { km: tripKm, durationSec, trafficFactor } = await tripMetrics(pickup, destination, stops);
   const pickupKm = driverLocation ? kmBetween(driverLocation, pickup) : 0;
 
   const key = (vehicleType || 'normal').toLowerCase();
-  const rate = DEFAULT_RATE_TABLE[key] || DEFAULT_RATE_TABLE.normal;
+  const card = await getRateCard(key, { region: region ?? regionForPoint(pickup) });
+  const rate = lockedRate || driverPricing ? lockedOrDriverRate(key, card, { lockedRate, driverPricing }) : card;
 
-  const surge = await surgeNear(pickup);
-  const price = priceWithRate(tripKm, rate, { pickupKm, trafficFactor, surge });
+  const surge = await lockedOrZoneSurge(lockedSurge, pickup);
+  const breakdown = finaliseBreakdown(
+    fareParts(tripKm, rate, { pickupKm, durationSec, trafficFactor, surge }),
+    { discountPct }
+  );
+  const price = breakdown.total;
 
   if (DEBUG_PRICING) {
-    console.log(`[pricing] vt=${key} tripKm=${tripKm.toFixed(2)} pickupKm=${Math.min(pickupKm, MAX_PICKUP_KM_CHARGED).toFixed(2)} traffic=${trafficFactor.toFixed(2)} surge=${surge.toFixed(2)} => R${price}`);
+    console.log(`[pricing] vt=${key} card=${rate.cardId || 'default'} tripKm=${tripKm.toFixed(2)} pickupKm=${Math.min(pickupKm, MAX_PICKUP_KM_CHARGED).toFixed(2)} traffic=${trafficFactor.toFixed(2)} surge=${surge.toFixed(2)} => R${price}`);
   }
 
-  return { price, km: tripKm, pickupKm: Math.min(pickupKm, MAX_PICKUP_KM_CHARGED), trafficFactor, surge };
+  return {
+    price,
+    km: tripKm,
+    durationSec,
+    pickupKm: Math.min(pickupKm, MAX_PICKUP_KM_CHARGED),
+    trafficFactor,
+    surge,
+    breakdown,
+    pricingMode: rate.pricingMode || 'metered',
+    rateCard: { source: rate.source, cardId: card.cardId, version: card.version }
+  };
 }
 
 /**
  * Dynamic quotes based on available drivers near the pickup.
  * Returns the CHEAPEST price per vehicleType.
  */
-export async function getAvailableVehicleQuotes({ pickup, destination, radiusKm = 30 }) {
-  const { km: tripKm, trafficFactor } = await roadMetrics(pickup, destination);
-  const surge = await surgeNear(pickup);
-
-  const drivers = await Driver.find({
-    status: 'approved',
-    isAvailable: true,
-    chatId: { $type: 'number' },
-    'location.lat': { $exists: true },
-    'location.lng': { $exists: true }
-  }).lean();
-
-  const nearby = drivers.filter(d => d.location && kmBetween(d.location, pickup) <= radiusKm);
+export async function getAvailableVehicleQuotes({ pickup, destination, stops = [], radiusKm = 30, region = null }) {
+  const cleanStops = normalizeStops(stops);
+  const { km: tripKm, durationSec, trafficFactor } = await tripMetrics(pickup, destination, cleanStops);
+  const surge = await getZoneSurge(pickup);
+
+  const nearby = await Driver.aggregate([
+    geoNearStage(pickup, {
+      maxKm: radiusKm,
+      query: { status: 'approved', isAvailable: true, chatId: { $type: 'number' } }
+    })
+  ]);
 
   const byType = nearby.reduce((acc, d) => {
     const vt = (d.vehicleType || 'normal').toLowerCase();
     (acc[vt] ||= []).push(d);
     return acc;
   }, {});
+  const quoteRegion = region ?? regionForPoint(pickup);
+  const cards = await getRateCards(Object.keys(byType), { region: quoteRegion });
+
+  const quotedAt = new Date();
+  const expiresAt = new Date(quotedAt.getTime() + QUOTE_TTL_MIN * 60 * 1000);
 
   const quotes = Object.entries(byType).map(([vehicleType, ds]) => {
     let bestPrice = Number.POSITIVE_INFINITY;
     let bestDrivers = [];
+    let bestRate = null;
+    let bestBreakdown = null;
 
     for (const d of ds) {
-      const rate = resolveRate(vehicleType, (d.pricing || {}));
+      const rate = resolveRate(vehicleType, (d.pricing || {}), cards[vehicleType]);
       if (!rate.perKm || rate.perKm <= 0) continue;
 
-      const pickupKm = d.location ? kmBetween(d.location, pickup) : 0;
-      const p = priceWithRate(tripKm, rate, {
+      const pickupKm = Number.isFinite(d.distanceM) ? d.distanceM / 1000 : 0;
+      const parts = fareParts(tripKm, rate, {
         pickupKm,
+        durationSec,
         trafficFactor,
         surge
       });
+      const p = parts.total;
 
       if (p < bestPrice) {
         bestPrice = p;
         bestDrivers = [String(d._id)];
+        bestRate = rate;
+        bestBreakdown = parts;
       } else if (p === bestPrice) {
         bestDrivers.push(String(d._id));
       }
@@ -323,8 +460,20 @@ export async function getAvailableVehicleQuotes({ pickup, destination, radiusKm
       vehicleType,
       price: bestPrice,
       km: tripKm,
+      durationSec,
       driverIds: bestDrivers,
-      driverCount: ds.length
+      driverCount: ds.length,
+      rate: bestRate,
+      breakdown: bestBreakdown,
+      pricingMode: bestRate?.pricingMode || 'metered',
+      pickup,
+      destination,
+      stops: cleanStops,
+      trafficFactor,
+      surge,
+      region: quoteRegion,
+      quotedAt,
+      expiresAt
     };
   }).filter(Boolean);
 
@@ -336,13 +485,19 @@ export async function getAvailableVehicleQuotes({ pickup, destination, radiusKm
 export async function computeFinalFare({
   pickup,
   destination,
+  stops = [],           // ride.stops: the route goes through them, time parked there is waiting
   vehicleType = 'normal',
   path = null,
   createdAt = null,
   pickedAt = null,
   completedAt = null,
   driverStartLocation = null,
-  arrivedAt = null
+  arrivedAt = null,
+  region = null,         // ride.quote.region; else resolved from the pickup
+  lockedRate = null,    // ride.quote.rate when the accepting driver is one we quoted for
+  driverPricing = null, // otherwise: the accepting driver's own pricing over the card
+  lockedSurge = null,   // ride.quote.surge: what the rider was shown, so demand during the trip can't raise it
+  discountPct = 0       // promo fraction, e.g. 0.2
 }) {
   // derive trip distance (km)
   let tripKm = 0;
@@ -363,7 +518,8 @@ export async function computeFinalFare({
     }
     tripKm = meters / 1000;
   } else {
-    tripKm = kmBetween(pickup, destination);
+    const points = routePoints({ pickup, destination, stops });
+    for (let i = 1; i < points.length; i++) tripKm += kmBetween(points[i - 1], points[i]);
   }
   tripKm = clampTripKm(tripKm);
 
@@ -372,43 +528,62 @@ export async function computeFinalFare({
                            : (createdAt ? new Date(createdAt).getTime() : null);
   const endTs   = completedAt ? new Date(completedAt).getTime() : Date.now();
   const fallbackSec = Math.round((tripKm / 30) * 3600); // fallback ~30km/h
+  // time parked at stops is billed as waiting below, not as trip time
+  const stopSec = stopWaitSec(stops, completedAt || new Date());
   const actualDurationSec = (startTs && endTs && endTs >= startTs)
-    ? Math.max(1, Math.round((endTs - startTs) / 1000))
+    ? Math.max(1, Math.round((endTs - startTs) / 1000) - stopSec)
     : Math.max(1, fallbackSec);
 
   // expected duration + traffic snapshot
-  const { durationSec: expectedDurationSec } = await roadMetrics(pickup, destination);
+  const { durationSec: expectedDurationSec } = await tripMetrics(pickup, destination, stops);
   const expected = Math.max(60, expectedDurationSec || Math.round((tripKm / 35) * 3600));
 
   // dynamic traffic/delay multiplier (capped)
   let dynamicTrafficFactor = Math.max(1, actualDurationSec / expected);
   dynamicTrafficFactor = Math.min(MAX_TRAFFIC_FACTOR, dynamicTrafficFactor);
 
-  const surge = await surgeNear(pickup);
+  const surge = await lockedOrZoneSurge(lockedSurge, pickup);
   const pickupKm = driverStartLocation ? kmBetween(driverStartLocation, pickup) : 0;
 
+  // rates as they stood when the ride was booked, so a mid-trip price change doesn't apply
   const key  = (vehicleType || 'normal').toLowerCase();
-  const rate = DEFAULT_RATE_TABLE[key] || DEFAULT_RATE_TABLE.normal;
+  const card = await getRateCard(key, { region: region ?? regionForPoint(pickup), at: createdAt ? new Date(createdAt) : new Date() });
+  const rate = lockedOrDriverRate(key, card, { lockedRate, driverPricing });
+  const waitPerMin = Math.max(0, Number(rate.waitPerMin || 0));
 
-  let finalPrice = priceWithRate(tripKm, rate, {
+  // actual minutes are charged when the card has a per-minute rate (traffic shows up as time)
+  const parts = fareParts(tripKm, rate, {
     pickupKm,
+    durationSec: actualDurationSec,
     trafficFactor: dynamicTrafficFactor,
     surge
   });
 
   // optional WAITING FEE
-  if (WAIT_PER_MIN > 0 && arrivedAt && pickedAt) {
+  let waitFee = 0;
+  let waitedSec = 0;
+  if (waitPerMin > 0 && arrivedAt && pickedAt) {
     const arrivedTs = new Date(arrivedAt).getTime();
     const pickedTs  = new Date(pickedAt).getTime();
-    const waitedSec = Math.max(0, Math.round((pickedTs - arrivedTs) / 1000));
-    const waitFee   = Math.max(0, Math.round((waitedSec / 60) * WAIT_PER_MIN));
-    finalPrice += waitFee;
+    waitedSec = Math.max(0, Math.round((pickedTs - arrivedTs) / 1000));
+    waitFee   = Math.max(0, Math.round((waitedSec / 60) * waitPerMin));
   }
 
+  const stopWaitFee = waitPerMin > 0 ? Math.max(0, Math.round((stopSec / 60) * waitPerMin)) : 0;
+
+  const breakdown = finaliseBreakdown(parts, {
+    waitFee,
+    waitingMinutes: waitedSec / 60,
+    stopWaitFee,
+    stopWaitingMinutes: stopSec / 60,
+    discountPct
+  });
+  const finalPrice = breakdown.total;
+
   if (DEBUG_PRICING) {
     console.log(
       `[finalFare] vt=${key} tripKm=${tripKm.toFixed(2)} actualSec=${actualDurationSec} expectedSec=${expected} ` +
-      `traffic=${dynamicTrafficFactor.toFixed(2)} surge=${surge.toFixed(2)} waitPerMin=${WAIT_PER_MIN} => R${finalPrice}`
+      `traffic=${breakdown.trafficFactor.toFixed(2)} perMin=${breakdown.perMin} surge=${surge.toFixed(2)} waitPerMin=${waitPerMin} rate=${rate.source} => R${finalPrice}`
     );
   }
 
@@ -417,11 +592,74 @@ export async function computeFinalFare({
     tripKm,
     actualDurationSec,
     expectedDurationSec: expected,
-    trafficFactor: dynamicTrafficFactor,
-    surge
+    trafficFactor: breakdown.trafficFactor, // 1 when traffic was billed as minutes
+    surge,
+    breakdown,
+    rateSource: rate.source,
+    rateCard: { source: card.source, cardId: card.cardId, version: card.version }
   };
 }
 
+/* ---------- Upfront vs metered settlement ---------- */
+/**
+ * Decide what the rider actually pays.
+ *  - metered: the fare computed from the actual trip
+ *  - upfront: the locked quote, unless the destination moved or the trip ran more than
+ *    UPFRONT_MAX_EXTRA_KM_PCT longer than quoted — then the metered fare applies
+ * Returns { price, pricingMode, adjustment } where adjustment explains any move off the quote.
+ */
+export function settleFare({ quote = null, destination = null, metered }) {
+  const mode = quote?.pricingMode === 'upfront' ? 'upfront' : 'metered';
+  const meteredPrice = Math.max(0, Math.round(Number(metered?.price || 0)));
+  const breakdown = metered?.breakdown || null;
+
+  if (mode !== 'upfront' || !(Number(quote?.price) > 0)) {
+    return { price: meteredPrice, pricingMode: 'metered', adjustment: null, breakdown };
+  }
+
+  const quotedKm = Number(quote.km || 0);
+  const actualKm = Number(metered?.tripKm || 0);
+  const base = { quotedPrice: quote.price, meteredPrice, quotedKm, actualKm };
+
+  if (quote.destination && destination && typeof destination.lat === 'number') {
+    const movedM = haversineMeters(quote.destination, destination);
+    if (movedM > UPFRONT_DEST_TOLERANCE_M) {
+      return {
+        price: meteredPrice,
+        pricingMode: 'upfront',
+        adjustment: { ...base, reason: 'destination_changed', detail: `Destination moved ~${Math.round(movedM)} m from the quoted one` },
+        breakdown
+      };
+    }
+  }
+
+  if (quotedKm > 0 && actualKm > quotedKm * (1 + UPFRONT_MAX_EXTRA_KM_PCT / 100)) {
+    const extraPct = Math.round(((actualKm - quotedKm) / quotedKm) * 100);
+    return {
+      price: meteredPrice,
+      pricingMode: 'upfront',
+      adjustment: {
+        ...base,
+        reason: 'route_deviation',
+        detail: `Trip was ${extraPct}% longer than quoted (${actualKm.toFixed(1)} km vs ${quotedKm.toFixed(1)} km; limit ${UPFRONT_MAX_EXTRA_KM_PCT}%)`
+      },
+      breakdown
+    };
+  }
+
+  // Honoured: explain the quoted price, or the trip plus the difference for older quotes without one.
+  // Waiting at stops can't be quoted, so it goes on top.
+  const quotedPrice = Math.round(Number(quote.price));
+  const stopWaiting = Math.max(0, Math.round(Number(breakdown?.stopWaiting || 0)));
+  const price = quotedPrice + stopWaiting;
+  const quoted = quote.breakdown && Math.round(Number(quote.breakdown.total)) === quotedPrice ? { ...quote.breakdown } : null;
+  let fixed = quoted || (breakdown ? { ...breakdown, stopWaiting: 0, upfrontAdjustment: quotedPrice - (breakdown.total - stopWaiting), total: quotedPrice } : null);
+  if (fixed && stopWaiting > 0) {
+    fixed = { ...fixed, stopWaiting, stopWaitingMinutes: breakdown.stopWaitingMinutes, total: price };
+  }
+  return { price, pricingMode: 'upfront', adjustment: null, breakdown: fixed };
+}
+
 /* ---------- Path appending (self-contained & safe) ---------- */
 export async function appendPathPoint(rideId, lat, lng, label = '') {
   try {
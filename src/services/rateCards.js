@@ -0,0 +1,112 @@
+// src/services/rateCards.js
+// Resolves fare rates from the RateCard collection (admin-editable, versioned),
+// falling back to the built-in table when no card applies.
+import RateCard from '../models/RateCard.js';
+import { geohashEncode } from './geo.js';
+
+const CACHE_TTL_MS = Number(process.env.RATE_CARD_CACHE_SEC || 60) * 1000;
+const PICKUP_PER_KM_ENV = Number(process.env.PICKUP_PER_KM || 0);
+const WAIT_PER_MIN_ENV = Number(process.env.WAIT_PER_MIN || 0);
+const PER_MIN_ENV = Number(process.env.PER_MIN || 0); // time charge when no rate card sets one
+const CANCELLATION_FEE_ENV = Number(process.env.CANCELLATION_FEE || 0); // late-cancel fee when no rate card sets one
+
+// Global pricing mode: 'all' (or 'true') = upfront everywhere, 'off' = metered,
+// or a comma list of vehicle types that get upfront pricing, e.g. "normal,comfort".
+const UPFRONT_PRICING = String(process.env.UPFRONT_PRICING || 'off').trim().toLowerCase();
+
+// Which region's cards apply at a pickup, by geohash prefix: "cpt:k3v,k3y;jhb:ke7".
+// A pickup outside every listed prefix only gets the global cards.
+const PRICING_REGIONS = String(process.env.PRICING_REGIONS || '')
+  .split(';')
+  .flatMap((entry) => {
+    const [region, cells = ''] = entry.split(':');
+    const name = String(region || '').trim().toLowerCase();
+    return name ? cells.split(',').map((c) => c.trim().toLowerCase()).filter(Boolean).map((prefix) => ({ region: name, prefix })) : [];
+  })
+  .sort((a, b) => b.prefix.length - a.prefix.length); // most specific prefix wins
+
+export const VEHICLE_TYPES = ['normal', 'comfort', 'luxury', 'xl'];
+
+/* ---------- Built-in fallback ----------
+ * No "free km"; minCharge = minimum fare floor.
+ */
+export const DEFAULT_RATE_TABLE = {
+  normal:  { baseFare: 0, perKm: 7,  perMin: PER_MIN_ENV, minCharge: 30, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV, waitPerMin: WAIT_PER_MIN_ENV, cancellationFee: CANCELLATION_FEE_ENV },
+  comfort: { baseFare: 0, perKm: 8,  perMin: PER_MIN_ENV, minCharge: 30, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV, waitPerMin: WAIT_PER_MIN_ENV, cancellationFee: CANCELLATION_FEE_ENV },
+  luxury:  { baseFare: 0, perKm: 12, perMin: PER_MIN_ENV, minCharge: 45, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV, waitPerMin: WAIT_PER_MIN_ENV, cancellationFee: CANCELLATION_FEE_ENV },
+  xl:      { baseFare: 0, perKm: 10, perMin: PER_MIN_ENV, minCharge: 39, withinKm: 0, pickupPerKm: PICKUP_PER_KM_ENV, waitPerMin: WAIT_PER_MIN_ENV, cancellationFee: CANCELLATION_FEE_ENV }
+};
+
+let cache = { cards: null, loadedAt: 0 };
+
+async function loadCards() {
+  if (cache.cards && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.cards;
+  try {
+    const cards = await RateCard.find({ active: true }).sort({ effectiveFrom: -1, version: -1 }).lean();
+    cache = { cards, loadedAt: Date.now() };
+  } catch (e) {
+    console.warn('[rateCards] load failed, using last known/defaults:', e?.message || e);
+    if (!cache.cards) return [];
+  }
+  return cache.cards;
+}
+
+function defaultPricingMode(key) {
+  if (['all', 'true', '1', 'on'].includes(UPFRONT_PRICING)) return 'upfront';
+  if (['off', 'false', '0', ''].includes(UPFRONT_PRICING)) return 'metered';
+  return UPFRONT_PRICING.split(',').map((x) => x.trim()).includes(key) ? 'upfront' : 'metered';
+}
+
+/** Drop the cache so an admin edit applies on the next quote */
+export function invalidateRateCards() {
+  cache = { cards: null, loadedAt: 0 };
+}
+
+/** Rate-card region for a point (the pickup), or null for the global cards */
+export function regionForPoint(point) {
+  if (!PRICING_REGIONS.length || !point) return null;
+  const hash = geohashEncode(point.lat, point.lng, 7);
+  if (!hash) return null;
+  return PRICING_REGIONS.find((r) => hash.startsWith(r.prefix))?.region || null;
+}
+
+function pickCard(cards, key, region, at) {
+  const live = cards.filter((c) => c.vehicleType === key && new Date(c.effectiveFrom) <= at);
+  // sorted newest first already; a region-specific card beats the global one
+  return (region && live.find((c) => c.region === region)) || live.find((c) => !c.region) || null;
+}
+
+/**
+ * Rates for a vehicle type at a point in time.
+ * Returns the default-table shape plus `{ source: 'card'|'default', cardId, version }`.
+ */
+export async function getRateCard(vehicleType = 'normal', { region = null, at = new Date() } = {}) {
+  const key = (vehicleType || 'normal').toLowerCase();
+  const def = DEFAULT_RATE_TABLE[key] || DEFAULT_RATE_TABLE.normal;
+  const card = pickCard(await loadCards(), key, region ? String(region).toLowerCase() : null, at);
+  if (!card) return { ...def, pricingMode: defaultPricingMode(key), source: 'default', cardId: null, version: null };
+
+  return {
+    baseFare: card.baseFare ?? def.baseFare,
+    perKm: card.perKm ?? def.perKm,
+    perMin: card.perMin ?? def.perMin,
+    minCharge: card.minCharge ?? def.minCharge,
+    withinKm: 0,
+    pickupPerKm: card.pickupPerKm ?? def.pickupPerKm,
+    waitPerMin: card.waitPerMin ?? def.waitPerMin,
+    cancellationFee: card.cancellationFee ?? def.cancellationFee,
+    pricingMode: card.pricingMode || defaultPricingMode(key),
+    source: 'card',
+    cardId: String(card._id),
+    version: card.version
+  };
+}
+
+/** Same as getRateCard for several vehicle types with one cache hit */
+export async function getRateCards(vehicleTypes, opts = {}) {
+  const out = {};
+  for (const vt of new Set(vehicleTypes.map((v) => (v || 'normal').toLowerCase()))) {
+    out[vt] = await getRateCard(vt, opts);
+  }
+  return out;
+}
@@ -0,0 +1,185 @@
+// src/services/rideLifecycle.js
+// The one place a ride's status changes.
+//
+//   scheduled ───────┐
+//   payment_pending ─┴→ pending → accepted → enroute → arrived → in_progress → completed
+//                        │   ↑        │         │          │
+//                        │   └────────┴─────────┴──────────┘  driver backed out before pickup (re-dispatch)
+//                        └→ unfulfilled → pending | scheduled
+//   anything not completed → cancelled
+//
+// enroute = driver heading to the pickup (startedAt), arrived = waiting at the
+// pickup (arrivedAt), in_progress = rider on board (pickedAt). A driver may skip
+// a step (no Start tap, GPS missed the arrival); the skipped stamps are filled in
+// so fares and fees always have them. Every change is a conditional update on
+// the status the ride is in right now, so two racing handlers can't both win,
+// and writes one Activity entry. server.js relays those to the admin feed ('activity').
+import EventEmitter from 'events';
+import Ride from '../models/Ride.js';
+import Activity from '../models/Activity.js';
+
+export const rideLifecycle = new EventEmitter();
+
+export const RIDE_TRANSITIONS = {
+  scheduled:       ['pending', 'cancelled'],
+  payment_pending: ['pending', 'cancelled'],
+  pending:         ['accepted', 'unfulfilled', 'cancelled'],
+  accepted:        ['enroute', 'arrived', 'in_progress', 'pending', 'cancelled'],
+  enroute:         ['arrived', 'in_progress', 'pending', 'cancelled'],
+  arrived:         ['in_progress', 'pending', 'cancelled'],
+  in_progress:     ['completed', 'cancelled'],
+  unfulfilled:     ['pending', 'scheduled', 'cancelled'],
+  completed:       [],
+  cancelled:       []
+};
+
+// A driver is on the ride
+export const ACTIVE_RIDE_STATUSES = ['accepted', 'enroute', 'arrived', 'in_progress'];
+// ...and the rider isn't on board yet
+export const PRE_PICKUP_STATUSES = ['accepted', 'enroute', 'arrived'];
+
+const ACTIVITY_FOR = {
+  pending: 'request',
+  accepted: 'accepted',
+  enroute: 'started',
+  arrived: 'arrived',
+  in_progress: 'picked',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  unfulfilled: 'unfulfilled',
+  scheduled: 'recovered'
+};
+
+export function canTransition(from, to) {
+  return (RIDE_TRANSITIONS[from] || []).includes(to);
+}
+
+/** completed / cancelled: nothing may change the status any more */
+export function isFinalStatus(status) {
+  return Array.isArray(RIDE_TRANSITIONS[status]) && RIDE_TRANSITIONS[status].length === 0;
+}
+
+async function record(rideId, { type, message, actorType = 'system', actorId = null, meta = {} }) {
+  try {
+    const a = await Activity.create({
+      rideId,
+      type,
+      message,
+      actorType,
+      actorId: actorId != null ? String(actorId) : undefined,
+      meta
+    });
+    rideLifecycle.emit('activity', a.toObject());
+  } catch (e) {
+    console.warn('[lifecycle] activity log failed:', e?.message || e);
+  }
+}
+
+/** Activity for a ride outside a status change (fees, destination changes…), relayed to the admin feed the same way */
+export const recordRideActivity = record;
+
+function buildUpdate(set, update) {
+  return { ...update, $set: { ...(update.$set || {}), ...set } };
+}
+
+/**
+ * Move a ride to `to` if its current status allows it.
+ *  - from:     only from this status / these statuses (e.g. what the caller just read)
+ *  - match:    extra conditions for the update (e.g. { driverId })
+ *  - set:      fields set together with the status
+ *  - update:   other operators applied in the same write ($unset, $push, $inc, …)
+ *  - activity: { type, message, actorType, actorId, meta } for the Activity entry,
+ *              or (updatedRide) => {…} when it depends on the result
+ * → { ok: true, ride, from }  (ride is the updated mongoose doc)
+ *   { ok: false, reason: 'not_found' | 'invalid_transition', status }
+ */
+export async function transitionRide(rideId, to, { from = null, match = {}, set = {}, update = {}, activity = {} } = {}) {
+  const current = await Ride.findById(rideId).select('status').lean();
+  if (!current) return { ok: false, reason: 'not_found', status: null };
+
+  const allowedFrom = from ? [].concat(from) : null;
+  if (!canTransition(current.status, to) || (allowedFrom && !allowedFrom.includes(current.status))) {
+    return { ok: false, reason: 'invalid_transition', status: current.status };
+  }
+
+  const ride = await Ride.findOneAndUpdate(
+    { _id: current._id, status: current.status, ...match },
+    buildUpdate({ ...set, status: to }, update),
+    { new: true }
+  );
+  if (!ride) {
+    // someone else moved it first (or `match` didn't hold)
+    const fresh = await Ride.findById(current._id).select('status').lean();
+    return { ok: false, reason: 'invalid_transition', status: fresh?.status ?? null };
+  }
+
+  const a = (typeof activity === 'function' ? activity(ride) : activity) || {};
+  await record(ride._id, {
+    type: a.type || ACTIVITY_FOR[to] || 'system',
+    message: a.message || `Ride ${current.status} → ${to}`,
+    actorType: a.actorType,
+    actorId: a.actorId,
+    meta: { from: current.status, to, ...(a.meta || {}) }
+  });
+
+  return { ok: true, ride, from: current.status };
+}
+
+/* ---------- driver steps on an active ride ---------- */
+
+const STEP_ORDER = ['accepted', 'enroute', 'arrived', 'in_progress'];
+
+// → { ok: true, ride } | { ok: false, reason: 'already' | 'not_found' | 'invalid_transition', status }
+async function driverStep(rideId, to, { at, actorType, actorId, meta, stamps, activity }) {
+  const current = await Ride.findById(rideId).select('status acceptedAt startedAt arrivedAt').lean();
+  if (!current) return { ok: false, reason: 'not_found', status: null };
+  if (STEP_ORDER.indexOf(current.status) >= STEP_ORDER.indexOf(to)) {
+    return { ok: false, reason: 'already', status: current.status };
+  }
+
+  const out = await transitionRide(current._id, to, {
+    from: current.status,
+    set: stamps(current, at),
+    activity: { ...activity, actorType, actorId, meta: { ...meta, skipped: STEP_ORDER.slice(STEP_ORDER.indexOf(current.status) + 1, STEP_ORDER.indexOf(to)) } }
+  });
+  if (!out.ok && STEP_ORDER.indexOf(out.status) >= STEP_ORDER.indexOf(to)) {
+    return { ok: false, reason: 'already', status: out.status };
+  }
+  return out;
+}
+
+/** Driver set off towards the pickup */
+export async function markRideStarted(rideId, { at = new Date(), actorType = 'driver', actorId = null, meta = {} } = {}) {
+  return driverStep(rideId, 'enroute', {
+    at, actorType, actorId, meta,
+    stamps: () => ({ startedAt: at }),
+    activity: { type: 'started', message: 'Driver is on the way to the pickup' }
+  });
+}
+
+/** Driver is at the pickup (first time only → { ok: false, reason: 'already' } after) */
+export async function markRideArrived(rideId, { at = new Date(), actorType = 'driver', actorId = null, meta = {} } = {}) {
+  return driverStep(rideId, 'arrived', {
+    at, actorType, actorId, meta,
+    stamps: (r) => ({
+      arrivedAt: at,
+      arrivedNotified: true,
+      _lastArriveEmitAt: at,
+      ...(r.startedAt ? {} : { startedAt: r.acceptedAt || at })
+    }),
+    activity: { type: 'arrived', message: 'Driver arrived at pickup' }
+  });
+}
+
+/** Rider is on board: the trip (and its clock) starts */
+export async function markRidePicked(rideId, { at = new Date(), actorType = 'driver', actorId = null, meta = {} } = {}) {
+  return driverStep(rideId, 'in_progress', {
+    at, actorType, actorId, meta,
+    stamps: (r) => ({
+      pickedAt: at,
+      ...(r.arrivedAt ? {} : { arrivedAt: at, arrivedNotified: true }),
+      ...(r.startedAt ? {} : { startedAt: r.acceptedAt || at })
+    }),
+    activity: { type: 'picked', message: 'Rider picked up' }
+  });
+}
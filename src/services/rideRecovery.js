@@ -0,0 +1,81 @@
+// src/services/rideRecovery.js
+// Rider-side ways out of an 'unfulfilled' ride (see schedulers/dispatchWatchdog.js).
+// Each flip is atomic on status:'unfulfilled' so a double tap can't dispatch twice.
+import Ride from '../models/Ride.js';
+import { transitionRide } from './rideLifecycle.js';
+
+const CLEAR_UNFULFILLED = { unfulfilledAt: '', dispatchStartedAt: '' };
+
+// A paid ride that is back in play no longer needs a refund
+function clearRefund(ride) {
+  return ride?.refundStatus === 'required'
+    ? { refundStatus: '', refundFlaggedAt: '', refundReason: '' }
+    : {};
+}
+
+/**
+ * Put the ride back to 'pending' (optionally as another vehicle type / price, or
+ * the same vehicle re-quoted after the old quote expired).
+ * Paid rides keep their vehicle & fare. Returns the updated ride or null.
+ * The caller emits booking:new so dispatch starts over.
+ */
+export async function retryUnfulfilledRide(rideId, { vehicleType = null, estimate = null, quote = null } = {}) {
+  const current = await Ride.findById(rideId).lean();
+  if (!current || current.status !== 'unfulfilled') return null;
+
+  const set = {};
+  const unpaid = current.paymentStatus !== 'paid';
+  const switching = vehicleType && vehicleType !== current.vehicleType && unpaid;
+  if (switching) set.vehicleType = vehicleType;
+  if (unpaid && (switching || quote)) {
+    if (Number.isFinite(Number(estimate)) && Number(estimate) > 0) set.estimate = Number(estimate);
+    if (quote) set.quote = quote;
+  }
+
+  const out = await transitionRide(current._id, 'pending', {
+    from: 'unfulfilled',
+    set,
+    update: { $unset: { ...CLEAR_UNFULFILLED, ...clearRefund(current) } },
+    activity: (ride) => ({
+      type: 'recovered',
+      actorType: 'rider',
+      message: switching ? `Rider retried as ${vehicleType}` : (set.quote ? 'Rider retried at a fresh quote' : 'Rider retried the request'),
+      meta: { action: switching ? 'switch_vehicle' : 'retry', vehicleType: ride.vehicleType, estimate: ride.estimate }
+    })
+  });
+  return out.ok ? out.ride : null;
+}
+
+/**
+ * Turn the ride into a prebooking; the prebook scheduler dispatches it later.
+ * Returns the updated ride or null (not unfulfilled / time not in the future).
+ */
+export async function scheduleUnfulfilledRide(rideId, when) {
+  const at = when instanceof Date ? when : new Date(when);
+  if (isNaN(at.getTime()) || at.getTime() <= Date.now()) return null;
+
+  const current = await Ride.findById(rideId).lean();
+  if (!current || current.status !== 'unfulfilled') return null;
+
+  const out = await transitionRide(current._id, 'scheduled', {
+    from: 'unfulfilled',
+    set: { scheduledFor: at, scheduledDispatched: false },
+    update: { $unset: { ...CLEAR_UNFULFILLED, ...clearRefund(current) } },
+    activity: {
+      type: 'recovered',
+      actorType: 'rider',
+      message: `Rider scheduled the trip for ${at.toISOString()}`,
+      meta: { action: 'schedule', scheduledFor: at }
+    }
+  });
+  return out.ok ? out.ride : null;
+}
+
+/** "YYYY-MM-DD HH:MM" (local server time) → Date, or null */
+export function parseScheduleInput(text) {
+  const m = String(text || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi] = m.map(Number);
+  const dt = new Date(y, mo - 1, d, h, mi, 0, 0);
+  return isNaN(dt.getTime()) ? null : dt;
+}
@@ -0,0 +1,76 @@
+// src/services/rideTokens.js
+// HMAC-signed tokens for the live trip map.
+//  • link token:      the `t` in a track.html link — ride + role (rider | driver | viewer) + expiry.
+//                     /api/ride/:rideId/* checks it (src/auth/rideLink.js); a driver link also
+//                     authenticates the driver's socket (driver:mapLocation)
+//  • ride-view token: lets a socket join the `ride:<id>` room (GET /api/ride/:id hands it out)
+// Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload)).
+import crypto from 'crypto';
+
+// Never a guessable default: without a configured secret, links only last until the next restart
+const SECRET = process.env.RIDE_TOKEN_SECRET || process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.RIDE_TOKEN_SECRET && !process.env.SESSION_SECRET) {
+  console.warn('⚠️ RIDE_TOKEN_SECRET/SESSION_SECRET not set: using a random secret, trip links stop working on restart');
+}
+const TTL_HOURS = Number(process.env.TRACK_LINK_TTL_HOURS || 24); // same window as server.js isRideLinkExpired
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').trim().replace(/\/$/, '');
+
+export const RIDE_LINK_ROLES = ['rider', 'driver', 'viewer'];
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const mac = (body) => crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+
+function sign(payload, ttlSec = TTL_HOURS * 3600) {
+  const body = b64url(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + Math.max(60, ttlSec) }));
+  return `${body}.${mac(body)}`;
+}
+
+/** Payload of a valid, unexpired token, else null */
+function verify(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+  const [body, sig] = token.split('.');
+  const expected = mac(body);
+  if (!sig || sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload?.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/** Token to follow one ride's live updates */
+export function signRideViewToken(rideId, { ttlSec } = {}) {
+  return sign({ k: 'rv', r: String(rideId) }, ttlSec);
+}
+
+export function verifyRideViewToken(token, rideId) {
+  const p = verify(token);
+  return !!p && p.k === 'rv' && p.r === String(rideId);
+}
+
+/** Driver trip link token → the driver's key (Telegram chatId or WhatsApp phone), or null */
+export function verifyDriverToken(token) {
+  const p = verify(token);
+  return p && p.k === 'link' && p.role === 'driver' && p.d ? p.d : null;
+}
+
+/** Token for a track.html link; driver links carry the driver's key */
+export function signRideLinkToken(rideId, role, { driverKey = null, ttlSec } = {}) {
+  if (!RIDE_LINK_ROLES.includes(role)) throw new Error(`Unknown ride link role: ${role}`);
+  return sign({ k: 'link', r: String(rideId), role, ...(driverKey != null ? { d: String(driverKey) } : {}) }, ttlSec);
+}
+
+/** → { role, driverKey, expiresAt } for a valid link token of this ride, else null */
+export function verifyRideLinkToken(token, rideId) {
+  const p = verify(token);
+  if (!p || p.k !== 'link' || p.r !== String(rideId) || !RIDE_LINK_ROLES.includes(p.role)) return null;
+  return { role: p.role, driverKey: p.d ?? null, expiresAt: new Date(p.exp * 1000) };
+}
+
+/** Full tracking link for one role, e.g. trackLink(rideId, 'driver', { driverKey: chatId }) */
+export function trackLink(rideId, role, { driverKey = null, ttlSec, base = PUBLIC_URL } = {}) {
+  const t = signRideLinkToken(rideId, role, { driverKey, ttlSec });
+  return `${base}/track.html?rideId=${encodeURIComponent(String(rideId))}&as=${role}&t=${encodeURIComponent(t)}`;
+}
@@ -0,0 +1,103 @@
+// src/services/riderCancel.js
+// Rider-initiated cancellation, shared by the rider API, the Telegram bot and
+// the WhatsApp bot. Works in any status up to pickup (once the rider is on
+// board the driver ends the trip and it is billed); callers emit riderEvents
+// 'booking:cancelled' with the result so server.js can stop dispatch, tell the
+// driver and free them for new offers.
+import Ride from '../models/Ride.js';
+import { assessRiderCancellation, applyCancellationFee, cancellationFeeFor } from './cancellationFees.js';
+import { transitionRide } from './rideLifecycle.js';
+
+export const RIDER_CANCEL_REASONS = [
+  { code: 'driver_late',   label: 'Driver is taking too long' },
+  { code: 'changed_plans', label: 'Changed my plans' },
+  { code: 'wrong_address', label: 'Wrong pickup or destination' },
+  { code: 'other_ride',    label: 'Found another ride' },
+  { code: 'driver_asked',  label: 'Driver asked me to cancel' },
+  { code: 'other',         label: 'Other' }
+];
+
+export const RIDER_CANCELLABLE_STATUSES = ['scheduled', 'payment_pending', 'pending', 'accepted', 'enroute', 'arrived'];
+
+/** Label for a reason code (or the text itself if it already is a label) */
+export function riderCancelReasonLabel(codeOrLabel) {
+  const v = String(codeOrLabel || '').trim();
+  const hit = RIDER_CANCEL_REASONS.find((r) => r.code === v || r.label.toLowerCase() === v.toLowerCase());
+  return hit ? hit.label : null;
+}
+
+function ownedBy(ride, { riderChatId = null, riderWaJid = null }) {
+  if (riderChatId != null) return Number(ride.riderChatId) === Number(riderChatId);
+  if (riderWaJid) return ride.riderWaJid === riderWaJid;
+  return true; // API callers that already hold the ride link
+}
+
+/**
+ * What cancelling right now would mean for the rider.
+ * → { cancellable, status, fee: { kind, amount } | null }
+ */
+export async function previewRiderCancel(ride, now = new Date()) {
+  const cancellable = !!ride && RIDER_CANCELLABLE_STATUSES.includes(ride.status);
+  if (!cancellable) return { cancellable: false, status: ride?.status || null, fee: null };
+
+  const kind = assessRiderCancellation(ride, now);
+  const amount = kind ? await cancellationFeeFor(ride, kind) : 0;
+  return { cancellable: true, status: ride.status, fee: amount > 0 ? { kind, amount } : null };
+}
+
+/**
+ * Cancel a ride on the rider's behalf.
+ * `riderChatId` / `riderWaJid` (bots) must match the ride's rider.
+ * → { ok: true, ride, previousStatus, driverId, reason, fee }
+ *   { ok: false, error: 'not_found' | 'not_yours' | 'not_cancellable' | 'bad_reason', status? }
+ */
+export async function cancelRideByRider(rideId, { reason, note = null, riderChatId = null, riderWaJid = null, now = new Date() } = {}) {
+  const label = riderCancelReasonLabel(reason);
+  if (!label) return { ok: false, error: 'bad_reason' };
+
+  const ride = await Ride.findById(rideId);
+  if (!ride) return { ok: false, error: 'not_found' };
+  if (!ownedBy(ride, { riderChatId, riderWaJid })) return { ok: false, error: 'not_yours' };
+  if (!RIDER_CANCELLABLE_STATUSES.includes(ride.status)) return { ok: false, error: 'not_cancellable', status: ride.status };
+
+  const previousStatus = ride.status;
+  const driverId = ride.driverId || null;
+  const feeKind = assessRiderCancellation(ride, now);
+
+  // Only if nothing moved underneath us (driver accept/finish racing the rider)
+  const cleanNote = note ? String(note).trim().slice(0, 500) : null;
+  const out = await transitionRide(ride._id, 'cancelled', {
+    from: previousStatus,
+    set: {
+      cancelledBy: 'rider',
+      cancelledAt: now,
+      cancellationReason: label,
+      cancellationNote: cleanNote,
+      cancelReason: 'rider_cancelled'
+    },
+    activity: {
+      actorType: 'rider',
+      actorId: ride.riderChatId ?? ride.riderWaJid ?? null,
+      message: driverId
+        ? `Rider cancelled after a driver accepted (${label})`
+        : `Rider cancelled the request before a driver accepted (${label})`,
+      meta: { reason: label, note: cleanNote, driverId: driverId ? String(driverId) : null }
+    }
+  });
+  if (!out.ok) return { ok: false, error: 'not_cancellable', status: out.status };
+  const updated = out.ride;
+
+  let fee = null;
+  try { fee = await applyCancellationFee(updated, feeKind, { now }); } catch (e) { console.warn('rider cancel fee failed:', e?.message || e); }
+
+  // Prepaid and no fee kept → the whole payment goes back
+  if (!fee && updated.paymentStatus === 'paid' && !updated.refundStatus) {
+    updated.refundStatus = 'required';
+    updated.refundFlaggedAt = now;
+    updated.refundReason = 'rider_cancelled';
+    updated.refundAmount = Number(updated.finalAmount ?? updated.estimate ?? 0) || undefined;
+    await updated.save();
+  }
+
+  return { ok: true, ride: updated, previousStatus, driverId, reason: label, fee };
+}
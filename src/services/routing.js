@@ -0,0 +1,170 @@
+// src/services/routing.js
+// Road distance/duration between two points from a configurable provider:
+//   google      – Distance Matrix (live traffic), needs GOOGLE_MAPS_API_KEY
+//   osrm        – self-hosted OSRM (OSRM_URL, e.g. http://osrm:5000)
+//   graphhopper – self-hosted or hosted GraphHopper (GRAPHHOPPER_URL [+ GRAPHHOPPER_KEY])
+//   haversine   – straight line at an average speed (always available)
+// ROUTING_PROVIDER picks one ('auto' = first configured in the order above).
+// Anything that fails falls back to haversine. Results are cached per rounded
+// origin/destination pair and time bucket, so repeat quotes don't hit the API.
+import fetch from 'node-fetch';
+import { haversineKm } from './geo.js';
+
+const GMAPS_KEY = process.env.GOOGLE_MAPS_API_KEY || '';
+const GMAPS_REGION = process.env.GOOGLE_MAPS_REGION || ''; // e.g. 'za'
+const GMAPS_COMPONENTS = process.env.GOOGLE_MAPS_COMPONENTS || ''; // e.g. 'country:za|country:na'
+const OSRM_URL = (process.env.OSRM_URL || '').replace(/\/+$/, '');
+const OSRM_PROFILE = process.env.OSRM_PROFILE || 'driving';
+const GRAPHHOPPER_URL = (process.env.GRAPHHOPPER_URL || '').replace(/\/+$/, '');
+const GRAPHHOPPER_KEY = process.env.GRAPHHOPPER_KEY || '';
+const GRAPHHOPPER_PROFILE = process.env.GRAPHHOPPER_PROFILE || 'car';
+
+const ROUTING_PROVIDER = String(process.env.ROUTING_PROVIDER || 'auto').trim().toLowerCase();
+const ROUTING_TIMEOUT_MS = Number(process.env.ROUTING_TIMEOUT_MS || 4000);
+const HAVERSINE_SPEED_KMH = Number(process.env.HAVERSINE_SPEED_KMH || 35);
+
+const ROUTE_CACHE_PRECISION = Number(process.env.ROUTE_CACHE_PRECISION || 3); // decimals, 3 ≈ 110 m
+const ROUTE_CACHE_BUCKET_MIN = Number(process.env.ROUTE_CACHE_BUCKET_MIN || 15);
+const ROUTE_CACHE_MAX = Number(process.env.ROUTE_CACHE_MAX || 5000);
+
+const cache = new Map(); // key -> result (Map keeps insertion order → oldest first)
+
+async function getJson(url) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), ROUTING_TIMEOUT_MS);
+  try {
+    const r = await fetch(url, { signal: ctrl.signal });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return await r.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/* ---------- providers ----------
+ * route(a, b) → { km, durationSec, baseDurationSec } or null when there's no route.
+ * `durationSec` includes live traffic where the provider knows it; `baseDurationSec` doesn't.
+ */
+const providers = {
+  google: {
+    available: () => !!GMAPS_KEY,
+    async route(a, b) {
+      const u = new URL('https://maps.googleapis.com/maps/api/distancematrix/json');
+      u.searchParams.set('origins', `${a.lat},${a.lng}`);
+      u.searchParams.set('destinations', `${b.lat},${b.lng}`);
+      u.searchParams.set('key', GMAPS_KEY);
+      u.searchParams.set('departure_time', 'now');
+      u.searchParams.set('traffic_model', 'best_guess');
+      u.searchParams.set('mode', 'driving');
+      if (GMAPS_REGION) u.searchParams.set('region', GMAPS_REGION);
+      if (GMAPS_COMPONENTS) u.searchParams.set('components', GMAPS_COMPONENTS);
+
+      const j = await getJson(u.toString());
+      const elem = j?.rows?.[0]?.elements?.[0];
+      if (!elem || elem.status !== 'OK') return null;
+
+      const base = elem.duration?.value ?? 0;
+      return {
+        km: (elem.distance?.value ?? 0) / 1000,
+        durationSec: Math.max(1, elem.duration_in_traffic?.value ?? base),
+        baseDurationSec: Math.max(1, base)
+      };
+    }
+  },
+
+  osrm: {
+    available: () => !!OSRM_URL,
+    async route(a, b) {
+      // OSRM wants lng,lat
+      const url = `${OSRM_URL}/route/v1/${OSRM_PROFILE}/${a.lng},${a.lat};${b.lng},${b.lat}?overview=false&alternatives=false&steps=false`;
+      const j = await getJson(url);
+      const r = j?.code === 'Ok' ? j.routes?.[0] : null;
+      if (!r) return null;
+      return { km: r.distance / 1000, durationSec: Math.max(1, Math.round(r.duration)), baseDurationSec: Math.max(1, Math.round(r.duration)) };
+    }
+  },
+
+  graphhopper: {
+    available: () => !!GRAPHHOPPER_URL,
+    async route(a, b) {
+      const u = new URL(`${GRAPHHOPPER_URL}/route`);
+      u.searchParams.append('point', `${a.lat},${a.lng}`);
+      u.searchParams.append('point', `${b.lat},${b.lng}`);
+      u.searchParams.set('profile', GRAPHHOPPER_PROFILE);
+      u.searchParams.set('calc_points', 'false');
+      if (GRAPHHOPPER_KEY) u.searchParams.set('key', GRAPHHOPPER_KEY);
+
+      const j = await getJson(u.toString());
+      const p = j?.paths?.[0];
+      if (!p) return null;
+      const sec = Math.max(1, Math.round((p.time ?? 0) / 1000)); // GraphHopper time is ms
+      return { km: p.distance / 1000, durationSec: sec, baseDurationSec: sec };
+    }
+  },
+
+  haversine: {
+    available: () => true,
+    async route(a, b) {
+      const km = haversineKm(a, b);
+      const sec = Math.round((km / HAVERSINE_SPEED_KMH) * 3600);
+      return { km, durationSec: sec, baseDurationSec: sec };
+    }
+  }
+};
+
+const AUTO_ORDER = ['google', 'osrm', 'graphhopper', 'haversine'];
+
+/** Name of the provider routes come from (after 'auto' and missing config are resolved) */
+let warned = false;
+export function routingProviderName() {
+  if (ROUTING_PROVIDER !== 'auto' && providers[ROUTING_PROVIDER]?.available()) return ROUTING_PROVIDER;
+  if (ROUTING_PROVIDER !== 'auto' && !warned) {
+    warned = true;
+    console.warn(`[routing] ROUTING_PROVIDER "${ROUTING_PROVIDER}" is unknown or not configured, using auto`);
+  }
+  return AUTO_ORDER.find((n) => providers[n].available());
+}
+
+function cacheKey(provider, a, b) {
+  const r = (n) => Number(n).toFixed(ROUTE_CACHE_PRECISION);
+  const bucket = Math.floor(Date.now() / (ROUTE_CACHE_BUCKET_MIN * 60 * 1000));
+  return `${provider}:${r(a.lat)},${r(a.lng)}>${r(b.lat)},${r(b.lng)}@${bucket}`;
+}
+
+function remember(key, value) {
+  cache.set(key, value);
+  while (cache.size > ROUTE_CACHE_MAX) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * Road route between two {lat,lng} points.
+ * Returns { km, durationSec, baseDurationSec, provider, cached }.
+ * Never throws: falls back to haversine when the provider fails.
+ */
+export async function getRoute(a, b) {
+  const name = routingProviderName();
+
+  if (name !== 'haversine') {
+    const key = cacheKey(name, a, b);
+    const hit = cache.get(key);
+    if (hit) return { ...hit, cached: true };
+
+    try {
+      const res = await providers[name].route(a, b);
+      if (res && Number.isFinite(res.km) && res.km >= 0) {
+        const out = { ...res, provider: name };
+        remember(key, out);
+        return { ...out, cached: false };
+      }
+    } catch (e) {
+      console.warn(`[routing] ${name} failed, using haversine:`, e?.message || e);
+    }
+  }
+
+  const res = await providers.haversine.route(a, b);
+  return { ...res, provider: 'haversine', cached: false };
+}
+
+export function clearRouteCache() {
+  cache.clear();
+}
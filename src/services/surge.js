@@ -0,0 +1,200 @@
+// src/services/surge.js
+// Zone-based surge: the service area is split into geohash cells, demand/supply
+// is recomputed per cell on an interval (see schedulers/surge.js) and smoothed,
+// and pricing reads the cached cell value instead of querying per request.
+import Driver from '../models/Driver.js';
+import Ride from '../models/Ride.js';
+import SurgeZone from '../models/SurgeZone.js';
+import { fromGeoPoint, geohashBounds, geohashEncode, geohashNeighbourhood } from './geo.js';
+
+export const SURGE_MAX = Number(process.env.SURGE_MAX || 2.0);
+export const SURGE_MIN = Number(process.env.SURGE_MIN || 1.0);
+const SURGE_DEMAND_WINDOW_MIN = Number(process.env.SURGE_DEMAND_WINDOW_MIN || 15);
+// 5 chars ≈ 4.9 km × 4.9 km; counts include the 8 neighbouring cells (~15 km square)
+export const SURGE_PRECISION = Math.min(7, Math.max(4, Number(process.env.SURGE_GEOHASH_PRECISION || 5)));
+// weight of the newest reading (1 = no smoothing)
+const SURGE_SMOOTHING = Math.min(1, Math.max(0.05, Number(process.env.SURGE_SMOOTHING || 0.35)));
+const CACHE_TTL_MS = Number(process.env.SURGE_CACHE_SEC || 90) * 1000;
+
+let cache = { zones: null, loadedAt: 0 };
+
+export function clampSurge(v) {
+  return Math.min(SURGE_MAX, Math.max(SURGE_MIN, Number(v || 1)));
+}
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/* ---------- demand/supply ladder ---------- */
+function ladder(demand, supply) {
+  if (supply <= 0 && demand > 0) return 1.5;
+  const ratio = demand / Math.max(1, supply);
+  if (ratio >= 3) return 1.8;
+  if (ratio >= 2) return 1.5;
+  if (ratio >= 1.2) return 1.2;
+  return 1.0;
+}
+
+function overrideActive(z, now = new Date()) {
+  return !!(z?.override?.expiresAt && new Date(z.override.expiresAt) > now);
+}
+
+/** Surge a quote should use for a zone doc (override > cap > computed) */
+export function effectiveSurge(z, now = new Date()) {
+  if (!z) return 1.0;
+  let s = Number(z.surge || 1);
+  if (overrideActive(z, now)) {
+    const o = z.override;
+    if (o.multiplier != null) s = Number(o.multiplier);
+    else if (o.cap != null) s = Math.min(s, Number(o.cap));
+  }
+  return clampSurge(s);
+}
+
+async function loadZones() {
+  if (cache.zones && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.zones;
+  try {
+    const docs = await SurgeZone.find({}).lean();
+    cache = { zones: new Map(docs.map((z) => [z.cell, z])), loadedAt: Date.now() };
+  } catch (e) {
+    console.warn('[surge] load failed, using last known:', e?.message || e);
+    if (!cache.zones) return new Map();
+  }
+  return cache.zones;
+}
+
+export function surgeCellFor(point) {
+  return point ? geohashEncode(point.lat, point.lng, SURGE_PRECISION) : null;
+}
+
+/** Cached surge for the cell containing `point` (1.0 when unknown) */
+export async function getZoneSurge(point) {
+  try {
+    const cell = surgeCellFor(point);
+    if (!cell) return 1.0;
+    const zones = await loadZones();
+    return effectiveSurge(zones.get(cell));
+  } catch {
+    return 1.0;
+  }
+}
+
+/* ---------- periodic recompute ---------- */
+function countByCell(points) {
+  const out = new Map();
+  for (const p of points) {
+    const cell = surgeCellFor(p);
+    if (cell) out.set(cell, (out.get(cell) || 0) + 1);
+  }
+  return out;
+}
+
+const sumAround = (counts, cell) => geohashNeighbourhood(cell).reduce((n, c) => n + (counts.get(c) || 0), 0);
+
+/**
+ * Recount demand (open requests) and supply (available drivers) per cell,
+ * smooth towards the new ladder value and persist. Cells that are back to 1.0
+ * with no demand and no live override are dropped.
+ */
+export async function recomputeSurge() {
+  const now = new Date();
+  const since = new Date(now.getTime() - SURGE_DEMAND_WINDOW_MIN * 60 * 1000);
+
+  const [rides, drivers, existing] = await Promise.all([
+    Ride.find({
+      status: { $in: ['pending', 'payment_pending'] },
+      createdAt: { $gte: since },
+      'pickup.lat': { $exists: true },
+      'pickup.lng': { $exists: true }
+    }).select('pickup').lean(),
+    Driver.find({
+      status: 'approved',
+      isAvailable: true,
+      chatId: { $type: 'number' },
+      location: { $exists: true }
+    }).select('location').lean(),
+    SurgeZone.find({}).lean()
+  ]);
+
+  const demand = countByCell(rides.map((r) => r.pickup));
+  const supply = countByCell(drivers.map((d) => fromGeoPoint(d.location)).filter(Boolean));
+  const prev = new Map(existing.map((z) => [z.cell, z]));
+
+  // cells a pending request can influence, plus anything still surging or pinned
+  const cells = new Set();
+  for (const c of demand.keys()) geohashNeighbourhood(c).forEach((n) => cells.add(n));
+  for (const z of existing) if (z.surge > 1 || z.override) cells.add(z.cell);
+
+  const ops = [];
+  for (const cell of cells) {
+    const d = sumAround(demand, cell);
+    const s = sumAround(supply, cell);
+    const raw = ladder(d, s);
+    const last = Number(prev.get(cell)?.surge || 1);
+    let smoothed = round2(last + SURGE_SMOOTHING * (raw - last));
+    if (Math.abs(smoothed - raw) < 0.02) smoothed = raw;
+
+    const b = geohashBounds(cell);
+    const update = {
+      $set: { center: { lat: b.lat, lng: b.lng }, demand: d, supply: s, rawSurge: raw, surge: clampSurge(smoothed), computedAt: now }
+    };
+    const z = prev.get(cell);
+    if (z?.override && !overrideActive(z, now)) {
+      update.$unset = { override: '' };
+      console.log(`⚡ Surge override on ${cell} expired`);
+    }
+    ops.push({ updateOne: { filter: { cell }, update, upsert: true } });
+  }
+
+  if (ops.length) await SurgeZone.bulkWrite(ops, { ordered: false });
+  await SurgeZone.deleteMany({ surge: { $lte: 1 }, demand: 0, override: { $exists: false } });
+
+  invalidateSurgeCache();
+  return { cells: ops.length, demand: rides.length, supply: drivers.length };
+}
+
+/** Drop the cache so a recompute / admin override applies on the next quote */
+export function invalidateSurgeCache() {
+  cache = { zones: null, loadedAt: 0 };
+}
+
+/* ---------- admin ---------- */
+
+/** Zones for the heatmap, hottest first, with cell bounds and the value quotes see */
+export async function listSurgeZones() {
+  const now = new Date();
+  const docs = await SurgeZone.find({}).lean();
+  return docs
+    .map((z) => ({
+      ...z,
+      bounds: geohashBounds(z.cell),
+      effective: effectiveSurge(z, now),
+      overrideActive: overrideActive(z, now)
+    }))
+    .sort((a, b) => b.effective - a.effective || b.demand - a.demand);
+}
+
+/**
+ * Pin (`multiplier`) or cap (`cap`) a cell until `expiresAt`.
+ * `cell` may be given directly or derived from lat/lng. Returns the cell or null.
+ */
+export async function setSurgeOverride({ cell = null, lat = null, lng = null, multiplier = null, cap = null, expiresAt, note = '', setBy = null }) {
+  const key = cell ? String(cell).trim().toLowerCase() : geohashEncode(lat, lng, SURGE_PRECISION);
+  const b = key && geohashBounds(key);
+  if (!b || key.length !== SURGE_PRECISION) return null;
+
+  await SurgeZone.updateOne(
+    { cell: key },
+    {
+      $set: { override: { multiplier, cap, expiresAt, note, setBy, setAt: new Date() } },
+      $setOnInsert: { center: { lat: b.lat, lng: b.lng } }
+    },
+    { upsert: true }
+  );
+  invalidateSurgeCache();
+  return key;
+}
+
+export async function clearSurgeOverride(cell) {
+  await SurgeZone.updateOne({ cell: String(cell || '').toLowerCase() }, { $unset: { override: '' } });
+  invalidateSurgeCache();
+}
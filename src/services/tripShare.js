@@ -0,0 +1,129 @@
+// src/services/tripShare.js
+// Share-my-trip: a read-only live view of a trip (driver, car, position, ETA)
+// for someone at home. Riders get a viewer link on demand (TG /share, WA "share
+// trip", the track page); trusted contacts saved on the Rider profile get it
+// automatically once a driver accepts (server.js, WhatsApp or email). The link
+// stops working when the trip ends (see server.js isRideLinkExpired).
+import Ride from '../models/Ride.js';
+import Rider from '../models/Rider.js';
+import Driver from '../models/Driver.js';
+import { trackLink } from './rideTokens.js';
+import { ACTIVE_RIDE_STATUSES } from './rideLifecycle.js';
+
+export const SHAREABLE_STATUSES = ['pending', ...ACTIVE_RIDE_STATUSES];
+export const MAX_TRUSTED_CONTACTS = Math.max(0, Number(process.env.MAX_TRUSTED_CONTACTS ?? 3));
+
+const DEFAULT_CC = (process.env.DEFAULT_COUNTRY_CODE || '27').replace(/\D/g, '');
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizePhone(v) {
+  let s = String(v || '').replace(/[^\d+]/g, '');
+  if (s.startsWith('+')) s = s.slice(1);
+  else if (s.startsWith('00')) s = s.slice(2);
+  else if (s.startsWith('0')) s = DEFAULT_CC + s.slice(1);
+  return /^\d{8,15}$/.test(s) ? `+${s}` : null;
+}
+
+/** { name, phone?, email? } with a usable phone or email, else null */
+export function normalizeTrustedContact(c = {}) {
+  const email = String(c.email || '').trim().toLowerCase();
+  const phone = normalizePhone(c.phone);
+  const out = {
+    name: String(c.name || '').trim().slice(0, 60) || 'Contact',
+    ...(phone ? { phone } : {}),
+    ...(EMAIL_RE.test(email) ? { email } : {})
+  };
+  return out.phone || out.email ? out : null;
+}
+
+/** "Mom, 082 123 4567" / "Sam sam@mail.com" → contact, or null */
+export function parseTrustedContact(text) {
+  const s = String(text || '').trim();
+  const email = s.match(/[^\s,;]+@[^\s,;]+/)?.[0] || null;
+  const phone = email ? null : s.match(/\+?\d[\d\s-]{7,}\d/)?.[0] || null;
+  const name = s.replace(email || phone || '', '').replace(/[,;:-]+/g, ' ').trim();
+  return normalizeTrustedContact({ name, phone, email });
+}
+
+/** "• Mom — +2782…" lines for bot messages */
+export function trustedContactLines(contacts, { bullet = '•' } = {}) {
+  return (contacts || []).map((c, i) => `${bullet} ${i + 1}. ${c.name} — ${[c.phone, c.email].filter(Boolean).join(', ')}`);
+}
+
+/**
+ * Add a contact to the rider's list (same phone/email replaces the old entry).
+ * → { ok: true, contacts } | { ok: false, error: 'not_found' | 'bad_contact' | 'full' }
+ */
+export async function addTrustedContact(riderQuery, contact) {
+  const c = normalizeTrustedContact(contact);
+  if (!c) return { ok: false, error: 'bad_contact' };
+  const rider = await Rider.findOne(riderQuery);
+  if (!rider) return { ok: false, error: 'not_found' };
+
+  const same = (x) => (c.phone && x.phone === c.phone) || (c.email && x.email === c.email);
+  const list = (rider.trustedContacts || []).filter((x) => !same(x));
+  if (list.length >= MAX_TRUSTED_CONTACTS) return { ok: false, error: 'full' };
+
+  rider.trustedContacts = [...list, c];
+  await rider.save();
+  return { ok: true, contacts: rider.trustedContacts };
+}
+
+export async function clearTrustedContacts(riderQuery) {
+  const r = await Rider.updateOne(riderQuery, { $set: { trustedContacts: [] } });
+  return { ok: r.matchedCount > 0 };
+}
+
+function ownedBy(ride, { riderChatId = null, riderWaJid = null }) {
+  if (riderChatId != null) return Number(ride.riderChatId) === Number(riderChatId);
+  if (riderWaJid) return ride.riderWaJid === riderWaJid;
+  return true; // API callers that already hold the rider link
+}
+
+/**
+ * Viewer link for the rider's trip (the current one when rideId is null).
+ * → { ok: true, url, ride } | { ok: false, error: 'not_found' | 'not_yours' | 'not_shareable', status? }
+ */
+export async function createTripShareLink(rideId, { riderChatId = null, riderWaJid = null } = {}) {
+  let ride = null;
+  if (rideId) ride = await Ride.findById(rideId).lean();
+  else if (riderChatId != null) ride = await Ride.findOne({ riderChatId: Number(riderChatId), status: { $in: SHAREABLE_STATUSES } }).sort({ createdAt: -1 }).lean();
+  else if (riderWaJid) ride = await Ride.findOne({ riderWaJid, status: { $in: SHAREABLE_STATUSES } }).sort({ createdAt: -1 }).lean();
+
+  if (!ride) return { ok: false, error: 'not_found' };
+  if (!ownedBy(ride, { riderChatId, riderWaJid })) return { ok: false, error: 'not_yours' };
+  if (!SHAREABLE_STATUSES.includes(ride.status)) return { ok: false, error: 'not_shareable', status: ride.status };
+  return { ok: true, url: trackLink(ride._id, 'viewer'), ride };
+}
+
+/** What a trusted contact needs to know, for the message / email */
+export async function tripShareDetails(ride) {
+  const [rider, driver] = await Promise.all([
+    ride.riderChatId != null
+      ? Rider.findOne({ chatId: Number(ride.riderChatId) }).lean()
+      : ride.riderWaJid ? Rider.findOne({ waJid: ride.riderWaJid }).lean() : null,
+    ride.driverId ? Driver.findById(ride.driverId).lean() : null
+  ]);
+  const car = [driver?.vehicleColor, driver?.vehicleMake, driver?.vehicleModel].filter(Boolean).join(' ');
+  return {
+    rider,
+    riderName: rider?.name || 'A VayaRide rider',
+    driverName: driver?.name || null,
+    plate: driver?.vehiclePlate || null,
+    car: car || null,
+    to: ride.destination?.address || null
+  };
+}
+
+/** Plain-text share message (WhatsApp / Telegram) */
+export function tripShareText({ riderName, driverName, plate, car, to }, url) {
+  return [
+    `🛡️ ${riderName} is sharing a VayaRide trip with you.`,
+    driverName ? `🚗 Driver: ${driverName}` : null,
+    car || plate ? `🚙 ${[car, plate].filter(Boolean).join(' · ')}` : null,
+    to ? `📍 Going to: ${to}` : null,
+    '',
+    `Follow the trip live (driver position and ETA):\n${url}`,
+    'The link stops working when the trip ends.'
+  ].filter((l) => l !== null).join('\n');
+}
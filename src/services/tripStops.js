@@ -0,0 +1,104 @@
+// src/services/tripStops.js
+// Intermediate stops on a trip (ride.stops, in route order). Riders add them
+// while booking (TG/WA); quotes price the whole route through them; the driver
+// checks in and out of each stop on the trip map, and the time spent there is
+// billed as waiting (rate card waitPerMin, see pricing.computeFinalFare).
+import Ride from '../models/Ride.js';
+import { haversineKm } from './geo.js';
+
+export const MAX_TRIP_STOPS = Math.max(0, Number(process.env.MAX_TRIP_STOPS ?? 3));
+const STOP_RADIUS_KM = Number(process.env.STOP_RADIUS_M || 150) / 1000;   // path points this close are "at the stop"
+const STOP_MAX_OPEN_MIN = Number(process.env.STOP_MAX_OPEN_MIN || 15);    // cap when the path can't tell
+
+const isPoint = (p) => p && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lng));
+
+/** Clean a stops list from the bots / API: valid points only, at most MAX_TRIP_STOPS */
+export function normalizeStops(stops) {
+  if (!Array.isArray(stops)) return [];
+  return stops
+    .filter(isPoint)
+    .slice(0, MAX_TRIP_STOPS)
+    .map((s) => ({ lat: Number(s.lat), lng: Number(s.lng), ...(s.address ? { address: String(s.address) } : {}) }));
+}
+
+/** pickup → stops… → destination */
+export function routePoints({ pickup, destination, stops = [] }) {
+  return [pickup, ...normalizeStops(stops), destination].filter(isPoint);
+}
+
+/** Index of the stop the driver is heading to / waiting at, or -1 when all are done */
+export function currentStopIndex(ride) {
+  return (ride?.stops || []).findIndex((s) => !s.departedAt);
+}
+
+/** Seconds spent at stops (a stop still being waited at counts up to `until`) */
+export function stopWaitSec(stops, until = new Date()) {
+  let sec = 0;
+  for (const s of stops || []) {
+    if (!s?.arrivedAt) continue;
+    const end = s.departedAt ? new Date(s.departedAt) : new Date(until);
+    sec += Math.max(0, (end.getTime() - new Date(s.arrivedAt).getTime()) / 1000);
+  }
+  return Math.round(sec);
+}
+
+/**
+ * Check the driver out of stops they arrived at but never left (finish.js, before
+ * billing): they left at the last path point near the stop, or STOP_MAX_OPEN_MIN
+ * after arriving when the breadcrumb doesn't say. Sets departedAt in place.
+ * → indexes of the stops that were closed
+ */
+export function closeOpenStops(stops, path, until = new Date()) {
+  const closed = [];
+  (stops || []).forEach((s, i) => {
+    if (!s?.arrivedAt || s.departedAt) return;
+    const from = new Date(s.arrivedAt).getTime();
+    const to = new Date(until).getTime();
+    const near = (path || []).filter((p) => {
+      const ts = p?.ts ? new Date(p.ts).getTime() : NaN;
+      return ts >= from && ts <= to && haversineKm(p, s) <= STOP_RADIUS_KM;
+    });
+    s.departedAt = near.length
+      ? new Date(near[near.length - 1].ts)
+      : new Date(Math.min(to, from + STOP_MAX_OPEN_MIN * 60000));
+    closed.push(i);
+  });
+  return closed;
+}
+
+/** "Stop 1: 12 Long St" lines for bot messages */
+export function stopLines(stops, { bullet = '•' } = {}) {
+  return (stops || []).map((s, i) =>
+    `${bullet} Stop ${i + 1}: ${s.address || `${Number(s.lat).toFixed(5)}, ${Number(s.lng).toFixed(5)}`}`
+  );
+}
+
+/**
+ * Driver reached / left stop `index` (only the current stop, in order, with the rider on board).
+ * `step`: 'arrived' | 'departed'
+ * → { ok: true, ride, index } | { ok: false, reason: 'not_found' | 'not_in_progress' | 'wrong_stop' | 'already' }
+ */
+export async function markStop(rideId, index, step, { at = new Date() } = {}) {
+  const ride = await Ride.findById(rideId).select('status stops').lean();
+  if (!ride) return { ok: false, reason: 'not_found' };
+  if (ride.status !== 'in_progress') return { ok: false, reason: 'not_in_progress' };
+
+  const i = Number(index);
+  const stop = ride.stops?.[i];
+  if (!stop) return { ok: false, reason: 'wrong_stop' };
+  if (step === 'arrived' ? stop.arrivedAt : stop.departedAt) return { ok: false, reason: 'already' };
+  if (i !== currentStopIndex(ride)) return { ok: false, reason: 'wrong_stop' };
+
+  const field = step === 'arrived' ? 'arrivedAt' : 'departedAt';
+  const set = { [`stops.${i}.${field}`]: at };
+  // leaving without having checked in: count it as a drive-through
+  if (step === 'departed' && !stop.arrivedAt) set[`stops.${i}.arrivedAt`] = at;
+
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'in_progress', [`stops.${i}.${field}`]: null },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) return { ok: false, reason: 'already' };
+  return { ok: true, ride: updated, index: i };
+}